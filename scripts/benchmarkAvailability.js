@@ -0,0 +1,85 @@
+/**
+ * Availability Search Benchmark
+ * Times the availability search against growing fleets, with every other vehicle
+ * booked for the searched window, and prints a table of the timings.
+ *
+ * Usage: npm run benchmark:availability [-- 100 500 2000]
+ *
+ * Runs against MONGODB_BENCHMARK_URI (default a local fleetlink_benchmark database),
+ * which is dropped when the benchmark ends - never point it at real data.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Vehicle = require('../src/models/Vehicle');
+const Booking = require('../src/models/Booking');
+const { findAvailableVehiclesForWindow } = require('../src/services/availabilityService');
+
+const DEFAULT_FLEET_SIZES = [100, 500, 2000];
+
+// Fill the database with a fleet of the given size, booking every other vehicle for the window
+const seedFleet = async (size, startTime, endTime) => {
+  await Vehicle.deleteMany({});
+  await Booking.deleteMany({});
+
+  const vehicles = await Vehicle.insertMany(
+    Array.from({ length: size }, (_, i) => ({
+      name: `Benchmark Truck ${i}`,
+      capacityKg: 1000 + (i % 50) * 100,
+      tyres: 6
+    }))
+  );
+
+  await Booking.insertMany(
+    vehicles
+      .filter((_, i) => i % 2 === 0)
+      .map(vehicle => ({
+        vehicleId: vehicle._id,
+        customerId: 'BENCHMARK',
+        fromPincode: '110001',
+        toPincode: '110005',
+        startTime,
+        endTime,
+        estimatedRideDurationHours: 4,
+        status: 'confirmed'
+      }))
+  );
+};
+
+const benchmarkAvailability = async (fleetSizes) => {
+  const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const endTime = new Date(startTime.getTime() + 4 * 60 * 60 * 1000);
+  const timings = [];
+
+  for (const fleetSize of fleetSizes) {
+    await seedFleet(fleetSize, startTime, endTime);
+
+    const started = Date.now();
+    const { availableCount } = await findAvailableVehiclesForWindow({ capacityRequired: 1000, startTime, endTime });
+
+    timings.push({ fleetSize, availableCount, elapsedMs: Date.now() - started });
+  }
+
+  console.table(timings);
+
+  return timings;
+};
+
+// Run when invoked directly
+if (require.main === module) {
+  const fleetSizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+
+  mongoose.connect(process.env.MONGODB_BENCHMARK_URI || 'mongodb://localhost:27017/fleetlink_benchmark')
+    .then(() => benchmarkAvailability(fleetSizes.length > 0 ? fleetSizes : DEFAULT_FLEET_SIZES))
+    .then(() => mongoose.connection.dropDatabase())
+    .catch(error => {
+      console.error('Availability benchmark failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+  benchmarkAvailability
+};
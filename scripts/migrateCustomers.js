@@ -0,0 +1,101 @@
+/**
+ * Customer Migration
+ * Creates a Customer for every customer ID already used on bookings, waitlist
+ * entries, series and invoices, so existing records reference real customers.
+ *
+ * Usage: npm run migrate:customers [-- --dry-run]
+ *
+ * Migrated customers are named after their ID and need their profile completed.
+ * IDs that differ only in case or spacing are reported, since they are likely
+ * the same customer typed differently and should be merged by hand.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const BookingSeries = require('../src/models/BookingSeries');
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const Invoice = require('../src/models/Invoice');
+const Customer = require('../src/models/Customer');
+
+const MIGRATION_NOTE = 'Created by the customer migration from existing bookings - complete the profile';
+
+/**
+ * Collect every distinct customer ID in use
+ *
+ * @returns {Promise<string[]>} Customer IDs, sorted
+ */
+const findCustomerIdsInUse = async () => {
+  const lists = await Promise.all(
+    [Booking, BookingSeries, WaitlistEntry, Invoice].map(model => model.distinct('customerId'))
+  );
+
+  return [...new Set(lists.flat())].sort();
+};
+
+/**
+ * Group IDs that only differ in case or surrounding spaces
+ *
+ * @param {string[]} customerIds - Customer IDs
+ * @returns {string[][]} Groups of two or more likely duplicates
+ */
+const findLikelyDuplicates = (customerIds) => {
+  const groups = new Map();
+
+  for (const customerId of customerIds) {
+    const key = customerId.trim().toLowerCase();
+    groups.set(key, [...(groups.get(key) || []), customerId]);
+  }
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+const migrateCustomers = async ({ dryRun }) => {
+  const customerIds = await findCustomerIdsInUse();
+  const existing = new Set(await Customer.distinct('customerCode'));
+  const missing = customerIds.filter(customerId => !existing.has(customerId));
+
+  console.log(`🔎 Found ${customerIds.length} customer IDs in use, ${missing.length} without a customer`);
+
+  if (!dryRun && missing.length > 0) {
+    await Customer.insertMany(
+      missing.map(customerId => ({
+        customerCode: customerId,
+        name: customerId,
+        notes: MIGRATION_NOTE
+      })),
+      { ordered: false }
+    );
+    console.log(`✅ Created ${missing.length} customers`);
+  }
+
+  for (const group of findLikelyDuplicates(customerIds)) {
+    console.log(`⚠️  Likely the same customer: ${group.map(id => `"${id}"`).join(', ')}`);
+  }
+
+  return { customerIds, missing };
+};
+
+// Run when invoked directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fleetlink')
+    .then(() => migrateCustomers({ dryRun }))
+    .then(() => {
+      if (dryRun) {
+        console.log('Dry run - no customers were created');
+      }
+    })
+    .catch(error => {
+      console.error('Customer migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+  migrateCustomers,
+  findLikelyDuplicates
+};
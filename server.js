@@ -12,7 +12,16 @@ require('dotenv').config();
 const connectDB = require('./src/config/database.js');
 const vehicleRoutes = require('./src/routes/vehicles.js');
 const bookingRoutes = require('./src/routes/bookings.js');
+const waitlistRoutes = require('./src/routes/waitlist.js');
+const rateCardRoutes = require('./src/routes/rateCards.js');
+const quoteRoutes = require('./src/routes/quotes.js');
+const invoiceRoutes = require('./src/routes/invoices.js');
+const promoCodeRoutes = require('./src/routes/promoCodes.js');
+const customerRoutes = require('./src/routes/customers.js');
+const accountRoutes = require('./src/routes/accounts.js');
+const paymentRoutes = require('./src/routes/payments.js');
 const errorHandler = require('./src/middleware/errorHandler.js');
+const { startJobs } = require('./src/jobs/index.js');
 
 // Initialize Express app
 const app = express();
@@ -24,7 +33,8 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: () => process.env.NODE_ENV === 'test'
 });
 app.use(limiter);
 
@@ -41,6 +51,11 @@ app.use(express.urlencoded({ extended: true }));
 // Connect to MongoDB
 connectDB();
 
+// Start background jobs (not during tests, which manage their own data)
+if (process.env.NODE_ENV !== 'test') {
+  startJobs();
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -53,6 +68,14 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Handle 404 routes
 // Handle 404 routes (regex way)
@@ -0,0 +1,48 @@
+/**
+ * Booking Configuration
+ * Tunable settings for booking operations, read from the environment
+ */
+
+module.exports = {
+  // How long a per-vehicle reservation lock is held before it is considered abandoned
+  lockLeaseMs: parseInt(process.env.BOOKING_LOCK_LEASE_MS) || 10000,
+
+  // How long a request waits for a busy vehicle lock before giving up
+  lockWaitMs: parseInt(process.env.BOOKING_LOCK_WAIT_MS) || 5000,
+
+  // Default vehicle selection strategy for auto-assign: smallest-capacity, least-utilized or cheapest
+  autoAssignStrategy: process.env.AUTO_ASSIGN_STRATEGY || 'smallest-capacity',
+
+  // Days on each side of a trip counted when measuring vehicle utilization
+  utilizationWindowDays: parseInt(process.env.UTILIZATION_WINDOW_DAYS) || 7,
+
+  // How long a tentative hold blocks its slot before it lapses
+  holdDurationMinutes: parseInt(process.env.BOOKING_HOLD_MINUTES) || 30,
+
+  // How often lapsed holds are moved to 'expired'
+  holdExpiryIntervalMs: parseInt(process.env.HOLD_EXPIRY_INTERVAL_MS) || 60 * 1000,
+
+  // How long a waitlisted customer has to confirm the hold offered to them
+  waitlistOfferMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60,
+
+  // Maximum number of occurrences a recurring booking series may create
+  maxSeriesOccurrences: parseInt(process.env.MAX_SERIES_OCCURRENCES) || 100,
+
+  // Maximum number of windows a recurring maintenance schedule may create
+  maxMaintenanceOccurrences: parseInt(process.env.MAX_MAINTENANCE_OCCURRENCES) || 52,
+
+  // How often vehicles are moved in and out of maintenance as their windows start and end
+  maintenanceStatusIntervalMs: parseInt(process.env.MAINTENANCE_STATUS_INTERVAL_MS) || 60 * 1000,
+
+  // Longest range a vehicle or fleet schedule may cover
+  maxScheduleRangeDays: parseInt(process.env.MAX_SCHEDULE_RANGE_DAYS) || 31,
+
+  // Hours before and after a requested slot searched for alternative start times
+  suggestionWindowHours: parseInt(process.env.SUGGESTION_WINDOW_HOURS) || 24,
+
+  // Number of alternative start times suggested when no vehicle is free
+  maxSuggestions: parseInt(process.env.MAX_SUGGESTIONS) || 3,
+
+  // Smallest share of the trip a vehicle must be free for to be suggested with a shorter duration
+  shorterDurationRatio: parseFloat(process.env.SHORTER_DURATION_RATIO) || 0.75
+};
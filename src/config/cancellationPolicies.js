@@ -0,0 +1,45 @@
+/**
+ * Cancellation Policies
+ * Tiered cancellation windows and which customers and vehicle types they apply to
+ *
+ * Each policy lists tiers from the earliest window to the latest. The first tier whose
+ * minHoursBeforeStart is met applies; cancelling later than every tier is not allowed.
+ */
+
+module.exports = {
+  // Policy used when no customer or vehicle type override matches
+  defaultPolicy: process.env.DEFAULT_CANCELLATION_POLICY || 'standard',
+
+  policies: {
+    standard: {
+      description: 'Free until 24 hours before start, 50% fee until 1 hour before start',
+      tiers: [
+        { minHoursBeforeStart: 24, feePercent: 0 },
+        { minHoursBeforeStart: 1, feePercent: 50 }
+      ]
+    },
+    flexible: {
+      description: 'Free until 4 hours before start, 25% fee until 1 hour before start',
+      tiers: [
+        { minHoursBeforeStart: 4, feePercent: 0 },
+        { minHoursBeforeStart: 1, feePercent: 25 }
+      ]
+    },
+    strict: {
+      description: 'Free until 72 hours before start, 50% fee until 24 hours, 100% fee until 6 hours before start',
+      tiers: [
+        { minHoursBeforeStart: 72, feePercent: 0 },
+        { minHoursBeforeStart: 24, feePercent: 50 },
+        { minHoursBeforeStart: 6, feePercent: 100 }
+      ]
+    }
+  },
+
+  // Policy overrides by vehicle type (see the Vehicle vehicleType virtual)
+  byVehicleType: {
+    'Heavy Duty': 'strict'
+  },
+
+  // Policy overrides by customer ID - take precedence over vehicle type
+  byCustomer: {}
+};
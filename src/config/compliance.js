@@ -0,0 +1,25 @@
+/**
+ * Compliance Configuration
+ * Documents a vehicle must hold to be booked, read from the environment
+ */
+
+// Comma-separated requirements; alternatives within one are separated by '|',
+// e.g. 'national-permit|state-permit' is met by either permit
+const parseRequirements = (value) => value
+  .split(',')
+  .map(requirement => requirement.split('|').map(type => type.trim()).filter(Boolean))
+  .filter(requirement => requirement.length > 0);
+
+module.exports = {
+  // Documents that must stay valid until a booking ends
+  requiredDocuments: parseRequirements(
+    process.env.REQUIRED_COMPLIANCE_DOCUMENTS || 'insurance,fitness-certificate,puc,national-permit|state-permit'
+  ),
+
+  // When true, a vehicle missing a required document cannot be booked at all. Off by default,
+  // so vehicles whose documents have not been recorded yet stay bookable.
+  blockMissingDocuments: process.env.BLOCK_MISSING_COMPLIANCE_DOCUMENTS === 'true',
+
+  // How far ahead the expiring-documents report looks by default
+  expiryWarningDays: parseInt(process.env.COMPLIANCE_EXPIRY_WARNING_DAYS) || 30
+};
@@ -0,0 +1,9 @@
+/**
+ * Idempotency Configuration
+ * Settings for Idempotency-Key handling on create endpoints, read from the environment
+ */
+
+module.exports = {
+  // How long a stored response is replayed for retries with the same key
+  ttlHours: parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24
+};
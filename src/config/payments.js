@@ -0,0 +1,19 @@
+/**
+ * Payment Configuration
+ * Payment gateway selection and when bookings must be paid, read from the environment
+ */
+
+module.exports = {
+  // Gateway adapter payments go through (see src/gateways) - 'mock' for development and tests
+  gateway: process.env.PAYMENT_GATEWAY || 'mock',
+
+  // Currency payments are taken in
+  currency: process.env.PAYMENT_CURRENCY || 'INR',
+
+  // When true, new bookings are held until their payment is captured instead of
+  // being confirmed straight away. Corporate account bookings are billed on statements instead.
+  paymentRequired: process.env.PAYMENT_REQUIRED === 'true',
+
+  // How long a booking awaiting payment blocks its slot before the hold lapses
+  paymentWindowMinutes: parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 30
+};
@@ -0,0 +1,60 @@
+/**
+ * Pricing Configuration
+ * Built-in rate cards used until an admin publishes one for a vehicle type
+ */
+
+// Secret quote IDs are signed with. Only the test suite may fall back to a built-in one:
+// anyone reading the source could forge quotes signed with it.
+const quoteSigningSecret = process.env.QUOTE_SIGNING_SECRET ||
+  (process.env.NODE_ENV === 'test' ? 'fleetlink-test-quote-secret' : null);
+
+if (!quoteSigningSecret) {
+  throw new Error('QUOTE_SIGNING_SECRET must be set to sign quote IDs');
+}
+
+module.exports = {
+  // Average road speed used to estimate trip distance from ride duration
+  averageSpeedKmph: parseFloat(process.env.AVERAGE_SPEED_KMPH) || 40,
+
+  // How long a signed quote locks its price
+  quoteValidityMinutes: parseInt(process.env.QUOTE_VALIDITY_MINUTES) || 30,
+
+  // Secret quote IDs are signed with
+  quoteSigningSecret,
+
+  // Default rate cards by vehicle type (see the Vehicle vehicleType virtual), version 0
+  defaultRateCards: {
+    'Small': {
+      baseFare: 300,
+      perKm: 12,
+      perHour: 150,
+      perTonne: 0,
+      minimumCharge: 500,
+      surcharges: []
+    },
+    'Medium': {
+      baseFare: 500,
+      perKm: 18,
+      perHour: 250,
+      perTonne: 0,
+      minimumCharge: 1000,
+      surcharges: []
+    },
+    'Large': {
+      baseFare: 800,
+      perKm: 25,
+      perHour: 350,
+      perTonne: 0,
+      minimumCharge: 2000,
+      surcharges: []
+    },
+    'Heavy Duty': {
+      baseFare: 1200,
+      perKm: 35,
+      perHour: 500,
+      perTonne: 0,
+      minimumCharge: 3500,
+      surcharges: []
+    }
+  }
+};
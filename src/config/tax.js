@@ -0,0 +1,25 @@
+/**
+ * Tax Configuration
+ * GST and invoicing settings for transport services, read from the environment
+ */
+
+module.exports = {
+  // GST rate charged on goods transport by road, as a percentage of the fare
+  gstRatePercent: parseFloat(process.env.GST_RATE_PERCENT) || 5,
+
+  // SAC code printed on invoices (9965 - goods transport services)
+  sacCode: process.env.GST_SAC_CODE || '9965',
+
+  // Prefix of sequential invoice numbers, e.g. FL/2026-27/000001
+  invoicePrefix: process.env.INVOICE_PREFIX || 'FL',
+
+  // How often the monthly statement job checks for accounts still to be billed for last month
+  statementJobIntervalMs: parseInt(process.env.STATEMENT_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+
+  // Business issuing the invoices
+  supplier: {
+    name: process.env.INVOICE_SUPPLIER_NAME || 'FleetLink Logistics',
+    gstin: process.env.INVOICE_SUPPLIER_GSTIN || '',
+    address: process.env.INVOICE_SUPPLIER_ADDRESS || ''
+  }
+};
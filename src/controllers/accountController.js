@@ -0,0 +1,343 @@
+/**
+ * Account Controller
+ * Handles corporate accounts, their credit position and monthly statements
+ */
+
+const Account = require('../models/Account');
+const Customer = require('../models/Customer');
+const Statement = require('../models/Statement');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const {
+  nextAccountCode,
+  getCreditSummary,
+  getBillingPeriod,
+  generateStatement
+} = require('../services/accountService');
+
+/**
+ * Create a corporate account
+ * POST /api/accounts
+ */
+const createAccount = async (req, res, next) => {
+  try {
+    const accountCode = req.body.accountCode || await nextAccountCode();
+    
+    const existing = await Account.findOne({ accountCode });
+    if (existing) {
+      return res.status(409).json(
+        formatErrorResponse(`Account ${accountCode} already exists`, 409)
+      );
+    }
+    
+    const account = await Account.create({ ...req.body, accountCode });
+    
+    console.log(`🏢 Account Created - ${account.accountCode}, Name: ${account.name}, Credit Limit: ₹${account.creditLimit}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        account,
+        'Account created successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error creating account:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get accounts with filtering and pagination
+ * GET /api/accounts
+ */
+const getAllAccounts = async (req, res, next) => {
+  try {
+    const { status, search, page = 1, limit = 50 } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (status) filter.status = status;
+    
+    // Case-insensitive match on name or account code
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { accountCode: pattern }];
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const accounts = await Account.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    // Get total count for pagination
+    const total = await Account.countDocuments(filter);
+    
+    const response = {
+      accounts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalAccounts: total,
+        hasNext: skip + accounts.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Accounts retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting accounts:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get an account with its customers and credit position
+ * GET /api/accounts/:id
+ */
+const getAccountById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    
+    if (!account) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    const customers = await Customer.find({ accountId: account._id }).sort({ name: 1 });
+    const credit = await getCreditSummary(account);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { account, customers, credit },
+        'Account retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting account by ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an account's details, credit limit, negotiated rates or status
+ * PATCH /api/accounts/:id
+ */
+const updateAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    
+    if (!account) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    account.set(req.body);
+    const updatedAccount = await account.save();
+    
+    console.log(`🏢 Account Updated - ${updatedAccount.accountCode}, Status: ${updatedAccount.status}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        updatedAccount,
+        'Account updated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating account:', error);
+    next(error);
+  }
+};
+
+/**
+ * Close an account. It is kept, since bookings and statements reference it.
+ * DELETE /api/accounts/:id
+ */
+const closeAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    
+    if (!account) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    account.status = 'closed';
+    const closedAccount = await account.save();
+    
+    console.log(`🏢 Account Closed - ${closedAccount.accountCode}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        closedAccount,
+        'Account closed successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error closing account:', error);
+    next(error);
+  }
+};
+
+/**
+ * Produce an account's statement for a month outside the month-end run
+ * POST /api/accounts/:id/statements
+ */
+const createStatement = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    
+    if (!account) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    // Defaults to the month before the current one, like the month-end run
+    const now = new Date();
+    const period = getBillingPeriod(
+      req.body.month || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1))
+    );
+    
+    if (period.periodEnd > now) {
+      return res.status(400).json(
+        formatErrorResponse('Statements can only be generated for months that have ended', 400)
+      );
+    }
+    
+    const { statement, created } = await generateStatement(account, period);
+    
+    if (!statement) {
+      return res.status(400).json(
+        formatErrorResponse(
+          `Account ${account.accountCode} has no unbilled completed bookings up to the end of ${period.label}`,
+          400
+        )
+      );
+    }
+    
+    if (created) {
+      console.log(`🧾 Statement Generated - ${statement.statementNumber}, Bookings: ${statement.bookingCount}, Total: ₹${statement.grandTotal}`);
+    }
+    
+    res.status(created ? 201 : 200).json(
+      formatSuccessResponse(
+        statement,
+        created ? 'Statement generated successfully' : 'Statement already exists for this month',
+        created ? 201 : 200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error generating statement:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get an account's statements, newest first
+ * GET /api/accounts/:id/statements
+ */
+const getAccountStatements = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    
+    if (!account) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    const statements = await Statement.find({ accountId: account._id })
+      .sort({ periodStart: -1 })
+      .select('-lines');
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { account, statements },
+        'Account statements retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting account statements:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one statement with its booking lines
+ * GET /api/accounts/:id/statements/:statementId
+ */
+const getStatementById = async (req, res, next) => {
+  try {
+    const { id, statementId } = req.params;
+    
+    const account = await Account.findByIdOrCode(id);
+    const statement = account
+      ? await Statement.findOne({ _id: statementId, accountId: account._id })
+      : null;
+    
+    if (!statement) {
+      return res.status(404).json(
+        formatErrorResponse('Statement not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        statement,
+        'Statement retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting statement by ID:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createAccount,
+  getAllAccounts,
+  getAccountById,
+  updateAccount,
+  closeAccount,
+  createStatement,
+  getAccountStatements,
+  getStatementById
+};
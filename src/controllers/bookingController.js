@@ -5,12 +5,34 @@
 
 const Booking = require('../models/Booking');
 const Vehicle = require('../models/Vehicle');
+const Customer = require('../models/Customer');
+const Account = require('../models/Account');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const { 
   formatSuccessResponse, 
   formatErrorResponse,
-  calculateRideDuration,
-  calculateBookingCost
+  calculateRideDuration
 } = require('../utils/helpers');
+const bookingConfig = require('../config/booking');
+const paymentConfig = require('../config/payments');
+const { priceTrip } = require('../services/pricingService');
+const { redeemQuote } = require('../services/quoteService');
+const {
+  redeemPromoCode,
+  releasePromoCode,
+  reapplyDiscount
+} = require('../services/promoService');
+const { autoAssignBooking } = require('../services/assignmentService');
+const {
+  evaluateCancellation,
+  cancelWithPolicy
+} = require('../services/cancellationService');
+const { matchWaitlistSafely } = require('../services/waitlistService');
+const { generateInvoiceSafely } = require('../services/invoiceService');
+const { getBookableCustomer } = require('../services/customerService');
+const { assertWithinCreditLimit } = require('../services/accountService');
+const { getPaymentTerms } = require('../services/paymentService');
+const { suggestAlternativesSafely } = require('../services/suggestionService');
 
 /**
  * Create a new booking
@@ -18,9 +40,24 @@ const {
  */
 const createBooking = async (req, res, next) => {
   try {
-    const { vehicleId, customerId, fromPincode, toPincode, startTime } = req.body;
-    
-    // Verify vehicle exists and is active
+    const {
+      vehicleId,
+      customerId,
+      fromPincode,
+      toPincode,
+      startTime,
+      cargoWeightKg,
+      cargo,
+      billingDetails,
+      hold,
+      quoteId,
+      promoCode
+    } = req.body;
+    
+    // Verify the customer exists and is allowed to book
+    const { account } = await getBookableCustomer(customerId);
+    
+    // Verify vehicle exists and takes bookings
     const vehicle = await Vehicle.findById(vehicleId);
     if (!vehicle) {
       return res.status(404).json(
@@ -28,70 +65,118 @@ const createBooking = async (req, res, next) => {
       );
     }
     
-    if (vehicle.status !== 'active') {
+    if (!vehicle.isBookable()) {
       return res.status(400).json(
         formatErrorResponse('Vehicle is not available for booking', 400)
       );
     }
     
-    // Calculate ride duration and end time
-    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
-    const bookingStartTime = new Date(startTime);
-    const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
-    
-    // Critical: Re-verify vehicle availability to prevent race conditions
-    const overlappingBookings = await Booking.findOverlappingBookings(
-      vehicleId,
-      bookingStartTime,
-      bookingEndTime
-    );
-    
-    if (overlappingBookings.length > 0) {
-      return res.status(409).json(
+    // Verify the vehicle can carry the load
+    if (cargoWeightKg && !vehicle.canHandleCapacity(cargoWeightKg)) {
+      return res.status(400).json(
         formatErrorResponse(
-          'Vehicle is already booked for the requested time slot',
-          409,
-          {
-            conflictingBookings: overlappingBookings.length,
-            suggestedAction: 'Please search for available vehicles again'
-          }
+          `Vehicle capacity of ${vehicle.capacityKg} kg cannot carry cargo of ${cargoWeightKg} kg`,
+          400,
+          { capacityKg: vehicle.capacityKg, cargoWeightKg }
         )
       );
     }
     
-    // Calculate booking cost
-    const totalCost = calculateBookingCost(
-      estimatedRideDurationHours,
-      vehicle.capacityKg,
-      fromPincode,
-      toPincode
-    );
+    // Calculate ride duration and end time
+    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
+    const bookingStartTime = new Date(startTime);
+    const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
     
-    // Create booking
-    const booking = new Booking({
-      vehicleId,
-      customerId,
-      fromPincode,
-      toPincode,
-      startTime: bookingStartTime,
-      endTime: bookingEndTime,
-      estimatedRideDurationHours,
-      totalCost,
-      status: 'confirmed'
-    });
+    // Use the price locked by a quote, or calculate it from the rate card in
+    // effect for the vehicle type and any rates negotiated for the customer's account
+    const price = quoteId
+      ? redeemQuote(quoteId, { vehicleId, customerId, fromPincode, toPincode, startTime, cargo })
+      : await priceTrip(vehicle, {
+        durationHours: estimatedRideDurationHours,
+        cargo
+      }, { account });
+    
+    // Bookings that must be paid first are held until their payment is captured
+    const paymentTerms = getPaymentTerms(account);
+    const isHeld = hold || paymentTerms.paymentRequired;
+    
+    // A hold blocks the slot like a confirmed booking until it lapses
+    const holdMinutes = hold ? bookingConfig.holdDurationMinutes : paymentConfig.paymentWindowMinutes;
+    const holdExpiresAt = isHeld
+      ? new Date(Date.now() + holdMinutes * 60 * 1000)
+      : undefined;
+    
+    // Count the promo code redemption before booking, so its caps hold under concurrency
+    const promotion = promoCode
+      ? await redeemPromoCode(promoCode, {
+        customerId,
+        vehicleType: vehicle.vehicleType,
+        orderValue: price.totalCost
+      })
+      : null;
     
-    const savedBooking = await booking.save();
+    // Critical: the availability check and the insert happen atomically under
+    // a per-vehicle lock to prevent double-bookings from concurrent requests
+    let savedBooking;
+    try {
+      const totalCost = promotion ? promotion.totalCost : price.totalCost;
+      
+      // Account customers book on credit, up to the account's limit
+      await assertWithinCreditLimit(account, totalCost);
+      
+      savedBooking = await Booking.createWithoutConflict({
+        vehicleId,
+        customerId,
+        fromPincode,
+        toPincode,
+        startTime: bookingStartTime,
+        endTime: bookingEndTime,
+        estimatedRideDurationHours,
+        cargoWeightKg,
+        cargo,
+        billingDetails,
+        totalCost,
+        discount: promotion ? promotion.discount : undefined,
+        rateCardId: price.rateCardId,
+        rateCardVersion: price.rateCardVersion,
+        accountId: account ? account._id : undefined,
+        ...paymentTerms,
+        status: isHeld ? 'held' : 'confirmed',
+        holdExpiresAt
+      });
+    } catch (error) {
+      // The booking was not made, so the redemption does not count
+      if (promotion) {
+        await releasePromoCode(promotion.discount, customerId);
+      }
+      
+      // The slot is taken, under maintenance or past the vehicle's documents - offer other start times and vehicles
+      if (error.statusCode === 409 && error.details &&
+        (error.details.conflictingBookings || error.details.maintenanceWindows || error.details.complianceIssues)) {
+        error.details.suggestions = await suggestAlternativesSafely({
+          capacityRequired: cargoWeightKg || 1,
+          startTime: bookingStartTime,
+          endTime: bookingEndTime
+        }, { vehicle });
+        error.details.suggestedAction = 'Book one of the suggested start times or vehicles, or search again';
+      }
+      throw error;
+    }
     
     // Populate vehicle details in response
     await savedBooking.populate('vehicleId', 'name capacityKg tyres');
     
     // Log successful booking
-    console.log(`✅ Booking Created - Customer: ${customerId}, Vehicle: ${vehicle.name}, Route: ${fromPincode} → ${toPincode}`);
+    console.log(`✅ Booking ${isHeld ? 'Held' : 'Created'} - Customer: ${customerId}, Vehicle: ${vehicle.name}, Route: ${fromPincode} → ${toPincode}`);
     
     res.status(201).json(
       formatSuccessResponse(
         savedBooking,
-        'Booking created successfully',
+        paymentTerms.paymentRequired
+          ? `Vehicle held until ${holdExpiresAt.toISOString()} awaiting payment`
+          : hold
+            ? `Vehicle held until ${holdExpiresAt.toISOString()}`
+            : 'Booking created successfully',
         201
       )
     );
@@ -102,6 +187,32 @@ const createBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Auto-assign the best available vehicle and create the booking
+ * POST /api/bookings/auto-assign
+ */
+const autoAssign = async (req, res, next) => {
+  try {
+    const { booking, selection } = await autoAssignBooking(req.body);
+    
+    await booking.populate('vehicleId', 'name capacityKg tyres');
+    
+    console.log(`🤖 Booking Auto-Assigned - Customer: ${booking.customerId}, Vehicle: ${selection.chosen.name}, Strategy: ${selection.strategy}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        { booking, selection },
+        'Vehicle assigned and booking created successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error auto-assigning booking:', error);
+    next(error);
+  }
+};
+
 /**
  * Get all bookings with filtering and pagination
  * GET /api/bookings
@@ -200,6 +311,178 @@ const getBookingById = async (req, res, next) => {
   }
 };
 
+/**
+ * Reschedule a confirmed booking (new start time, route and/or vehicle)
+ * PATCH /api/bookings/:id
+ */
+const rescheduleBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const booking = await Booking.findById(id);
+    
+    if (!booking) {
+      return res.status(404).json(
+        formatErrorResponse('Booking not found', 404)
+      );
+    }
+    
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json(
+        formatErrorResponse('Only confirmed bookings can be rescheduled', 400)
+      );
+    }
+    
+    // A trip that has started keeps its vehicle and route, even if only those change
+    if (booking.startTime <= new Date()) {
+      return res.status(409).json(
+        formatErrorResponse('Booking has already started and cannot be rescheduled', 409)
+      );
+    }
+    
+    // Merge requested changes over the current booking
+    const vehicleId = req.body.vehicleId || booking.vehicleId.toString();
+    const fromPincode = req.body.fromPincode || booking.fromPincode;
+    const toPincode = req.body.toPincode || booking.toPincode;
+    const startTime = req.body.startTime || booking.startTime;
+    
+    // Verify target vehicle exists and takes bookings
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json(
+        formatErrorResponse('Vehicle not found', 404)
+      );
+    }
+    
+    if (!vehicle.isBookable()) {
+      return res.status(400).json(
+        formatErrorResponse('Vehicle is not available for booking', 400)
+      );
+    }
+    
+    // A different vehicle must still be able to carry the booked load
+    if (booking.cargoWeightKg && !vehicle.canHandleCapacity(booking.cargoWeightKg)) {
+      return res.status(400).json(
+        formatErrorResponse(
+          `Vehicle capacity of ${vehicle.capacityKg} kg cannot carry cargo of ${booking.cargoWeightKg} kg`,
+          400,
+          { capacityKg: vehicle.capacityKg, cargoWeightKg: booking.cargoWeightKg }
+        )
+      );
+    }
+    
+    // Recalculate duration, end time and cost the same way createBooking does,
+    // at the rate card in effect now and the booking account's negotiated rates
+    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
+    const bookingStartTime = new Date(startTime);
+    const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
+    
+    const account = booking.accountId ? await Account.findById(booking.accountId) : null;
+    const price = await priceTrip(vehicle, {
+      durationHours: estimatedRideDurationHours,
+      cargo: booking.cargo
+    }, { account });
+    
+    // A promo code used on the booking still applies to the new price
+    const promotion = booking.discount && booking.discount.promoCodeId
+      ? await reapplyDiscount(booking.discount, price.totalCost)
+      : null;
+    
+    const totalCost = promotion ? promotion.totalCost : price.totalCost;
+    
+    // A payment taken or started for the booking covers its current price only
+    if (totalCost !== booking.totalCost && ['pending', 'paid', 'partially-refunded'].includes(booking.paymentStatus)) {
+      return res.status(409).json(
+        formatErrorResponse(
+          'Booking has a payment for its current price and cannot be rescheduled to a different price',
+          409,
+          { paymentStatus: booking.paymentStatus, totalCost: booking.totalCost, newTotalCost: totalCost }
+        )
+      );
+    }
+    
+    // Account customers book on credit - a price increase must fit in what is left of it
+    if (totalCost > booking.totalCost) {
+      await assertWithinCreditLimit(account, totalCost - booking.totalCost);
+    }
+    
+    // The booking keeps its current slot until the new one is secured
+    const updatedBooking = await booking.rescheduleWithoutConflict({
+      vehicleId,
+      fromPincode,
+      toPincode,
+      startTime: bookingStartTime,
+      endTime: bookingEndTime,
+      estimatedRideDurationHours,
+      totalCost,
+      discount: promotion ? promotion.discount : undefined,
+      rateCardId: price.rateCardId,
+      rateCardVersion: price.rateCardVersion
+    });
+    
+    await updatedBooking.populate('vehicleId', 'name capacityKg tyres');
+    
+    console.log(`🔁 Booking Rescheduled - ID: ${id}, Vehicle: ${vehicle.name}, Route: ${fromPincode} → ${toPincode}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        updatedBooking,
+        'Booking rescheduled successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm a tentative hold before it lapses
+ * POST /api/bookings/:id/confirm
+ */
+const confirmHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { changedBy, reason } = req.body || {};
+    
+    const booking = await Booking.findById(id);
+    
+    if (!booking) {
+      return res.status(404).json(
+        formatErrorResponse('Booking not found', 404)
+      );
+    }
+    
+    if (booking.status !== 'held') {
+      return res.status(400).json(
+        formatErrorResponse('Only held bookings can be confirmed', 400)
+      );
+    }
+    
+    // Rejects lapsed holds, and holds still awaiting payment, with a 409
+    booking.transitionTo('confirmed', { changedBy, reason: reason || 'Hold confirmed' });
+    await booking.save();
+    await WaitlistEntry.markFulfilled(booking._id);
+    await booking.populate('vehicleId', 'name capacityKg tyres');
+    
+    console.log(`✅ Booking Hold Confirmed - ID: ${id}, Customer: ${booking.customerId}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        booking,
+        'Booking hold confirmed successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error confirming booking hold:', error);
+    next(error);
+  }
+};
+
 /**
  * Update booking status
  * PATCH /api/bookings/:id/status
@@ -207,10 +490,10 @@ const getBookingById = async (req, res, next) => {
 const updateBookingStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, changedBy, reason } = req.body || {};
     
     // Validate status
-    const validStatuses = ['confirmed', 'in-progress', 'completed', 'cancelled'];
+    const validStatuses = ['confirmed', 'in-progress', 'completed', 'cancelled', 'expired'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json(
         formatErrorResponse(
@@ -220,11 +503,7 @@ const updateBookingStatus = async (req, res, next) => {
       );
     }
     
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('vehicleId', 'name capacityKg tyres');
+    const booking = await Booking.findById(id);
     
     if (!booking) {
       return res.status(404).json(
@@ -232,6 +511,27 @@ const updateBookingStatus = async (req, res, next) => {
       );
     }
     
+    // Rejects illegal transitions with a 409. Cancellations go through the
+    // cancellation policy so this endpoint cannot bypass its windows and fees.
+    if (status === 'cancelled') {
+      await cancelWithPolicy(booking, { changedBy, reason });
+      
+      // Offer the freed slot to the waitlist
+      await matchWaitlistSafely({ startTime: booking.startTime, endTime: booking.endTime });
+    } else {
+      booking.transitionTo(status, { changedBy, reason });
+      await booking.save();
+      
+      if (status === 'confirmed') {
+        await WaitlistEntry.markFulfilled(booking._id);
+      }
+      
+      if (status === 'completed') {
+        await generateInvoiceSafely(booking);
+      }
+    }
+    await booking.populate('vehicleId', 'name capacityKg tyres');
+    
     console.log(`📝 Booking Status Updated - ID: ${id}, New Status: ${status}`);
     
     res.status(200).json(
@@ -249,10 +549,10 @@ const updateBookingStatus = async (req, res, next) => {
 };
 
 /**
- * Cancel booking (soft delete)
- * DELETE /api/bookings/:id
+ * Preview the fee and refund for cancelling a booking now, without cancelling it
+ * GET /api/bookings/:id/cancellation-quote
  */
-const cancelBooking = async (req, res, next) => {
+const getCancellationQuote = async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -264,39 +564,54 @@ const cancelBooking = async (req, res, next) => {
       );
     }
     
-    // Only allow cancellation of confirmed bookings
-    if (booking.status !== 'confirmed') {
-      return res.status(400).json(
-        formatErrorResponse(
-          'Only confirmed bookings can be cancelled',
-          400
-        )
-      );
-    }
+    const outcome = await evaluateCancellation(booking);
     
-    // Check if booking start time is still in future (allow cancellation buffer)
-    const now = new Date();
-    const bookingStart = new Date(booking.startTime);
-    const hoursUntilStart = (bookingStart - now) / (1000 * 60 * 60);
+    res.status(200).json(
+      formatSuccessResponse(
+        { bookingId: booking._id, totalCost: booking.totalCost, ...outcome },
+        outcome.allowed
+          ? 'Cancellation quote calculated successfully'
+          : 'Booking can no longer be cancelled',
+        200
+      )
+    );
     
-    if (hoursUntilStart < 1) {
-      return res.status(400).json(
-        formatErrorResponse(
-          'Cannot cancel booking within 1 hour of start time',
-          400
-        )
+  } catch (error) {
+    console.error('Error calculating cancellation quote:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel booking (soft delete)
+ * DELETE /api/bookings/:id
+ */
+const cancelBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { changedBy, reason } = req.body || {};
+    
+    const booking = await Booking.findById(id);
+    
+    if (!booking) {
+      return res.status(404).json(
+        formatErrorResponse('Booking not found', 404)
       );
     }
     
-    booking.status = 'cancelled';
-    await booking.save();
+    // The cancellation policy decides whether cancelling is still allowed
+    // and what fee is kept; illegal cancellations are rejected with a 409
+    const { outcome } = await cancelWithPolicy(booking, { changedBy, reason });
     
-    console.log(`❌ Booking Cancelled - ID: ${id}, Customer: ${booking.customerId}`);
+    // Offer the freed slot to the waitlist
+    await matchWaitlistSafely({ startTime: booking.startTime, endTime: booking.endTime });
+    
+    console.log(`❌ Booking Cancelled - ID: ${id}, Customer: ${booking.customerId}, Fee: ${outcome.cancellationFee}`);
     
     res.status(200).json(
       formatSuccessResponse(
         booking,
-        'Booking cancelled successfully',
+        `Booking cancelled successfully. Refund amount: ${outcome.refundAmount}`,
         200
       )
     );
@@ -316,6 +631,14 @@ const getCustomerBookings = async (req, res, next) => {
     const { customerId } = req.params;
     const { limit = 10, status } = req.query;
     
+    const customer = await Customer.findOne({ customerCode: customerId });
+    
+    if (!customer) {
+      return res.status(404).json(
+        formatErrorResponse('Customer not found', 404)
+      );
+    }
+    
     const filter = { customerId };
     if (status) filter.status = status;
     
@@ -339,7 +662,7 @@ const getCustomerBookings = async (req, res, next) => {
     
     res.status(200).json(
       formatSuccessResponse(
-        { bookings, stats },
+        { customer, bookings, stats },
         'Customer bookings retrieved successfully',
         200
       )
@@ -353,9 +676,13 @@ const getCustomerBookings = async (req, res, next) => {
 
 module.exports = {
   createBooking,
+  autoAssign,
   getAllBookings,
   getBookingById,
+  rescheduleBooking,
+  confirmHold,
   updateBookingStatus,
+  getCancellationQuote,
   cancelBooking,
   getCustomerBookings
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Compliance Controller
+ * Handles vehicles' compliance documents and the report of upcoming expiries
+ */
+
+const Vehicle = require('../models/Vehicle');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const {
+  addComplianceDocument,
+  getComplianceDocument,
+  updateComplianceDocument,
+  deleteComplianceDocument,
+  getVehicleCompliance,
+  findExpiringDocuments
+} = require('../services/complianceService');
+
+// Respond 404 and return null when the vehicle does not exist
+const findVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+  
+  if (!vehicle) {
+    res.status(404).json(
+      formatErrorResponse('Vehicle not found', 404)
+    );
+    return null;
+  }
+  
+  return vehicle;
+};
+
+/**
+ * Record a compliance document for a vehicle
+ * POST /api/vehicles/:id/compliance-documents
+ */
+const createComplianceDocument = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const document = await addComplianceDocument(vehicle, req.body);
+    
+    console.log(`📄 Compliance Document Added - Vehicle: ${vehicle.name}, Type: ${document.type}, Expires: ${document.expiryDate.toISOString()}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        document,
+        'Compliance document added successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error adding compliance document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a vehicle's compliance documents and anything stopping it being booked now
+ * GET /api/vehicles/:id/compliance-documents
+ */
+const getVehicleComplianceDocuments = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const { documents, issues } = await getVehicleCompliance(vehicle);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { vehicleId: vehicle._id, compliant: issues.length === 0, issues, documents },
+        'Compliance documents retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting compliance documents:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a compliance document
+ * GET /api/vehicles/:id/compliance-documents/:documentId
+ */
+const getComplianceDocumentById = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const document = await getComplianceDocument(vehicle, req.params.documentId);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        document,
+        'Compliance document retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting compliance document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Correct a compliance document
+ * PATCH /api/vehicles/:id/compliance-documents/:documentId
+ */
+const editComplianceDocument = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const document = await updateComplianceDocument(vehicle, req.params.documentId, req.body);
+    
+    console.log(`📄 Compliance Document Updated - Vehicle: ${vehicle.name}, Type: ${document.type}, Expires: ${document.expiryDate.toISOString()}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        document,
+        'Compliance document updated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating compliance document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a compliance document
+ * DELETE /api/vehicles/:id/compliance-documents/:documentId
+ */
+const removeComplianceDocument = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const document = await deleteComplianceDocument(vehicle, req.params.documentId);
+    
+    console.log(`📄 Compliance Document Deleted - Vehicle: ${vehicle.name}, Type: ${document.type}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        document,
+        'Compliance document deleted successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error deleting compliance document:', error);
+    next(error);
+  }
+};
+
+/**
+ * List compliance documents across the fleet that expire soon and have not been renewed
+ * GET /api/vehicles/compliance-documents/expiring
+ */
+const getExpiringDocuments = async (req, res, next) => {
+  try {
+    const { withinDays, documents } = await findExpiringDocuments(req.query);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { withinDays, documents },
+        `Found ${documents.length} compliance document(s) expiring within ${withinDays} days`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting expiring compliance documents:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createComplianceDocument,
+  getVehicleComplianceDocuments,
+  getComplianceDocumentById,
+  editComplianceDocument,
+  removeComplianceDocument,
+  getExpiringDocuments
+};
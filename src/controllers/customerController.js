@@ -0,0 +1,219 @@
+/**
+ * Customer Controller
+ * Handles customer profiles that bookings are made for
+ */
+
+const Customer = require('../models/Customer');
+const Account = require('../models/Account');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const { nextCustomerCode } = require('../services/customerService');
+
+/**
+ * Create a customer
+ * POST /api/customers
+ */
+const createCustomer = async (req, res, next) => {
+  try {
+    if (req.body.accountId && !await Account.exists({ _id: req.body.accountId })) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    const customerCode = req.body.customerCode || await nextCustomerCode();
+    
+    const existing = await Customer.findOne({ customerCode });
+    if (existing) {
+      return res.status(409).json(
+        formatErrorResponse(`Customer ${customerCode} already exists`, 409)
+      );
+    }
+    
+    const customer = await Customer.create({ ...req.body, customerCode });
+    
+    console.log(`👤 Customer Created - ${customer.customerCode}, Name: ${customer.name}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        customer,
+        'Customer created successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get customers with filtering and pagination
+ * GET /api/customers
+ */
+const getAllCustomers = async (req, res, next) => {
+  try {
+    const { status, search, page = 1, limit = 50 } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (status) filter.status = status;
+    
+    // Case-insensitive match on name or customer code
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { customerCode: pattern }];
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const customers = await Customer.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+      
+    // Get total count for pagination
+    const total = await Customer.countDocuments(filter);
+    
+    const response = {
+      customers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalCustomers: total,
+        hasNext: skip + customers.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Customers retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting customers:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get customer by ID or customer code
+ * GET /api/customers/:id
+ */
+const getCustomerById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const customer = await Customer.findByIdOrCode(id);
+    
+    if (!customer) {
+      return res.status(404).json(
+        formatErrorResponse('Customer not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        customer,
+        'Customer retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting customer by ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a customer's profile, credit limit or status
+ * PATCH /api/customers/:id
+ */
+const updateCustomer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const customer = await Customer.findByIdOrCode(id);
+    
+    if (!customer) {
+      return res.status(404).json(
+        formatErrorResponse('Customer not found', 404)
+      );
+    }
+    
+    if (req.body.accountId && !await Account.exists({ _id: req.body.accountId })) {
+      return res.status(404).json(
+        formatErrorResponse('Account not found', 404)
+      );
+    }
+    
+    customer.set(req.body);
+    const updatedCustomer = await customer.save();
+    
+    console.log(`👤 Customer Updated - ${updatedCustomer.customerCode}, Status: ${updatedCustomer.status}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        updatedCustomer,
+        'Customer updated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    next(error);
+  }
+};
+
+/**
+ * Close a customer account. It is kept, since bookings and invoices reference it.
+ * DELETE /api/customers/:id
+ */
+const closeCustomer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const customer = await Customer.findByIdOrCode(id);
+    
+    if (!customer) {
+      return res.status(404).json(
+        formatErrorResponse('Customer not found', 404)
+      );
+    }
+    
+    customer.status = 'closed';
+    const closedCustomer = await customer.save();
+    
+    console.log(`👤 Customer Closed - ${closedCustomer.customerCode}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        closedCustomer,
+        'Customer account closed successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error closing customer:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  closeCustomer
+};
@@ -0,0 +1,174 @@
+/**
+ * Invoice Controller
+ * Handles generating and retrieving GST invoices for completed bookings
+ */
+
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const { renderInvoiceHtml } = require('../utils/invoiceHtml');
+const { generateInvoice } = require('../services/invoiceService');
+
+/**
+ * Generate the invoice for a completed booking, e.g. if automatic generation
+ * failed. Returns the existing invoice if the booking was already invoiced.
+ * POST /api/invoices
+ */
+const createInvoice = async (req, res, next) => {
+  try {
+    const { bookingId } = req.body;
+    
+    const booking = await Booking.findById(bookingId);
+    
+    if (!booking) {
+      return res.status(404).json(
+        formatErrorResponse('Booking not found', 404)
+      );
+    }
+    
+    const { invoice, created } = await generateInvoice(booking);
+    
+    if (created) {
+      console.log(`🧾 Invoice Generated - ${invoice.invoiceNumber}, Booking: ${bookingId}, Total: ₹${invoice.grandTotal}`);
+    }
+    
+    res.status(created ? 201 : 200).json(
+      formatSuccessResponse(
+        invoice,
+        created ? 'Invoice generated successfully' : 'Booking was already invoiced',
+        created ? 201 : 200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get invoices with filtering and pagination
+ * GET /api/invoices
+ */
+const getAllInvoices = async (req, res, next) => {
+  try {
+    const {
+      customerId,
+      bookingId,
+      fromDate,
+      toDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (customerId) filter.customerId = customerId;
+    if (bookingId) filter.bookingId = bookingId;
+    
+    // Date range filtering on the invoice date
+    if (fromDate || toDate) {
+      filter.issuedAt = {};
+      if (fromDate) filter.issuedAt.$gte = new Date(fromDate);
+      if (toDate) filter.issuedAt.$lte = new Date(toDate);
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const invoices = await Invoice.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+      
+    // Get total count for pagination
+    const total = await Invoice.countDocuments(filter);
+    
+    const response = {
+      invoices,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalInvoices: total,
+        hasNext: skip + invoices.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Invoices retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting invoices:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get invoice by ID as JSON
+ * GET /api/invoices/:id
+ */
+const getInvoiceById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const invoice = await Invoice.findById(id);
+    
+    if (!invoice) {
+      return res.status(404).json(
+        formatErrorResponse('Invoice not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        invoice,
+        'Invoice retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting invoice by ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get invoice by ID as a printable HTML page
+ * GET /api/invoices/:id/html
+ */
+const getInvoiceHtml = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const invoice = await Invoice.findById(id);
+    
+    if (!invoice) {
+      return res.status(404).json(
+        formatErrorResponse('Invoice not found', 404)
+      );
+    }
+    
+    res.status(200).type('html').send(renderInvoiceHtml(invoice));
+    
+  } catch (error) {
+    console.error('Error rendering invoice:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvoice,
+  getAllInvoices,
+  getInvoiceById,
+  getInvoiceHtml
+};
@@ -0,0 +1,177 @@
+/**
+ * Maintenance Controller
+ * Handles the maintenance windows scheduled for each vehicle
+ */
+
+const Vehicle = require('../models/Vehicle');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const {
+  createMaintenanceWindows,
+  getMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindows
+} = require('../services/maintenanceService');
+
+// Respond 404 and return null when the vehicle does not exist
+const findVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+  
+  if (!vehicle) {
+    res.status(404).json(
+      formatErrorResponse('Vehicle not found', 404)
+    );
+    return null;
+  }
+  
+  return vehicle;
+};
+
+/**
+ * Schedule a maintenance window, or a recurring service schedule, for a vehicle
+ * POST /api/vehicles/:id/maintenance-windows
+ */
+const scheduleMaintenance = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const windows = await createMaintenanceWindows(vehicle, req.body);
+    
+    console.log(`🛠️ Maintenance Scheduled - Vehicle: ${vehicle.name}, Windows: ${windows.length}, From: ${windows[0].startTime.toISOString()}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        { vehicleId: vehicle._id, windows },
+        `Scheduled ${windows.length} maintenance window(s)`,
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error scheduling maintenance:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a vehicle's maintenance windows - current and upcoming unless includePast is set
+ * GET /api/vehicles/:id/maintenance-windows
+ */
+const getVehicleMaintenanceWindows = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const filter = { vehicleId: vehicle._id };
+    if (req.query.includePast !== 'true') {
+      filter.endTime = { $gt: new Date() };
+    }
+    
+    const windows = await MaintenanceWindow.find(filter).sort({ startTime: 1 });
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { vehicleId: vehicle._id, windows },
+        'Maintenance windows retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting maintenance windows:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one maintenance window
+ * GET /api/vehicles/:id/maintenance-windows/:windowId
+ */
+const getMaintenanceWindowById = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const window = await getMaintenanceWindow(vehicle, req.params.windowId);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        window,
+        'Maintenance window retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting maintenance window:', error);
+    next(error);
+  }
+};
+
+/**
+ * Move or shorten a maintenance window, or change its reason
+ * PATCH /api/vehicles/:id/maintenance-windows/:windowId
+ */
+const editMaintenanceWindow = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const window = await updateMaintenanceWindow(vehicle, req.params.windowId, req.body);
+    
+    console.log(`🛠️ Maintenance Window Updated - Vehicle: ${vehicle.name}, ${window.startTime.toISOString()} → ${window.endTime.toISOString()}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        window,
+        'Maintenance window updated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating maintenance window:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a maintenance window, or it and the later windows of its schedule
+ * DELETE /api/vehicles/:id/maintenance-windows/:windowId
+ */
+const removeMaintenanceWindow = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+    
+    const deletedCount = await deleteMaintenanceWindows(vehicle, req.params.windowId, {
+      scope: req.query.scope
+    });
+    
+    console.log(`🛠️ Maintenance Cancelled - Vehicle: ${vehicle.name}, Windows: ${deletedCount}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { deletedCount },
+        `Deleted ${deletedCount} maintenance window(s)`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  scheduleMaintenance,
+  getVehicleMaintenanceWindows,
+  getMaintenanceWindowById,
+  editMaintenanceWindow,
+  removeMaintenanceWindow
+};
@@ -0,0 +1,183 @@
+/**
+ * Payment Controller
+ * Handles booking payments: starting, capturing and refunding them
+ */
+
+const Payment = require('../models/Payment');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const {
+  createPayment,
+  capturePayment,
+  refundPayment
+} = require('../services/paymentService');
+
+/**
+ * Start a payment for a booking. Returns the payment already awaiting capture, if any.
+ * POST /api/payments
+ */
+const startPayment = async (req, res, next) => {
+  try {
+    const { bookingId } = req.body;
+    
+    const { payment, created } = await createPayment(bookingId);
+    
+    if (created) {
+      console.log(`💳 Payment Started - Booking: ${bookingId}, Amount: ₹${payment.amount}, Gateway: ${payment.gateway}`);
+    }
+    
+    res.status(created ? 201 : 200).json(
+      formatSuccessResponse(
+        payment,
+        created ? 'Payment started successfully' : 'Booking already has a payment awaiting capture',
+        created ? 201 : 200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    next(error);
+  }
+};
+
+/**
+ * Capture a pending payment, confirming a booking held until paid
+ * POST /api/payments/:id/capture
+ */
+const captureBookingPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const { payment, booking } = await capturePayment(id, req.body);
+    
+    console.log(`💳 Payment Captured - ID: ${id}, Booking: ${booking._id}, Amount: ₹${payment.amountCaptured}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { payment, booking },
+        'Payment captured successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+    next(error);
+  }
+};
+
+/**
+ * Refund some or all of a captured payment
+ * POST /api/payments/:id/refunds
+ */
+const createRefund = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const { payment, refund } = await refundPayment(id, req.body);
+    
+    console.log(`💸 Payment Refunded - ID: ${id}, Amount: ₹${refund.amount}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        { payment, refund },
+        'Refund issued successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get payments with filtering and pagination
+ * GET /api/payments
+ */
+const getAllPayments = async (req, res, next) => {
+  try {
+    const { bookingId, customerId, status, page = 1, limit = 50 } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (bookingId) filter.bookingId = bookingId;
+    if (customerId) filter.customerId = customerId;
+    if (status) filter.status = status;
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const payments = await Payment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+      
+    // Get total count for pagination
+    const total = await Payment.countDocuments(filter);
+    
+    const response = {
+      payments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalPayments: total,
+        hasNext: skip + payments.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Payments retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting payments:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get payment by ID
+ * GET /api/payments/:id
+ */
+const getPaymentById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const payment = await Payment.findById(id);
+    
+    if (!payment) {
+      return res.status(404).json(
+        formatErrorResponse('Payment not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        payment,
+        'Payment retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting payment by ID:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  startPayment,
+  captureBookingPayment,
+  createRefund,
+  getAllPayments,
+  getPaymentById
+};
@@ -0,0 +1,213 @@
+/**
+ * Promo Code Controller
+ * Handles admin management of discount campaigns
+ */
+
+const PromoCode = require('../models/PromoCode');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+
+/**
+ * Create a promo code
+ * POST /api/promo-codes
+ */
+const createPromoCode = async (req, res, next) => {
+  try {
+    const existing = await PromoCode.findByCode(req.body.code);
+    
+    if (existing) {
+      return res.status(409).json(
+        formatErrorResponse(`Promo code ${existing.code} already exists`, 409)
+      );
+    }
+    
+    const promoCode = await PromoCode.create(req.body);
+    
+    console.log(`🏷️ Promo Code Created - ${promoCode.code}, ${promoCode.discountType === 'percent' ? `${promoCode.amount}%` : `₹${promoCode.amount}`} off`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        promoCode,
+        'Promo code created successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get promo codes with filtering and pagination
+ * GET /api/promo-codes
+ */
+const getAllPromoCodes = async (req, res, next) => {
+  try {
+    const { active, page = 1, limit = 50 } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (active !== undefined) filter.active = active === 'true';
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const promoCodes = await PromoCode.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+      
+    // Get total count for pagination
+    const total = await PromoCode.countDocuments(filter);
+    
+    const response = {
+      promoCodes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalPromoCodes: total,
+        hasNext: skip + promoCodes.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Promo codes retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting promo codes:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get promo code by ID
+ * GET /api/promo-codes/:id
+ */
+const getPromoCodeById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promoCode = await PromoCode.findById(id);
+    
+    if (!promoCode) {
+      return res.status(404).json(
+        formatErrorResponse('Promo code not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        promoCode,
+        'Promo code retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting promo code by ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code's terms. Bookings that already used it keep their discount.
+ * PATCH /api/promo-codes/:id
+ */
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promoCode = await PromoCode.findById(id);
+    
+    if (!promoCode) {
+      return res.status(404).json(
+        formatErrorResponse('Promo code not found', 404)
+      );
+    }
+    
+    promoCode.set(req.body);
+    
+    // Checked on the merged terms, since either field may be changed alone
+    if (promoCode.discountType === 'percent' && promoCode.amount > 100) {
+      return res.status(400).json(
+        formatErrorResponse('A percent discount cannot exceed 100', 400)
+      );
+    }
+    
+    if (promoCode.validUntil && promoCode.validUntil <= promoCode.validFrom) {
+      return res.status(400).json(
+        formatErrorResponse('Valid until must be after valid from', 400)
+      );
+    }
+    
+    const updatedPromoCode = await promoCode.save();
+    
+    console.log(`🏷️ Promo Code Updated - ${updatedPromoCode.code}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        updatedPromoCode,
+        'Promo code updated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a promo code. It is kept, since bookings reference it.
+ * DELETE /api/promo-codes/:id
+ */
+const deactivatePromoCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      id,
+      { active: false },
+      { new: true }
+    );
+    
+    if (!promoCode) {
+      return res.status(404).json(
+        formatErrorResponse('Promo code not found', 404)
+      );
+    }
+    
+    console.log(`🏷️ Promo Code Deactivated - ${promoCode.code}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        promoCode,
+        'Promo code deactivated successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error deactivating promo code:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  getAllPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deactivatePromoCode
+};
@@ -0,0 +1,44 @@
+/**
+ * Quote Controller
+ * Handles itemized price quotes for a trip
+ */
+
+const { formatSuccessResponse } = require('../utils/helpers');
+const { getQuotes: quoteTrip } = require('../services/quoteService');
+
+/**
+ * Quote a trip on every available vehicle, with an itemized price and a signed
+ * quote ID that locks the price when passed to POST /api/bookings
+ * GET /api/quotes
+ */
+const getQuotes = async (req, res, next) => {
+  try {
+    const { quotes, estimatedRideDurationHours, expiresAt } = await quoteTrip(req.query);
+    
+    const { capacityRequired, fromPincode, toPincode } = req.query;
+    console.log(`🧾 Quotes Issued - ${quotes.length} vehicles, Capacity: ${capacityRequired}kg, Route: ${fromPincode} → ${toPincode}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        {
+          quotes,
+          estimatedRideDurationHours,
+          expiresAt,
+          totalQuotes: quotes.length
+        },
+        quotes.length > 0
+          ? `${quotes.length} quotes valid until ${expiresAt.toISOString()}`
+          : 'No vehicles available for the specified criteria',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting quotes:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getQuotes
+};
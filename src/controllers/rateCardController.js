@@ -0,0 +1,138 @@
+/**
+ * Rate Card Controller
+ * Handles publishing and viewing versioned rate cards
+ */
+
+const RateCard = require('../models/RateCard');
+const {
+  formatSuccessResponse,
+  formatErrorResponse
+} = require('../utils/helpers');
+const { getRateCards } = require('../services/pricingService');
+
+/**
+ * Publish a new rate card version for a vehicle type
+ * POST /api/rate-cards
+ */
+const publishRateCard = async (req, res, next) => {
+  try {
+    const rateCard = await RateCard.publish(req.body);
+    
+    console.log(`💰 Rate Card Published - Type: ${rateCard.vehicleType}, Version: ${rateCard.version}, Effective: ${rateCard.effectiveFrom.toISOString()}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        rateCard,
+        'Rate card published successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    // Two publishes for the same type raced for the same version number
+    if (error.code === 11000) {
+      return res.status(409).json(
+        formatErrorResponse(
+          'Another rate card version was published at the same time, please retry',
+          409
+        )
+      );
+    }
+    console.error('Error publishing rate card:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get rate card versions, newest first
+ * GET /api/rate-cards
+ */
+const getAllRateCards = async (req, res, next) => {
+  try {
+    const { vehicleType } = req.query;
+    
+    const filter = {};
+    if (vehicleType) filter.vehicleType = vehicleType;
+    
+    const rateCards = await RateCard.find(filter).sort({ vehicleType: 1, version: -1 });
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        rateCards,
+        'Rate cards retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting rate cards:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the rate card in effect for each vehicle type (version 0 is the built-in default)
+ * GET /api/rate-cards/active
+ */
+const getActiveRateCards = async (req, res, next) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    
+    if (isNaN(at.getTime())) {
+      return res.status(400).json(
+        formatErrorResponse('at must be a valid date', 400)
+      );
+    }
+    
+    const rateCards = await getRateCards(at);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        rateCards,
+        'Active rate cards retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting active rate cards:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get rate card by ID
+ * GET /api/rate-cards/:id
+ */
+const getRateCardById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const rateCard = await RateCard.findById(id);
+    
+    if (!rateCard) {
+      return res.status(404).json(
+        formatErrorResponse('Rate card not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        rateCard,
+        'Rate card retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting rate card by ID:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  publishRateCard,
+  getAllRateCards,
+  getActiveRateCards,
+  getRateCardById
+};
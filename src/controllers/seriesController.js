@@ -0,0 +1,119 @@
+/**
+ * Series Controller
+ * Handles recurring booking series (daily/weekly schedules)
+ */
+
+const {
+  formatSuccessResponse
+} = require('../utils/helpers');
+const {
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries
+} = require('../services/seriesService');
+
+/**
+ * Create a recurring booking series
+ * POST /api/bookings/series
+ */
+const createBookingSeries = async (req, res, next) => {
+  try {
+    const { series, bookings, skipped } = await createSeries(req.body);
+    
+    console.log(`🔄 Booking Series Created - ID: ${series._id}, Customer: ${series.customerId}, Occurrences: ${bookings.length}, Skipped: ${skipped.length}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        { series, bookings, skipped },
+        skipped.length > 0
+          ? `Booking series created with ${bookings.length} occurrences; ${skipped.length} skipped due to conflicts`
+          : `Booking series created with ${bookings.length} occurrences`,
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error creating booking series:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a booking series with its occurrences
+ * GET /api/bookings/series/:id
+ */
+const getBookingSeries = async (req, res, next) => {
+  try {
+    const { series, bookings } = await getSeries(req.params.id);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { series, bookings },
+        'Booking series retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting booking series:', error);
+    next(error);
+  }
+};
+
+/**
+ * Edit all upcoming occurrences of a booking series
+ * PATCH /api/bookings/series/:id
+ */
+const updateBookingSeries = async (req, res, next) => {
+  try {
+    const { series, bookings } = await updateSeries(req.params.id, req.body);
+    
+    console.log(`🔁 Booking Series Updated - ID: ${series._id}, Occurrences: ${bookings.length}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { series, bookings },
+        `Updated ${bookings.length} upcoming occurrences`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating booking series:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel all upcoming occurrences of a booking series
+ * DELETE /api/bookings/series/:id
+ */
+const cancelBookingSeries = async (req, res, next) => {
+  try {
+    const { changedBy, reason } = req.body || {};
+    const { series, results } = await cancelSeries(req.params.id, { changedBy, reason });
+    const cancelledCount = results.filter(result => result.cancelled).length;
+    
+    console.log(`❌ Booking Series Cancelled - ID: ${series._id}, Occurrences: ${cancelledCount}/${results.length}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { series, results },
+        `Cancelled ${cancelledCount} of ${results.length} upcoming occurrences`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error cancelling booking series:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createBookingSeries,
+  getBookingSeries,
+  updateBookingSeries,
+  cancelBookingSeries
+};
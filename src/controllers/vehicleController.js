@@ -10,6 +10,15 @@ const {
   formatErrorResponse,
   calculateRideDuration 
 } = require('../utils/helpers');
+const { findAvailableVehiclesForWindow } = require('../services/availabilityService');
+const { suggestAlternatives } = require('../services/suggestionService');
+const { matchWaitlistSafely } = require('../services/waitlistService');
+const {
+  updateVehicleDetails,
+  deleteVehicle,
+  changeVehicleStatus
+} = require('../services/vehicleService');
+const { getVehicleSchedule, getFleetSchedule } = require('../services/scheduleService');
 
 /**
  * Add a new vehicle to the fleet
@@ -17,13 +26,27 @@ const {
  */
 const addVehicle = async (req, res, next) => {
   try {
-    const { name, capacityKg, tyres } = req.body;
+    const {
+      name,
+      capacityKg,
+      tyres,
+      registrationNumber,
+      bodyType,
+      fuelType,
+      cargoVolumeCubicM,
+      features
+    } = req.body;
     
     // Create new vehicle
     const vehicle = new Vehicle({
       name,
       capacityKg,
-      tyres
+      tyres,
+      registrationNumber,
+      bodyType,
+      fuelType,
+      cargoVolumeCubicM,
+      features
     });
     
     // Save to database
@@ -49,7 +72,19 @@ const addVehicle = async (req, res, next) => {
  */
 const findAvailableVehicles = async (req, res, next) => {
   try {
-    const { capacityRequired, fromPincode, toPincode, startTime } = req.query;
+    const {
+      capacityRequired,
+      fromPincode,
+      toPincode,
+      startTime,
+      features,
+      bodyType,
+      minVolume,
+      suggestAlternatives: suggest,
+      searchWindowHours,
+      page = 1,
+      limit
+    } = req.query;
     
     // Calculate estimated ride duration
     const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
@@ -58,61 +93,92 @@ const findAvailableVehicles = async (req, res, next) => {
     const bookingStartTime = new Date(startTime);
     const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
     
-    // Find all vehicles that meet capacity requirements and are active
-    const suitableVehicles = await Vehicle.find({
-      capacityKg: { $gte: parseInt(capacityRequired) },
-      status: 'active'
-    }).sort({ capacityKg: 1 }); // Sort by capacity (ascending) for better optimization
+    // Find active vehicles with enough capacity and the required equipment that are free for the window
+    const { suitableCount, availableCount, availableVehicles: freeVehicles } = await findAvailableVehiclesForWindow({
+      capacityRequired,
+      startTime: bookingStartTime,
+      endTime: bookingEndTime,
+      features,
+      bodyType,
+      minVolume,
+      page,
+      limit
+    });
     
-    if (suitableVehicles.length === 0) {
+    if (suitableCount === 0) {
       return res.status(200).json(
         formatSuccessResponse(
           [],
-          'No vehicles found with required capacity',
+          features || bodyType || minVolume
+            ? 'No vehicles found with required capacity, features, body type and volume'
+            : 'No vehicles found with required capacity',
           200
         )
       );
     }
     
-    // Check availability for each suitable vehicle
-    const availableVehicles = [];
+    const availableVehicles = freeVehicles.map(vehicle => ({
+      ...vehicle.toJSON(),
+      estimatedRideDurationHours,
+      route: {
+        from: fromPincode,
+        to: toPincode
+      },
+      timeWindow: {
+        start: bookingStartTime,
+        end: bookingEndTime
+      }
+    }));
+    
+    // Log search details for monitoring
+    console.log(`🔍 Vehicle Search - Capacity: ${capacityRequired}kg, Route: ${fromPincode} → ${toPincode}, Time: ${startTime}${features ? `, Features: ${features}` : ''}${bodyType ? `, Body: ${bodyType}` : ''}`);
+    console.log(`📋 Found ${availableCount} available vehicles out of ${suitableCount} suitable vehicles`);
     
-    for (const vehicle of suitableVehicles) {
-      // Find any overlapping bookings for this vehicle
-      const overlappingBookings = await Booking.findOverlappingBookings(
-        vehicle._id,
-        bookingStartTime,
-        bookingEndTime
-      );
-      
-      // If no overlapping bookings, vehicle is available
-      if (overlappingBookings.length === 0) {
-        availableVehicles.push({
-          ...vehicle.toJSON(),
-          estimatedRideDurationHours,
-          route: {
-            from: fromPincode,
-            to: toPincode
-          },
-          timeWindow: {
-            start: bookingStartTime,
-            end: bookingEndTime
-          }
-        });
+    // Pages are only given when a limit is set; otherwise every available vehicle is returned
+    const pagination = limit
+      ? {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(availableCount / parseInt(limit)),
+        totalAvailable: availableCount,
+        hasNext: (parseInt(page) - 1) * parseInt(limit) + availableVehicles.length < availableCount,
+        hasPrev: parseInt(page) > 1
       }
+      : undefined;
+    
+    if (availableCount > 0 || suggest !== 'true') {
+      return res.status(200).json({
+        ...formatSuccessResponse(
+          availableVehicles,
+          availableCount > 0
+            ? `Found ${availableCount} available vehicles`
+            : 'Found 0 available vehicles. Join the waitlist via POST /api/waitlist to be offered the next free slot',
+          200
+        ),
+        pagination
+      });
     }
     
-    // Log search details for monitoring
-    console.log(`🔍 Vehicle Search - Capacity: ${capacityRequired}kg, Route: ${fromPincode} → ${toPincode}, Time: ${startTime}`);
-    console.log(`📋 Found ${availableVehicles.length} available vehicles out of ${suitableVehicles.length} suitable vehicles`);
+    // Nothing is free - look for nearby start times and near misses instead
+    const suggestions = await suggestAlternatives({
+      capacityRequired,
+      startTime: bookingStartTime,
+      endTime: bookingEndTime,
+      features,
+      bodyType,
+      minVolume
+    }, { searchWindowHours });
     
-    res.status(200).json(
-      formatSuccessResponse(
+    res.status(200).json({
+      ...formatSuccessResponse(
         availableVehicles,
-        `Found ${availableVehicles.length} available vehicles`,
+        suggestions.alternativeStartTimes.length > 0
+          ? `Found 0 available vehicles; the nearest free start time is ${suggestions.alternativeStartTimes[0].startTime.toISOString()}`
+          : 'Found 0 available vehicles. Join the waitlist via POST /api/waitlist to be offered the next free slot',
         200
-      )
-    );
+      ),
+      pagination,
+      suggestions
+    });
     
   } catch (error) {
     console.error('Error finding available vehicles:', error);
@@ -126,11 +192,12 @@ const findAvailableVehicles = async (req, res, next) => {
  */
 const getAllVehicles = async (req, res, next) => {
   try {
-    const { status, minCapacity, maxCapacity, page = 1, limit = 50 } = req.query;
+    const { status, minCapacity, maxCapacity, includeDeleted, page = 1, limit = 50 } = req.query;
     
-    // Build filter query
+    // Build filter query - deleted vehicles are hidden unless asked for
     const filter = {};
     if (status) filter.status = status;
+    if (includeDeleted !== 'true') filter.deletedAt = null;
     if (minCapacity) filter.capacityKg = { $gte: parseInt(minCapacity) };
     if (maxCapacity) {
       if (filter.capacityKg) {
@@ -225,6 +292,60 @@ const getVehicleById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a vehicle's bookings, maintenance windows and free slots in a time range
+ * GET /api/vehicles/:id/schedule
+ */
+const getVehicleScheduleById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const vehicle = await Vehicle.findById(id);
+    
+    if (!vehicle) {
+      return res.status(404).json(
+        formatErrorResponse('Vehicle not found', 404)
+      );
+    }
+    
+    const schedule = await getVehicleSchedule(vehicle, req.query);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        schedule,
+        `Schedule retrieved: ${schedule.blocks.length} booking(s) and maintenance window(s), ${schedule.freeSlots.length} free slot(s)`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting vehicle schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the schedule of every vehicle in the fleet for a time range
+ * GET /api/vehicles/schedule
+ */
+const getFleetScheduleView = async (req, res, next) => {
+  try {
+    const schedule = await getFleetSchedule(req.query);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        schedule,
+        'Fleet schedule retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting fleet schedule:', error);
+    next(error);
+  }
+};
+
 /**
  * Update vehicle status (for maintenance, retirement, etc.)
  * PATCH /api/vehicles/:id/status
@@ -232,37 +353,116 @@ const getVehicleById = async (req, res, next) => {
 const updateVehicleStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, onFutureBookings, changedBy, reason } = req.body;
     
-    // Validate status
-    if (!['active', 'maintenance', 'retired'].includes(status)) {
-      return res.status(400).json(
-        formatErrorResponse('Invalid status. Must be: active, maintenance, or retired', 400)
+    const vehicle = await Vehicle.findById(id);
+    
+    if (!vehicle) {
+      return res.status(404).json(
+        formatErrorResponse('Vehicle not found', 404)
+      );
+    }
+    
+    // Upcoming bookings are blocked on, reassigned or cancelled when the vehicle leaves service
+    const { vehicle: updatedVehicle, bookings } = await changeVehicleStatus(vehicle, status, {
+      onFutureBookings,
+      changedBy,
+      reason
+    });
+    
+    // A vehicle back in service may serve waitlisted requests
+    if (status === 'active') {
+      await matchWaitlistSafely();
+    }
+    
+    const count = (outcome) => bookings.filter(booking => booking.outcome === outcome).length;
+    
+    if (bookings.length > 0) {
+      console.log(`🔧 Vehicle Withdrawn - ${updatedVehicle.name} (${status}), Bookings reassigned: ${count('reassigned')}, cancelled: ${count('cancelled')}, failed: ${count('failed')}`);
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        { vehicle: updatedVehicle, bookings },
+        bookings.length > 0
+          ? `Vehicle status updated to ${status}; ${count('reassigned')} upcoming booking(s) reassigned, ${count('cancelled')} cancelled, ${count('failed')} failed`
+          : `Vehicle status updated to ${status}`,
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error updating vehicle status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a vehicle's name, capacity or tyres
+ * PATCH /api/vehicles/:id
+ */
+const updateVehicle = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const vehicle = await Vehicle.findById(id);
+    
+    if (!vehicle) {
+      return res.status(404).json(
+        formatErrorResponse('Vehicle not found', 404)
       );
     }
     
-    const vehicle = await Vehicle.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
+    const updatedVehicle = await updateVehicleDetails(vehicle, req.body);
+    
+    console.log(`🚚 Vehicle Updated - ${updatedVehicle.name}, Capacity: ${updatedVehicle.capacityKg}kg, Tyres: ${updatedVehicle.tyres}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        updatedVehicle,
+        'Vehicle updated successfully',
+        200
+      )
     );
     
+  } catch (error) {
+    console.error('Error updating vehicle:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a vehicle, keeping it as retired when past bookings reference it
+ * DELETE /api/vehicles/:id
+ */
+const removeVehicle = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const vehicle = await Vehicle.findById(id);
+    
     if (!vehicle) {
       return res.status(404).json(
         formatErrorResponse('Vehicle not found', 404)
       );
     }
     
+    const { vehicle: deletedVehicle, softDeleted } = await deleteVehicle(vehicle);
+    
+    console.log(`🗑️ Vehicle Deleted - ${deletedVehicle.name}${softDeleted ? ' (retired, booking history kept)' : ''}`);
+    
     res.status(200).json(
       formatSuccessResponse(
-        vehicle,
-        `Vehicle status updated to ${status}`,
+        { vehicle: deletedVehicle, softDeleted },
+        softDeleted
+          ? 'Vehicle retired and marked deleted; its booking history is kept'
+          : 'Vehicle deleted successfully',
         200
       )
     );
     
   } catch (error) {
-    console.error('Error updating vehicle status:', error);
+    console.error('Error deleting vehicle:', error);
     next(error);
   }
 };
@@ -272,5 +472,9 @@ module.exports = {
   findAvailableVehicles,
   getAllVehicles,
   getVehicleById,
+  getVehicleScheduleById,
+  getFleetScheduleView,
+  updateVehicle,
+  removeVehicle,
   updateVehicleStatus
 };
\ No newline at end of file
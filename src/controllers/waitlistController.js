@@ -0,0 +1,231 @@
+/**
+ * Waitlist Controller
+ * Handles joining, listing and leaving the waitlist for fully booked slots
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Booking = require('../models/Booking');
+const {
+  formatSuccessResponse,
+  formatErrorResponse,
+  calculateRideDuration,
+  parseFeatureList
+} = require('../utils/helpers');
+const { findAvailableVehiclesForWindow } = require('../services/availabilityService');
+const { getBookableCustomer } = require('../services/customerService');
+
+/**
+ * Join the waitlist for a capacity, route and time window with no free vehicle
+ * POST /api/waitlist
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const { customerId, capacityRequired, fromPincode, toPincode, startTime, bodyType, minVolume } = req.body;
+    const features = parseFeatureList(req.body.features);
+    
+    // Only customers who may book can wait for a vehicle
+    await getBookableCustomer(customerId);
+    
+    // Calculate ride duration and end time
+    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
+    const bookingStartTime = new Date(startTime);
+    const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
+    
+    // The waitlist is for demand that cannot be served right now
+    const { availableVehicles } = await findAvailableVehiclesForWindow({
+      capacityRequired,
+      startTime: bookingStartTime,
+      endTime: bookingEndTime,
+      features,
+      bodyType,
+      minVolume
+    });
+    
+    if (availableVehicles.length > 0) {
+      return res.status(409).json(
+        formatErrorResponse(
+          'Vehicles are available for this request, please book directly',
+          409,
+          { availableVehicles: availableVehicles.length }
+        )
+      );
+    }
+    
+    const entry = await WaitlistEntry.create({
+      customerId,
+      capacityRequired,
+      fromPincode,
+      toPincode,
+      startTime: bookingStartTime,
+      endTime: bookingEndTime,
+      estimatedRideDurationHours,
+      features,
+      bodyType,
+      minVolume
+    });
+    
+    // Position among waiting entries competing for an overlapping window
+    const position = await WaitlistEntry.countDocuments({
+      status: 'waiting',
+      startTime: { $lt: bookingEndTime },
+      endTime: { $gt: bookingStartTime },
+      createdAt: { $lte: entry.createdAt }
+    });
+    
+    console.log(`⏳ Waitlist Joined - Customer: ${customerId}, Capacity: ${capacityRequired}kg, Route: ${fromPincode} → ${toPincode}`);
+    
+    res.status(201).json(
+      formatSuccessResponse(
+        { entry, position },
+        'Added to waitlist successfully',
+        201
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get waitlist entries with filtering and pagination
+ * GET /api/waitlist
+ */
+const getWaitlist = async (req, res, next) => {
+  try {
+    const { customerId, status, page = 1, limit = 50 } = req.query;
+    
+    // Build filter query
+    const filter = {};
+    if (customerId) filter.customerId = customerId;
+    if (status) filter.status = status;
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Oldest first - the order entries are matched in
+    const entries = await WaitlistEntry.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+      
+    // Get total count for pagination
+    const total = await WaitlistEntry.countDocuments(filter);
+    
+    const response = {
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalEntries: total,
+        hasNext: skip + entries.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    };
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        response,
+        'Waitlist retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting waitlist:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get waitlist entry by ID
+ * GET /api/waitlist/:id
+ */
+const getWaitlistEntryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const entry = await WaitlistEntry.findById(id)
+      .populate('offer.vehicleId', 'name capacityKg tyres');
+    
+    if (!entry) {
+      return res.status(404).json(
+        formatErrorResponse('Waitlist entry not found', 404)
+      );
+    }
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        entry,
+        'Waitlist entry retrieved successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error getting waitlist entry by ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Leave the waitlist, releasing any hold offered to the entry
+ * DELETE /api/waitlist/:id
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const entry = await WaitlistEntry.findById(id);
+    
+    if (!entry) {
+      return res.status(404).json(
+        formatErrorResponse('Waitlist entry not found', 404)
+      );
+    }
+    
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json(
+        formatErrorResponse(`Cannot leave the waitlist from status ${entry.status}`, 400)
+      );
+    }
+    
+    // Release the offered hold so the slot goes to the next customer
+    if (entry.status === 'offered') {
+      const booking = await Booking.findById(entry.offer.bookingId);
+      
+      if (booking && booking.status === 'held') {
+        booking.transitionTo('cancelled', {
+          changedBy: entry.customerId,
+          reason: 'Waitlist offer declined'
+        });
+        await booking.save();
+      }
+    }
+    
+    entry.status = 'cancelled';
+    await entry.save();
+    
+    console.log(`🚪 Waitlist Left - ID: ${id}, Customer: ${entry.customerId}`);
+    
+    res.status(200).json(
+      formatSuccessResponse(
+        entry,
+        'Removed from waitlist successfully',
+        200
+      )
+    );
+    
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistEntryById,
+  leaveWaitlist
+};
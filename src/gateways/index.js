@@ -0,0 +1,43 @@
+/**
+ * Payment Gateways
+ * Looks up the adapter payments are taken through
+ *
+ * Every adapter exposes the same interface, with amounts in major currency units
+ * (rupees) - adapters for gateways that work in minor units convert internally:
+ *
+ *   name                                              Gateway name stored on payments
+ *   createIntent({ amount, currency, metadata })      -> { intentId, clientSecret }
+ *   captureIntent(intentId, { paymentMethod })        -> { chargeId, amount }
+ *   cancelIntent(intentId)                            -> { intentId }
+ *   refundCharge(chargeId, { amount, reason })        -> { refundId, amount }
+ *
+ * Failures reported by the gateway (declined cards, unknown intents) are thrown as
+ * PaymentGatewayError; anything else is treated as a server error.
+ */
+
+const paymentConfig = require('../config/payments');
+const mockGateway = require('./mockGateway');
+
+const gateways = {
+  [mockGateway.name]: mockGateway
+};
+
+/**
+ * Get a gateway adapter by name
+ *
+ * @param {string} name - Gateway name, defaults to PAYMENT_GATEWAY
+ * @returns {Object} Gateway adapter
+ */
+const getGateway = (name = paymentConfig.gateway) => {
+  const gateway = gateways[name];
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway "${name}". Available: ${Object.keys(gateways).join(', ')}`);
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  getGateway
+};
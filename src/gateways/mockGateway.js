@@ -0,0 +1,88 @@
+/**
+ * Mock Payment Gateway
+ * In-memory gateway for development and tests. Nothing is charged and state is lost
+ * on restart. Capture with paymentMethod 'pm_mock_declined' to simulate a declined card.
+ */
+
+const crypto = require('crypto');
+const { PaymentGatewayError } = require('../utils/errors');
+
+const DECLINED_PAYMENT_METHOD = 'pm_mock_declined';
+
+const intents = new Map();
+const charges = new Map();
+
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const findIntent = (intentId) => {
+  const intent = intents.get(intentId);
+
+  if (!intent) {
+    throw new PaymentGatewayError(`No such payment intent: ${intentId}`, 'resource_missing');
+  }
+
+  return intent;
+};
+
+const createIntent = async ({ amount, currency, metadata = {} }) => {
+  const intentId = newId('pi');
+
+  intents.set(intentId, { amount, currency, metadata, status: 'requires_capture' });
+
+  return { intentId, clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}` };
+};
+
+const captureIntent = async (intentId, { paymentMethod } = {}) => {
+  const intent = findIntent(intentId);
+
+  if (intent.status !== 'requires_capture') {
+    throw new PaymentGatewayError(`Payment intent is ${intent.status}`, 'intent_unexpected_state');
+  }
+
+  if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+    throw new PaymentGatewayError('Your card was declined', 'card_declined');
+  }
+
+  const chargeId = newId('ch');
+  intent.status = 'succeeded';
+  charges.set(chargeId, { amount: intent.amount, refunded: 0 });
+
+  return { chargeId, amount: intent.amount };
+};
+
+const cancelIntent = async (intentId) => {
+  const intent = findIntent(intentId);
+
+  if (intent.status === 'succeeded') {
+    throw new PaymentGatewayError('A captured payment intent cannot be cancelled', 'intent_unexpected_state');
+  }
+
+  intent.status = 'canceled';
+
+  return { intentId };
+};
+
+const refundCharge = async (chargeId, { amount }) => {
+  const charge = charges.get(chargeId);
+
+  if (!charge) {
+    throw new PaymentGatewayError(`No such charge: ${chargeId}`, 'resource_missing');
+  }
+
+  // Compared in paise to avoid floating point drift
+  if (Math.round((charge.refunded + amount) * 100) > Math.round(charge.amount * 100)) {
+    throw new PaymentGatewayError('Refund exceeds the amount charged', 'amount_too_large');
+  }
+
+  charge.refunded += amount;
+
+  return { refundId: newId('re'), amount };
+};
+
+module.exports = {
+  name: 'mock',
+  createIntent,
+  captureIntent,
+  cancelIntent,
+  refundCharge
+};
@@ -0,0 +1,32 @@
+/**
+ * Hold Expiry Job
+ * Moves tentative holds past their holdExpiresAt to 'expired', along with the
+ * waitlist entries whose window started or whose offered hold lapsed. A lapsed
+ * offer's slot is offered to the next waiting entry.
+ */
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const bookingConfig = require('../config/booking');
+const { expireLapsedOffers } = require('../services/waitlistService');
+
+const run = async () => {
+  const result = await Booking.expireLapsedHolds();
+
+  if (result.modifiedCount > 0) {
+    console.log(`⌛ Expired ${result.modifiedCount} lapsed booking holds`);
+  }
+
+  const { expired: lapsedOffers } = await expireLapsedOffers();
+  const expiredEntries = await WaitlistEntry.expireStale() + lapsedOffers;
+
+  if (expiredEntries > 0) {
+    console.log(`⌛ Expired ${expiredEntries} stale waitlist entries`);
+  }
+};
+
+module.exports = {
+  name: 'hold-expiry',
+  intervalMs: bookingConfig.holdExpiryIntervalMs,
+  run
+};
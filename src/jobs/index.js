@@ -0,0 +1,31 @@
+/**
+ * Background Jobs
+ * Registers periodic maintenance jobs and runs each on its own interval
+ */
+
+const holdExpiry = require('./holdExpiry');
+const monthlyStatements = require('./monthlyStatements');
+const maintenanceStatus = require('./maintenanceStatus');
+
+const jobs = [holdExpiry, monthlyStatements, maintenanceStatus];
+
+/**
+ * Start all background jobs. Timers are unref'd so they never keep the process alive.
+ */
+const startJobs = () => {
+  for (const job of jobs) {
+    const timer = setInterval(async () => {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Error running ${job.name} job:`, error);
+      }
+    }, job.intervalMs);
+
+    timer.unref();
+  }
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,22 @@
+/**
+ * Maintenance Status Job
+ * Switches vehicles to 'maintenance' while one of their maintenance windows is under
+ * way, and back to 'active' once their windows have ended
+ */
+
+const bookingConfig = require('../config/booking');
+const { syncMaintenanceStatuses } = require('../services/maintenanceService');
+
+const run = async () => {
+  const { started, ended } = await syncMaintenanceStatuses();
+
+  if (started > 0 || ended > 0) {
+    console.log(`🛠️ Maintenance windows: ${started} vehicles into maintenance, ${ended} back in service`);
+  }
+};
+
+module.exports = {
+  name: 'maintenance-status',
+  intervalMs: bookingConfig.maintenanceStatusIntervalMs,
+  run
+};
@@ -0,0 +1,22 @@
+/**
+ * Monthly Statements Job
+ * Once a month has ended, bills each corporate account for its completed bookings
+ * on one consolidated statement. Runs repeatedly; accounts already billed are skipped.
+ */
+
+const taxConfig = require('../config/tax');
+const { generateMonthlyStatements } = require('../services/accountService');
+
+const run = async () => {
+  const statements = await generateMonthlyStatements();
+
+  if (statements.length > 0) {
+    console.log(`🧾 Generated ${statements.length} monthly account statements`);
+  }
+};
+
+module.exports = {
+  name: 'monthly-statements',
+  intervalMs: taxConfig.statementJobIntervalMs,
+  run
+};
@@ -4,6 +4,7 @@
  */
 
 const { formatErrorResponse } = require('../utils/helpers.js');
+const { AppError } = require('../utils/errors.js');
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -12,6 +13,17 @@ const errorHandler = (err, req, res, next) => {
   // Log error for debugging
   console.error('Error:', err);
 
+  // Application errors raised by models and services
+  if (err instanceof AppError) {
+    error = formatErrorResponse(err.message, err.statusCode, err.details);
+  }
+
+  // Mongoose optimistic concurrency conflict
+  if (err.name === 'VersionError') {
+    const message = 'Resource was modified by another request, please retry';
+    error = formatErrorResponse(message, 409);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Invalid ID format';
@@ -0,0 +1,157 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a create request is retried with the same Idempotency-Key
+ */
+
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const idempotencyConfig = require('../config/idempotency');
+const { formatErrorResponse } = require('../utils/helpers');
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash equally
+ * regardless of key order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+};
+
+/**
+ * Claim a key for this request, or return the existing record for it.
+ * An expired record that MongoDB has not removed yet is discarded and the key reclaimed.
+ *
+ * @returns {Promise<Object>} { record, created }
+ */
+const claimKey = async (key, scope, requestHash) => {
+  const expiresAt = new Date(Date.now() + idempotencyConfig.ttlHours * 60 * 60 * 1000);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await IdempotencyRecord.create({ key, scope, requestHash, expiresAt });
+      return { record, created: true };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const existing = await IdempotencyRecord.findOne({ key, scope });
+
+    if (existing && existing.expiresAt > new Date()) {
+      return { record: existing, created: false };
+    }
+
+    await IdempotencyRecord.deleteOne({ key, scope, expiresAt: { $lte: new Date() } });
+  }
+
+  throw new Error('Could not claim idempotency key');
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json(
+      formatErrorResponse('Idempotency-Key cannot exceed 255 characters', 400)
+    );
+  }
+
+  try {
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+    const { record, created } = await claimKey(key, scope, requestHash);
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json(
+          formatErrorResponse(
+            'Idempotency-Key was already used with a different request body',
+            422
+          )
+        );
+      }
+
+      if (record.status === 'processing') {
+        return res.status(409).json(
+          formatErrorResponse(
+            'A request with this Idempotency-Key is still being processed',
+            409,
+            { suggestedAction: 'Retry after the original request completes' }
+          )
+        );
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Store the response before sending it, so a retry after the client receives
+    // it always finds the completed record
+    const sendJson = res.json.bind(res);
+    let stored = false;
+
+    res.json = (body) => {
+      stored = true;
+      const store = res.statusCode >= 500
+        // Server errors are not final - free the key so the client can retry
+        ? IdempotencyRecord.deleteOne({ _id: record._id })
+        : IdempotencyRecord.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: 'completed',
+              statusCode: res.statusCode,
+              // Store exactly what the client receives, after toJSON transforms
+              responseBody: JSON.parse(JSON.stringify(body))
+            }
+          }
+        );
+
+      store
+        .exec()
+        .catch(error => console.error('Error storing idempotent response:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    // A response sent without res.json, or none at all before the client went away,
+    // cannot be replayed - free the key rather than leave it processing until it expires
+    res.on('close', () => {
+      if (!stored) {
+        IdempotencyRecord.deleteOne({ _id: record._id })
+          .exec()
+          .catch(error => console.error('Error releasing idempotency key:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Error handling idempotency key:', error);
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -6,6 +6,16 @@
 const Joi = require('joi');
 const { formatErrorResponse } = require('../utils/helpers.js');
 
+// A vehicle feature tag, e.g. tail-lift, gps, hazmat-certified
+const featureSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+  .max(50)
+  .messages({
+    'string.pattern.base': 'Features must be lowercase words joined by hyphens, e.g. tail-lift'
+  });
+
 // Vehicle creation validation schema
 const vehicleSchema = Joi.object({
   name: Joi.string()
@@ -44,10 +54,85 @@ const vehicleSchema = Joi.object({
       'number.min': 'Vehicle must have at least 2 tyres',
       'number.max': 'Vehicle cannot have more than 18 tyres',
       'any.required': 'Number of tyres is required'
+    }),
+    
+  registrationNumber: Joi.string()
+    .trim()
+    .replace(/[\s-]/g, '')
+    .uppercase()
+    .pattern(/^([A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}|\d{2}BH\d{4}[A-Z]{1,2})$/)
+    .messages({
+      'string.pattern.base': 'Registration number must be a valid Indian registration, e.g. MH12AB1234'
+    }),
+    
+  bodyType: Joi.string()
+    .valid('open', 'container', 'refrigerated', 'tanker')
+    .messages({
+      'any.only': 'Body type must be one of: open, container, refrigerated, tanker'
+    }),
+    
+  fuelType: Joi.string()
+    .valid('diesel', 'petrol', 'cng', 'lng', 'electric', 'hybrid')
+    .messages({
+      'any.only': 'Fuel type must be one of: diesel, petrol, cng, lng, electric, hybrid'
+    }),
+    
+  cargoVolumeCubicM: Joi.number()
+    .min(0)
+    .max(200)
+    .messages({
+      'number.base': 'Cargo volume must be a number',
+      'number.min': 'Cargo volume cannot be negative',
+      'number.max': 'Cargo volume cannot exceed 200 cubic metres'
+    }),
+    
+  features: Joi.array()
+    .items(featureSchema)
+    .unique()
+    .max(20)
+    .messages({
+      'array.unique': 'Features cannot repeat',
+      'array.max': 'A vehicle can have at most 20 features'
     })
 });
 
-// Vehicle availability search validation schema
+// Vehicle edit validation schema - any of the creation fields, at least one
+const vehicleUpdateSchema = vehicleSchema
+  .fork(['name', 'capacityKg', 'tyres'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Vehicle status change validation schema - onFutureBookings decides what happens to
+// upcoming bookings when the vehicle is taken out of service
+const vehicleStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid('active', 'maintenance', 'retired')
+    .required()
+    .messages({
+      'any.only': 'Invalid status. Must be: active, maintenance, or retired',
+      'any.required': 'Invalid status. Must be: active, maintenance, or retired'
+    }),
+
+  onFutureBookings: Joi.string()
+    .valid('block', 'reassign', 'cancel')
+    .default('block')
+    .messages({
+      'any.only': 'onFutureBookings must be one of: block, reassign, cancel'
+    }),
+
+  changedBy: Joi.string()
+    .trim()
+    .max(100),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+});
+
+// Vehicle availability search validation schema - capacity, route and time, optionally
+// narrowed to vehicles with every required feature, a body type and enough cargo space
 const availabilitySchema = Joi.object({
   capacityRequired: Joi.number()
     .positive()
@@ -91,6 +176,109 @@ const availabilitySchema = Joi.object({
       'date.format': 'Start time must be in ISO format',
       'date.min': 'Start time must be in the future',
       'any.required': 'Start time is required'
+    }),
+    
+  // A list or a comma-separated string, e.g. features=tail-lift,gps
+  features: Joi.alternatives()
+    .try(
+      Joi.array().items(featureSchema),
+      Joi.string().trim().pattern(/^[a-zA-Z0-9-]+(\s*,\s*[a-zA-Z0-9-]+)*$/)
+    )
+    .messages({
+      'alternatives.match': 'Features must be a list or a comma-separated string of feature tags',
+      'string.pattern.base': 'Features must be a comma-separated list of feature tags, e.g. tail-lift,gps'
+    }),
+    
+  bodyType: vehicleSchema.extract('bodyType'),
+    
+  minVolume: Joi.number()
+    .min(0)
+    .max(200)
+    .messages({
+      'number.base': 'Minimum volume must be a number',
+      'number.min': 'Minimum volume cannot be negative',
+      'number.max': 'Minimum volume cannot exceed 200 cubic metres'
+    })
+});
+
+// Vehicle search validation schema - an availability search that may ask for
+// alternative slots when no vehicle is free, and may be paged
+const vehicleSearchSchema = availabilitySchema.keys({
+  suggestAlternatives: Joi.boolean()
+    .messages({
+      'boolean.base': 'suggestAlternatives must be true or false'
+    }),
+    
+  searchWindowHours: Joi.number()
+    .integer()
+    .min(1)
+    .max(168)
+    .messages({
+      'number.base': 'Search window must be a number of hours',
+      'number.min': 'Search window must be at least 1 hour',
+      'number.max': 'Search window cannot exceed 168 hours'
+    }),
+    
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+    
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 500'
+    })
+});
+
+// Vehicle and fleet schedule validation schema - a range of at most MAX_SCHEDULE_RANGE_DAYS
+const scheduleSchema = Joi.object({
+  from: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Schedule start (from) must be a valid date',
+      'date.format': 'Schedule start (from) must be in ISO format'
+    }),
+    
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+    .messages({
+      'date.base': 'Schedule end (to) must be a valid date',
+      'date.format': 'Schedule end (to) must be in ISO format',
+      'date.greater': 'Schedule end (to) must be after its start (from)'
+    }),
+    
+  // Fleet schedule only
+  status: Joi.string()
+    .valid('active', 'maintenance', 'retired')
+    .messages({
+      'any.only': 'Status must be one of: active, maintenance, retired'
+    }),
+    
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+    
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 200'
     })
 });
 
@@ -137,6 +325,63 @@ const bookingSchema = Joi.object({
       'any.required': 'To pincode is required'
     }),
     
+  cargoWeightKg: Joi.number()
+    .positive()
+    .max(50000)
+    .messages({
+      'number.base': 'Cargo weight must be a number',
+      'number.positive': 'Cargo weight must be a positive number',
+      'number.max': 'Cargo weight cannot exceed 50,000 kg'
+    }),
+    
+  cargo: Joi.object({
+    description: Joi.string()
+      .trim()
+      .max(500)
+      .messages({
+        'string.max': 'Cargo description cannot exceed 500 characters'
+      }),
+    volumeCubicM: Joi.number()
+      .positive()
+      .messages({
+        'number.base': 'Cargo volume must be a number',
+        'number.positive': 'Cargo volume must be a positive number'
+      }),
+    isHazardous: Joi.boolean()
+      .messages({
+        'boolean.base': 'Hazardous flag must be true or false'
+      })
+  }),
+    
+  billingDetails: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(200)
+      .messages({
+        'string.max': 'Billing name cannot exceed 200 characters'
+      }),
+    gstin: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+      .messages({
+        'string.pattern.base': 'GSTIN must be a valid 15-character GST number'
+      }),
+    address: Joi.string()
+      .trim()
+      .max(500)
+      .messages({
+        'string.max': 'Billing address cannot exceed 500 characters'
+      }),
+    email: Joi.string()
+      .trim()
+      .email()
+      .max(200)
+      .messages({
+        'string.email': 'Billing email must be a valid email address'
+      })
+  }),
+    
   startTime: Joi.date()
     .iso()
     .min('now')
@@ -146,6 +391,689 @@ const bookingSchema = Joi.object({
       'date.format': 'Start time must be in ISO format',
       'date.min': 'Start time must be in the future',
       'any.required': 'Start time is required'
+    }),
+    
+  hold: Joi.boolean()
+    .messages({
+      'boolean.base': 'Hold must be true or false'
+    }),
+    
+  quoteId: Joi.string()
+    .trim()
+    .max(2048)
+    .messages({
+      'string.max': 'Quote ID is too long'
+    }),
+    
+  promoCode: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]{3,30}$/)
+    .messages({
+      'string.pattern.base': 'Promo code must be 3-30 letters, digits, hyphens or underscores'
+    })
+});
+
+// Auto-assign validation schema - a booking request without a vehicle, plus the capacity to fit
+const autoAssignSchema = bookingSchema
+  .keys({
+    capacityRequired: availabilitySchema.extract('capacityRequired'),
+    strategy: Joi.string()
+      .valid('smallest-capacity', 'least-utilized', 'cheapest')
+      .messages({
+        'any.only': 'Strategy must be one of: smallest-capacity, least-utilized, cheapest'
+      })
+  })
+  .fork(['vehicleId', 'cargoWeightKg', 'hold', 'quoteId', 'promoCode'], () => Joi.any().strip());
+
+// Waitlist join validation schema - an availability search plus the waiting customer
+const waitlistSchema = availabilitySchema.keys({
+  customerId: bookingSchema.extract('customerId')
+});
+
+// Price quote validation schema - an availability search plus what the price depends on
+const quoteSchema = availabilitySchema.keys({
+  customerId: bookingSchema.extract('customerId').optional(),
+  isHazardous: Joi.boolean()
+    .messages({
+      'boolean.base': 'isHazardous must be true or false'
+    }),
+  promoCode: bookingSchema.extract('promoCode')
+});
+
+// Booking reschedule validation schema - every field is optional, but at least one is required
+const rescheduleSchema = Joi.object({
+  vehicleId: Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.empty': 'Vehicle ID cannot be empty',
+      'string.pattern.base': 'Vehicle ID must be a valid MongoDB ObjectId'
+    }),
+    
+  fromPincode: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.empty': 'From pincode cannot be empty',
+      'string.pattern.base': 'From pincode must be exactly 6 digits'
+    }),
+    
+  toPincode: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.empty': 'To pincode cannot be empty',
+      'string.pattern.base': 'To pincode must be exactly 6 digits'
+    }),
+    
+  startTime: Joi.date()
+    .iso()
+    .min('now')
+    .messages({
+      'date.base': 'Start time must be a valid date',
+      'date.format': 'Start time must be in ISO format',
+      'date.min': 'Start time must be in the future'
+    })
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one of vehicleId, fromPincode, toPincode or startTime'
+  });
+
+// Recurring booking series validation schema - a booking request plus its recurrence rule
+const seriesSchema = bookingSchema
+  .keys({
+    recurrence: Joi.object({
+      frequency: Joi.string()
+        .valid('daily', 'weekly')
+        .required()
+        .messages({
+          'any.only': 'Recurrence frequency must be daily or weekly',
+          'any.required': 'Recurrence frequency is required'
+        }),
+      interval: Joi.number()
+        .integer()
+        .min(1)
+        .max(52)
+        .messages({
+          'number.base': 'Recurrence interval must be a number',
+          'number.min': 'Recurrence interval must be at least 1',
+          'number.max': 'Recurrence interval cannot exceed 52'
+        }),
+      daysOfWeek: Joi.array()
+        .items(Joi.number().integer().min(0).max(6))
+        .unique()
+        .min(1)
+        .messages({
+          'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+          'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+          'array.unique': 'Days of week cannot repeat'
+        }),
+      until: Joi.date()
+        .iso()
+        .greater(Joi.ref('...startTime'))
+        .messages({
+          'date.base': 'Recurrence end date must be a valid date',
+          'date.greater': 'Recurrence end date must be after the start time'
+        }),
+      count: Joi.number()
+        .integer()
+        .min(1)
+        .messages({
+          'number.base': 'Recurrence count must be a number',
+          'number.min': 'Recurrence count must be at least 1'
+        })
+    })
+      .or('until', 'count')
+      .required()
+      .messages({
+        'object.missing': 'Recurrence needs an until date or an occurrence count',
+        'any.required': 'Recurrence rule is required'
+      }),
+      
+    allOrNothing: Joi.boolean()
+      .messages({
+        'boolean.base': 'allOrNothing must be true or false'
+      })
+  })
+  .fork(['hold', 'quoteId', 'promoCode'], () => Joi.any().strip());
+
+// Maintenance window validation schema - one window, or a recurring service schedule
+// using the same recurrence rule as booking series
+const maintenanceWindowSchema = Joi.object({
+  startTime: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Start time must be a valid date',
+      'date.format': 'Start time must be in ISO format',
+      'any.required': 'Start time is required'
+    }),
+
+  endTime: Joi.date()
+    .iso()
+    .greater(Joi.ref('startTime'))
+    .min('now')
+    .required()
+    .messages({
+      'date.base': 'End time must be a valid date',
+      'date.format': 'End time must be in ISO format',
+      'date.greater': 'End time must be after the start time',
+      'date.min': 'End time must be in the future',
+      'any.required': 'End time is required'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    }),
+
+  recurrence: seriesSchema.extract('recurrence').optional()
+});
+
+// Maintenance window edit validation schema - a single window, not its schedule
+const maintenanceWindowUpdateSchema = maintenanceWindowSchema
+  .fork(['recurrence'], () => Joi.any().strip())
+  .fork(['startTime'], (schema) => schema.optional())
+  .keys({
+    endTime: Joi.date()
+      .iso()
+      .min('now')
+      .messages({
+        'date.base': 'End time must be a valid date',
+        'date.format': 'End time must be in ISO format',
+        'date.min': 'End time must be in the future'
+      })
+  })
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Compliance document validation schema - insurance, fitness certificate, PUC or permit
+const complianceDocumentSchema = Joi.object({
+  type: Joi.string()
+    .valid('insurance', 'fitness-certificate', 'puc', 'national-permit', 'state-permit')
+    .required()
+    .messages({
+      'any.only': 'Document type must be one of: insurance, fitness-certificate, puc, national-permit, state-permit',
+      'any.required': 'Document type is required'
+    }),
+    
+  documentNumber: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'string.empty': 'Document number is required',
+      'string.max': 'Document number cannot exceed 50 characters',
+      'any.required': 'Document number is required'
+    }),
+    
+  issueDate: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Issue date must be a valid date',
+      'date.format': 'Issue date must be in ISO format',
+      'any.required': 'Issue date is required'
+    }),
+    
+  expiryDate: Joi.date()
+    .iso()
+    .when('issueDate', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('issueDate')) })
+    .required()
+    .messages({
+      'date.base': 'Expiry date must be a valid date',
+      'date.format': 'Expiry date must be in ISO format',
+      'date.greater': 'Expiry date must be after the issue date',
+      'any.required': 'Expiry date is required'
+    }),
+    
+  // Storage key or URL of the uploaded scan
+  fileReference: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'File reference cannot exceed 500 characters'
+    })
+});
+
+// Compliance document edit validation schema
+const complianceDocumentUpdateSchema = complianceDocumentSchema
+  .fork(['type', 'documentNumber', 'issueDate', 'expiryDate'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Expiring compliance documents report validation schema
+const expiringDocumentsSchema = Joi.object({
+  withinDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .messages({
+      'number.base': 'withinDays must be a number of days',
+      'number.min': 'withinDays must be at least 1',
+      'number.max': 'withinDays cannot exceed 365'
+    }),
+    
+  includeExpired: Joi.boolean()
+    .messages({
+      'boolean.base': 'includeExpired must be true or false'
+    })
+});
+
+// Recurring booking series edit validation schema - applies to all upcoming occurrences
+const seriesUpdateSchema = Joi.object({
+  vehicleId: rescheduleSchema.extract('vehicleId'),
+  fromPincode: rescheduleSchema.extract('fromPincode'),
+  toPincode: rescheduleSchema.extract('toPincode'),
+  timeOfDay: Joi.string()
+    .trim()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({
+      'string.pattern.base': 'Time of day must be in HH:mm format (UTC)'
+    })
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one of vehicleId, fromPincode, toPincode or timeOfDay'
+  });
+
+// Rate card validation schema - publishes a new version for a vehicle type
+const rateCardSchema = Joi.object({
+  vehicleType: Joi.string()
+    .valid('Small', 'Medium', 'Large', 'Heavy Duty')
+    .required()
+    .messages({
+      'any.only': 'Vehicle type must be one of: Small, Medium, Large, Heavy Duty',
+      'any.required': 'Vehicle type is required'
+    }),
+    
+  baseFare: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Base fare must be a number',
+      'number.min': 'Base fare cannot be negative',
+      'any.required': 'Base fare is required'
+    }),
+    
+  perKm: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Per-km rate must be a number',
+      'number.min': 'Per-km rate cannot be negative',
+      'any.required': 'Per-km rate is required'
+    }),
+    
+  perHour: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Per-hour rate must be a number',
+      'number.min': 'Per-hour rate cannot be negative',
+      'any.required': 'Per-hour rate is required'
+    }),
+    
+  perTonne: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Per-tonne rate must be a number',
+      'number.min': 'Per-tonne rate cannot be negative'
+    }),
+    
+  minimumCharge: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Minimum charge must be a number',
+      'number.min': 'Minimum charge cannot be negative'
+    }),
+    
+  surcharges: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      type: Joi.string().valid('flat', 'percent').required(),
+      amount: Joi.number().min(0).required(),
+      appliesTo: Joi.string().valid('always', 'hazardous-cargo')
+    }))
+    .max(20)
+    .messages({
+      'array.max': 'A rate card cannot have more than 20 surcharges'
+    }),
+    
+  effectiveFrom: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'Effective from must be in ISO format (YYYY-MM-DDTHH:mm:ssZ)'
+    }),
+    
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+// Invoice generation validation schema - backfills the invoice for a completed booking
+const invoiceSchema = Joi.object({
+  bookingId: Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.empty': 'Booking ID is required',
+      'string.pattern.base': 'Booking ID must be a valid MongoDB ObjectId',
+      'any.required': 'Booking ID is required'
+    })
+});
+
+// Promo code validation schema - creates a discount campaign
+const promoCodeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]{3,30}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Promo code must be 3-30 letters, digits, hyphens or underscores',
+      'any.required': 'Promo code is required'
+    }),
+    
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+    
+  discountType: Joi.string()
+    .valid('percent', 'flat')
+    .required()
+    .messages({
+      'any.only': 'Discount type must be either percent or flat',
+      'any.required': 'Discount type is required'
+    }),
+    
+  amount: Joi.number()
+    .positive()
+    .when('discountType', { is: 'percent', then: Joi.number().max(100) })
+    .required()
+    .messages({
+      'number.base': 'Discount amount must be a number',
+      'number.positive': 'Discount amount must be positive',
+      'number.max': 'A percent discount cannot exceed 100',
+      'any.required': 'Discount amount is required'
+    }),
+    
+  maxDiscount: Joi.number()
+    .positive()
+    .messages({
+      'number.base': 'Maximum discount must be a number',
+      'number.positive': 'Maximum discount must be positive'
+    }),
+    
+  minimumOrderValue: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Minimum order value must be a number',
+      'number.min': 'Minimum order value cannot be negative'
+    }),
+    
+  vehicleTypes: Joi.array()
+    .items(Joi.string().valid('Small', 'Medium', 'Large', 'Heavy Duty'))
+    .unique()
+    .messages({
+      'any.only': 'Vehicle types must be Small, Medium, Large or Heavy Duty'
+    }),
+    
+  validFrom: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'Valid from must be in ISO format'
+    }),
+    
+  validUntil: Joi.date()
+    .iso()
+    .when('validFrom', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('validFrom')) })
+    .messages({
+      'date.format': 'Valid until must be in ISO format',
+      'date.greater': 'Valid until must be after valid from'
+    }),
+    
+  maxRedemptions: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.min': 'Maximum redemptions must be at least 1'
+    }),
+    
+  maxRedemptionsPerCustomer: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.min': 'Maximum redemptions per customer must be at least 1'
+    }),
+    
+  active: Joi.boolean()
+});
+
+// Promo code edit validation schema - the code itself and its usage count cannot change
+const promoCodeUpdateSchema = promoCodeSchema
+  .fork(['code'], () => Joi.any().strip())
+  .fork(['discountType', 'amount'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Customer validation schema - the customer code is generated when not given
+const customerSchema = Joi.object({
+  customerCode: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .messages({
+      'string.max': 'Customer code cannot exceed 50 characters'
+    }),
+    
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Customer name is required',
+      'string.min': 'Customer name must be at least 2 characters long',
+      'string.max': 'Customer name cannot exceed 200 characters',
+      'any.required': 'Customer name is required'
+    }),
+    
+  contact: Joi.object({
+    person: Joi.string().trim().max(200),
+    email: Joi.string()
+      .trim()
+      .email()
+      .max(200)
+      .messages({
+        'string.email': 'Contact email must be a valid email address'
+      }),
+    phone: Joi.string()
+      .trim()
+      .pattern(/^\+?[0-9 -]{7,20}$/)
+      .messages({
+        'string.pattern.base': 'Contact phone must be 7-20 digits, optionally starting with +'
+      })
+  }),
+    
+  gstin: bookingSchema.extract('billingDetails').extract('gstin'),
+    
+  billingAddress: Joi.object({
+    line1: Joi.string().trim().max(200),
+    line2: Joi.string().trim().max(200),
+    city: Joi.string().trim().max(100),
+    state: Joi.string().trim().max(100),
+    pincode: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Billing pincode must be exactly 6 digits'
+      })
+  }),
+    
+  // null detaches the customer from its account
+  accountId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Account ID must be a valid MongoDB ObjectId'
+    }),
+    
+  creditLimit: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Credit limit must be a number',
+      'number.min': 'Credit limit cannot be negative'
+    }),
+    
+  status: Joi.string()
+    .valid('active', 'suspended', 'closed')
+    .messages({
+      'any.only': 'Status must be one of: active, suspended, closed'
+    }),
+    
+  notes: Joi.string()
+    .trim()
+    .max(1000)
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters'
+    })
+});
+
+// Customer edit validation schema - the customer code cannot change, since bookings use it
+const customerUpdateSchema = customerSchema
+  .fork(['customerCode'], () => Joi.any().strip())
+  .fork(['name'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Corporate account validation schema
+const accountSchema = Joi.object({
+  accountCode: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .messages({
+      'string.max': 'Account code cannot exceed 50 characters'
+    }),
+    
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Account name is required',
+      'string.min': 'Account name must be at least 2 characters long',
+      'string.max': 'Account name cannot exceed 200 characters',
+      'any.required': 'Account name is required'
+    }),
+    
+  contact: customerSchema.extract('contact'),
+  gstin: customerSchema.extract('gstin'),
+  billingAddress: customerSchema.extract('billingAddress'),
+    
+  creditLimit: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Credit limit must be a number',
+      'number.min': 'Credit limit cannot be negative',
+      'any.required': 'Credit limit is required'
+    }),
+    
+  // Negotiated rates replace the matching rate card fields for the vehicle type
+  rateOverrides: Joi.array()
+    .items(Joi.object({
+      vehicleType: rateCardSchema.extract('vehicleType'),
+      baseFare: Joi.number().min(0),
+      perKm: Joi.number().min(0),
+      perHour: Joi.number().min(0),
+      perTonne: Joi.number().min(0),
+      minimumCharge: Joi.number().min(0)
+    }).or('baseFare', 'perKm', 'perHour', 'perTonne', 'minimumCharge'))
+    .unique('vehicleType')
+    .messages({
+      'array.unique': 'Only one rate override is allowed per vehicle type',
+      'object.missing': 'A rate override must set at least one rate'
+    }),
+    
+  status: Joi.string()
+    .valid('active', 'suspended', 'closed')
+    .messages({
+      'any.only': 'Status must be one of: active, suspended, closed'
+    }),
+    
+  notes: customerSchema.extract('notes')
+});
+
+// Account edit validation schema - the account code cannot change, since statements use it
+const accountUpdateSchema = accountSchema
+  .fork(['accountCode'], () => Joi.any().strip())
+  .fork(['name', 'creditLimit'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Statement generation validation schema - defaults to the previous month
+const statementSchema = Joi.object({
+  month: Joi.string()
+    .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .messages({
+      'string.pattern.base': 'Month must be in YYYY-MM format'
+    })
+});
+
+// Payment validation schema - starts a payment for a booking
+const paymentSchema = invoiceSchema;
+
+// Payment capture validation schema
+const paymentCaptureSchema = Joi.object({
+  // Payment method token from the gateway's client SDK
+  paymentMethod: Joi.string()
+    .trim()
+    .max(200)
+    .messages({
+      'string.max': 'Payment method cannot exceed 200 characters'
+    })
+});
+
+// Refund validation schema - the full refundable amount when no amount is given
+const refundSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .messages({
+      'number.base': 'Refund amount must be a number',
+      'number.positive': 'Refund amount must be greater than 0'
+    }),
+    
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'Refund reason cannot exceed 500 characters'
     })
 });
 
@@ -186,7 +1114,33 @@ validate = (schema, source = 'body') => {
 // Export validation middlewares
 module.exports = {
   validateVehicle: validate(vehicleSchema, 'body'),
-  validateAvailability: validate(availabilitySchema, 'query'),
+  validateVehicleUpdate: validate(vehicleUpdateSchema, 'body'),
+  validateVehicleStatus: validate(vehicleStatusSchema, 'body'),
+  validateAvailability: validate(vehicleSearchSchema, 'query'),
+  validateSchedule: validate(scheduleSchema, 'query'),
   validateBooking: validate(bookingSchema, 'body'),
+  validateReschedule: validate(rescheduleSchema, 'body'),
+  validateAutoAssign: validate(autoAssignSchema, 'body'),
+  validateWaitlist: validate(waitlistSchema, 'body'),
+  validateQuote: validate(quoteSchema, 'query'),
+  validateSeries: validate(seriesSchema, 'body'),
+  validateSeriesUpdate: validate(seriesUpdateSchema, 'body'),
+  validateMaintenanceWindow: validate(maintenanceWindowSchema, 'body'),
+  validateMaintenanceWindowUpdate: validate(maintenanceWindowUpdateSchema, 'body'),
+  validateComplianceDocument: validate(complianceDocumentSchema, 'body'),
+  validateComplianceDocumentUpdate: validate(complianceDocumentUpdateSchema, 'body'),
+  validateExpiringDocuments: validate(expiringDocumentsSchema, 'query'),
+  validateRateCard: validate(rateCardSchema, 'body'),
+  validateInvoice: validate(invoiceSchema, 'body'),
+  validatePromoCode: validate(promoCodeSchema, 'body'),
+  validatePromoCodeUpdate: validate(promoCodeUpdateSchema, 'body'),
+  validateCustomer: validate(customerSchema, 'body'),
+  validateCustomerUpdate: validate(customerUpdateSchema, 'body'),
+  validateAccount: validate(accountSchema, 'body'),
+  validateAccountUpdate: validate(accountUpdateSchema, 'body'),
+  validateStatement: validate(statementSchema, 'body'),
+  validatePayment: validate(paymentSchema, 'body'),
+  validatePaymentCapture: validate(paymentCaptureSchema, 'body'),
+  validateRefund: validate(refundSchema, 'body'),
   validate
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Account Model
+ * Corporate accounts grouping customers that book on credit, with negotiated rates
+ * and a consolidated monthly statement
+ */
+
+const mongoose = require('mongoose');
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'closed'];
+
+// Negotiated rates for one vehicle type. Fields left unset keep the published rate card value.
+const rateOverrideSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    required: [true, 'Vehicle type is required'],
+    enum: ['Small', 'Medium', 'Large', 'Heavy Duty']
+  },
+  baseFare: {
+    type: Number,
+    min: [0, 'Base fare cannot be negative']
+  },
+  perKm: {
+    type: Number,
+    min: [0, 'Per-km rate cannot be negative']
+  },
+  perHour: {
+    type: Number,
+    min: [0, 'Per-hour rate cannot be negative']
+  },
+  perTonne: {
+    type: Number,
+    min: [0, 'Per-tonne rate cannot be negative']
+  },
+  minimumCharge: {
+    type: Number,
+    min: [0, 'Minimum charge cannot be negative']
+  }
+}, { _id: false });
+
+const accountSchema = new mongoose.Schema({
+  // Account reference printed on statements, e.g. ACC000012
+  accountCode: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Account code cannot exceed 50 characters']
+  },
+
+  // Company name
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [200, 'Account name cannot exceed 200 characters']
+  },
+
+  // Accounts payable contact that statements are sent to
+  contact: {
+    person: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Contact person cannot exceed 200 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [200, 'Email cannot exceed 200 characters']
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Phone number cannot exceed 20 characters']
+    }
+  },
+
+  // GST registration, printed on statements
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'GSTIN must be a valid 15-character GST number']
+  },
+
+  billingAddress: {
+    line1: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    line2: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City cannot exceed 100 characters']
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'State cannot exceed 100 characters']
+    },
+    pincode: {
+      type: String,
+      trim: true,
+      match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    }
+  },
+
+  // Most the account's customers may owe across unfinished and unbilled bookings
+  creditLimit: {
+    type: Number,
+    required: [true, 'Credit limit is required'],
+    min: [0, 'Credit limit cannot be negative']
+  },
+
+  // Negotiated rates, at most one entry per vehicle type
+  rateOverrides: {
+    type: [rateOverrideSchema],
+    default: [],
+    validate: {
+      validator: function(overrides) {
+        const types = overrides.map(override => override.vehicleType);
+        return new Set(types).size === types.length;
+      },
+      message: 'Only one rate override is allowed per vehicle type'
+    }
+  },
+
+  // Customers of suspended or closed accounts cannot make bookings
+  status: {
+    type: String,
+    enum: ACCOUNT_STATUSES,
+    default: 'active'
+  },
+
+  // Internal notes, e.g. contract reference
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+accountSchema.index({ status: 1, name: 1 });
+
+// Static method to find an account by database ID or account code
+accountSchema.statics.findByIdOrCode = function(idOrCode) {
+  if (mongoose.Types.ObjectId.isValid(idOrCode) && String(idOrCode).length === 24) {
+    return this.findOne({ $or: [{ _id: idOrCode }, { accountCode: idOrCode }] });
+  }
+  return this.findOne({ accountCode: idOrCode });
+};
+
+// Instance method to get the negotiated rates for a vehicle type, if any
+accountSchema.methods.getRateOverride = function(vehicleType) {
+  return this.rateOverrides.find(override => override.vehicleType === vehicleType) || null;
+};
+
+// Instance method to format the billing address on one line
+accountSchema.methods.formatBillingAddress = function() {
+  const address = this.billingAddress || {};
+  return [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -4,6 +4,80 @@
  */
 
 const mongoose = require('mongoose');
+const VehicleLock = require('./VehicleLock');
+const MaintenanceWindow = require('./MaintenanceWindow');
+const ComplianceDocument = require('./ComplianceDocument');
+const { AppError } = require('../utils/errors');
+
+const BOOKING_STATUSES = ['held', 'confirmed', 'in-progress', 'completed', 'cancelled', 'expired'];
+
+// Derived from the booking's payments; 'on-account' bookings are billed on account statements
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'partially-refunded', 'refunded', 'on-account'];
+
+// Allowed status transitions - completed, cancelled and expired are terminal
+const STATUS_TRANSITIONS = {
+  'held': ['confirmed', 'cancelled', 'expired'],
+  'confirmed': ['in-progress', 'cancelled'],
+  'in-progress': ['completed'],
+  'completed': [],
+  'cancelled': [],
+  'expired': []
+};
+
+// Per-transition guards, keyed "from->to". Each returns an error message when the
+// transition is not allowed right now, or null when it is.
+const TRANSITION_GUARDS = {
+  'held->confirmed': (booking, now) => {
+    if (booking.holdExpiresAt <= now) {
+      return 'Hold has expired and can no longer be confirmed';
+    }
+    return booking.paymentRequired && booking.paymentStatus !== 'paid'
+      ? 'Payment must be captured before the booking is confirmed'
+      : null;
+  },
+  'held->expired': (booking, now) => {
+    return booking.holdExpiresAt > now
+      ? 'Hold has not expired yet'
+      : null;
+  },
+  'confirmed->in-progress': (booking, now) => {
+    return now < booking.startTime
+      ? 'Booking cannot start before its scheduled start time'
+      : null;
+  }
+};
+
+// Cancellation windows and fees are not guarded here - they depend on the
+// cancellation policy, applied by the cancellation service.
+
+// Record of a single status change
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Changed by cannot exceed 100 characters'],
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   // Reference to the booked vehicle
@@ -13,7 +87,7 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Vehicle ID is required']
   },
   
-  // Customer who made the booking
+  // Customer code of the customer the booking is for (see the Customer model)
   customerId: {
     type: String,
     required: [true, 'Customer ID is required'],
@@ -47,7 +121,9 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Start time is required'],
     validate: {
       validator: function(value) {
-        // Ensure booking start time is not in the past
+        // Ensure booking start time is not in the past. Only checked when the start time is
+        // set, so bookings that have already started can still be saved, e.g. on a status change
+        if (!this.isNew && !this.isModified('startTime')) return true;
         return value > new Date();
       },
       message: 'Start time must be in the future'
@@ -68,22 +144,172 @@ const bookingSchema = new mongoose.Schema({
     max: [24, 'Ride duration cannot exceed 24 hours']
   },
   
+  // Weight of the load being carried, checked against the vehicle's capacity
+  cargoWeightKg: {
+    type: Number,
+    min: [0.1, 'Cargo weight must be at least 0.1 kg'],
+    max: [50000, 'Cargo weight cannot exceed 50,000 kg']
+  },
+  
+  // Optional description of the load
+  cargo: {
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cargo description cannot exceed 500 characters']
+    },
+    volumeCubicM: {
+      type: Number,
+      min: [0, 'Cargo volume cannot be negative']
+    },
+    isHazardous: {
+      type: Boolean,
+      default: false
+    }
+  },
+  
+  // Customer billing details printed on the booking's invoice
+  billingDetails: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Billing name cannot exceed 200 characters']
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'GSTIN must be a valid 15-character GST number']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Billing address cannot exceed 500 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [200, 'Billing email cannot exceed 200 characters']
+    }
+  },
+  
   // Booking status
   status: {
     type: String,
-    enum: ['confirmed', 'in-progress', 'completed', 'cancelled'],
+    enum: BOOKING_STATUSES,
     default: 'confirmed'
   },
   
+  // When a tentative hold lapses - only meaningful while status is 'held'
+  holdExpiresAt: {
+    type: Date,
+    required: [
+      function() { return this.status === 'held'; },
+      'Hold expiry is required for held bookings'
+    ]
+  },
+  
+  // Financial outcome of a cancellation, set by the cancellation service
+  cancellationFee: {
+    type: Number,
+    min: [0, 'Cancellation fee cannot be negative']
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  cancellationPolicy: {
+    type: String
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  
+  // Recurring series this booking is an occurrence of
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  
+  // Corporate account the booking is billed to, fixed when it is made
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  
+  // Set when the booking moves to 'completed'
+  completedAt: {
+    type: Date
+  },
+  
+  // Monthly account statement the booking was billed on
+  statementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Statement'
+  },
+  
+  // Where the booking stands with payment, kept in step by the payment service
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'unpaid'
+  },
+  
+  // Held until paid: the hold can only be confirmed by capturing its payment
+  paymentRequired: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Audit trail of status changes made through transitionTo
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  
   // Total booking cost (can be calculated based on distance, duration, vehicle type)
   totalCost: {
     type: Number,
     min: [0, 'Cost cannot be negative'],
     default: 0
+  },
+  
+  // Promo code discount already taken off totalCost
+  discount: {
+    code: {
+      type: String
+    },
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative']
+    }
+  },
+  
+  // Rate card the cost was calculated from, so historical prices stay reproducible.
+  // Version 0 with no ID means the built-in default card for the vehicle type.
+  rateCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  rateCardVersion: {
+    type: Number,
+    min: [0, 'Rate card version cannot be negative']
   }
 }, {
   // Add timestamps for created and updated dates
   timestamps: true,
+  // Reject saves of a document that changed since it was loaded (e.g. two concurrent status changes)
+  optimisticConcurrency: true,
   // Transform output to remove sensitive fields and format response
   toJSON: {
     transform: function(doc, ret) {
@@ -99,6 +325,17 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
 bookingSchema.index({ customerId: 1, createdAt: -1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ seriesId: 1, startTime: 1 });
+bookingSchema.index({ accountId: 1, status: 1 });
+
+// Virtual field for the customer the booking belongs to, by customer code
+bookingSchema.virtual('customer', {
+  ref: 'Customer',
+  localField: 'customerId',
+  foreignField: 'customerCode',
+  justOne: true
+});
 
 // Virtual field to calculate actual duration
 bookingSchema.virtual('actualDurationHours').get(function() {
@@ -117,29 +354,240 @@ bookingSchema.methods.overlapsWithTimeWindow = function(startTime, endTime) {
   );
 };
 
+// Instance method to check whether the booking may move to a new status.
+// Returns null when allowed, or a message explaining why not.
+bookingSchema.methods.getTransitionError = function(newStatus, now = new Date()) {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  
+  if (!allowed.includes(newStatus)) {
+    return allowed.length > 0
+      ? `Cannot change status from ${this.status} to ${newStatus}. Allowed: ${allowed.join(', ')}`
+      : `Cannot change status of a ${this.status} booking`;
+  }
+  
+  const guard = TRANSITION_GUARDS[`${this.status}->${newStatus}`];
+  return guard ? guard(this, now) : null;
+};
+
+// Instance method to move the booking to a new status and record the change.
+// Throws a 409 error for illegal transitions; the caller saves the document.
+bookingSchema.methods.transitionTo = function(newStatus, { changedBy, reason } = {}) {
+  const transitionError = this.getTransitionError(newStatus);
+  
+  if (transitionError) {
+    throw new AppError(transitionError, 409, {
+      currentStatus: this.status,
+      requestedStatus: newStatus,
+      allowedStatuses: STATUS_TRANSITIONS[this.status] || []
+    });
+  }
+  
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = newStatus;
+  
+  if (newStatus === 'completed') {
+    this.completedAt = new Date();
+  }
+  
+  return this;
+};
+
+// Static method to list the statuses a booking in the given status may move to
+bookingSchema.statics.getAllowedTransitions = function(status) {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+// Static method returning the condition for bookings that occupy their vehicle:
+// confirmed and in-progress bookings, plus holds that have not lapsed yet. Expiry is
+// checked here so a lapsed hold never blocks a slot, even before it is cleaned up.
+bookingSchema.statics.blockingStatusFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['confirmed', 'in-progress'] } },
+      { status: 'held', holdExpiresAt: { $gt: now } }
+    ]
+  };
+};
+
 // Static method to find overlapping bookings for a vehicle
 bookingSchema.statics.findOverlappingBookings = function(vehicleId, startTime, endTime, excludeBookingId = null) {
   const query = {
     vehicleId: vehicleId,
-    status: { $in: ['confirmed', 'in-progress'] },
-    $or: [
-      {
-        // Existing booking starts before new booking ends
-        // AND existing booking ends after new booking starts
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      }
-    ]
+    // Existing booking starts before new booking ends
+    // AND existing booking ends after new booking starts
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    ...this.blockingStatusFilter()
   };
   
-  // Exclude current booking if updating
-  if (excludeBookingId) {
+  // Exclude current booking(s) if updating
+  if (Array.isArray(excludeBookingId)) {
+    query._id = { $nin: excludeBookingId };
+  } else if (excludeBookingId) {
     query._id = { $ne: excludeBookingId };
   }
   
   return this.find(query);
 };
 
+// Static method to move lapsed holds to 'expired', recording the change in their history
+bookingSchema.statics.expireLapsedHolds = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'held', holdExpiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired' },
+      $push: {
+        statusHistory: {
+          from: 'held',
+          to: 'expired',
+          changedBy: 'system',
+          reason: 'Hold expired without confirmation',
+          changedAt: now
+        }
+      },
+      // Invalidate copies loaded before expiry so a late confirm fails its save
+      $inc: { __v: 1 }
+    }
+  );
+};
+
+// Static method to throw a 409 error if a vehicle already has a booking or a
+// maintenance window in the time window, or its required documents expire before it ends
+bookingSchema.statics.assertNoConflict = async function(vehicleId, startTime, endTime, excludeBookingId = null) {
+  const overlappingBookings = await this.findOverlappingBookings(
+    vehicleId,
+    startTime,
+    endTime,
+    excludeBookingId
+  );
+
+  if (overlappingBookings.length > 0) {
+    throw new AppError(
+      'Vehicle is already booked for the requested time slot',
+      409,
+      {
+        conflictingBookings: overlappingBookings.length,
+        suggestedAction: 'Please search for available vehicles again'
+      }
+    );
+  }
+
+  const maintenanceWindows = await MaintenanceWindow.findOverlappingWindows(vehicleId, startTime, endTime);
+
+  if (maintenanceWindows.length > 0) {
+    throw new AppError(
+      'Vehicle is scheduled for maintenance during the requested time slot',
+      409,
+      {
+        maintenanceWindows: maintenanceWindows.map(window => ({
+          id: window._id,
+          startTime: window.startTime,
+          endTime: window.endTime,
+          reason: window.reason
+        })),
+        suggestedAction: 'Please search for available vehicles again'
+      }
+    );
+  }
+
+  const complianceIssues = await ComplianceDocument.findComplianceIssues(vehicleId, startTime, endTime);
+
+  if (complianceIssues.length > 0) {
+    throw new AppError(
+      "Vehicle's required compliance documents do not cover the requested time slot",
+      409,
+      {
+        complianceIssues,
+        suggestedAction: 'Please search for available vehicles again'
+      }
+    );
+  }
+};
+
+// Static method to create a booking only if its vehicle is free for the time window.
+// The overlap check and the insert run under the vehicle's lock, so concurrent
+// requests for the same vehicle cannot both pass the check.
+bookingSchema.statics.createWithoutConflict = function(data) {
+  return VehicleLock.runExclusive(data.vehicleId, async () => {
+    await this.assertNoConflict(data.vehicleId, data.startTime, data.endTime);
+    return this.create(data);
+  });
+};
+
+// Static method to create several bookings on one vehicle under a single lock.
+// Maintenance windows and compliance documents that do not cover a booking count
+// as conflicts. With allOrNothing, any conflict aborts the whole batch with a 409;
+// otherwise the conflicting bookings are skipped. beforeCreate runs under the lock
+// once the batch is known to proceed, e.g. to create a parent document.
+bookingSchema.statics.createManyWithoutConflict = function(vehicleId, bookings, { allOrNothing = true, beforeCreate } = {}) {
+  return VehicleLock.runExclusive(vehicleId, async () => {
+    const accepted = [];
+    const conflicts = [];
+    
+    for (const data of bookings) {
+      const overlappingBookings = await this.findOverlappingBookings(
+        vehicleId,
+        data.startTime,
+        data.endTime
+      );
+      const maintenanceWindows = await MaintenanceWindow.findOverlappingWindows(
+        vehicleId,
+        data.startTime,
+        data.endTime
+      );
+      const complianceIssues = await ComplianceDocument.findComplianceIssues(vehicleId, data.startTime, data.endTime);
+      
+      if (overlappingBookings.length > 0 || maintenanceWindows.length > 0 || complianceIssues.length > 0) {
+        conflicts.push({
+          startTime: data.startTime,
+          endTime: data.endTime,
+          conflictingBookings: overlappingBookings.map(booking => booking._id),
+          maintenanceWindows: maintenanceWindows.map(window => window._id),
+          complianceIssues
+        });
+      } else {
+        accepted.push(data);
+      }
+    }
+    
+    if (accepted.length === 0 || (allOrNothing && conflicts.length > 0)) {
+      throw new AppError(
+        'Vehicle is already booked, under maintenance or missing valid documents for one or more requested time slots',
+        409,
+        { conflicts, suggestedAction: 'Choose different dates or allow partial creation' }
+      );
+    }
+    
+    const extra = beforeCreate ? await beforeCreate() : {};
+    const created = await this.insertMany(accepted.map(data => ({ ...data, ...extra })));
+    
+    return { created, conflicts };
+  });
+};
+
+// Instance method to move a booking to a new vehicle and/or time window, under the
+// target vehicle's lock and ignoring the booking's own current slot
+bookingSchema.methods.rescheduleWithoutConflict = function(changes) {
+  const vehicleId = changes.vehicleId || this.vehicleId;
+
+  return VehicleLock.runExclusive(vehicleId, async () => {
+    await this.constructor.assertNoConflict(
+      vehicleId,
+      changes.startTime,
+      changes.endTime,
+      this._id
+    );
+    this.set(changes);
+    return this.save();
+  });
+};
+
 // Static method to get customer booking history
 bookingSchema.statics.getCustomerBookings = function(customerId, limit = 10) {
   return this.find({ customerId })
@@ -0,0 +1,96 @@
+/**
+ * BookingSeries Model
+ * A recurring schedule whose occurrences are stored as individual bookings
+ */
+
+const mongoose = require('mongoose');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  // Vehicle every occurrence is booked on
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+
+  // Customer who owns the series
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true,
+    maxlength: [50, 'Customer ID cannot exceed 50 characters']
+  },
+
+  // Route shared by every occurrence
+  fromPincode: {
+    type: String,
+    required: [true, 'From pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  toPincode: {
+    type: String,
+    required: [true, 'To pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+
+  // Start time of the first occurrence - later ones keep its time of day
+  firstStartTime: {
+    type: Date,
+    required: [true, 'First start time is required']
+  },
+
+  // Recurrence rule the occurrences were expanded from
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1'],
+      default: 1
+    },
+    daysOfWeek: {
+      type: [Number],
+      default: undefined
+    },
+    until: {
+      type: Date
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1']
+    }
+  },
+
+  // Load carried on every occurrence
+  cargoWeightKg: {
+    type: Number
+  },
+
+  // active until the whole series is cancelled
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+bookingSeriesSchema.index({ customerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
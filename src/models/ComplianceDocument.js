@@ -0,0 +1,199 @@
+/**
+ * ComplianceDocument Model
+ * A vehicle's insurance, fitness certificate, PUC or permit. A vehicle cannot be booked
+ * for a trip unless each of its required documents covers the whole trip.
+ */
+
+const mongoose = require('mongoose');
+const complianceConfig = require('../config/compliance');
+
+const DOCUMENT_TYPES = ['insurance', 'fitness-certificate', 'puc', 'national-permit', 'state-permit'];
+
+const complianceDocumentSchema = new mongoose.Schema({
+  // Vehicle the document covers
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+
+  // Kind of document
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: [true, 'Document type is required']
+  },
+
+  // Policy, certificate or permit number
+  documentNumber: {
+    type: String,
+    required: [true, 'Document number is required'],
+    trim: true,
+    maxlength: [50, 'Document number cannot exceed 50 characters']
+  },
+
+  // Validity - the document covers trips starting no earlier than its issue date and
+  // ending no later than its expiry date
+  issueDate: {
+    type: Date,
+    required: [true, 'Issue date is required']
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.issueDate || value > this.issueDate;
+      },
+      message: 'Expiry date must be after the issue date'
+    }
+  },
+
+  // Uploaded scan of the document, e.g. a storage key or URL
+  fileReference: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'File reference cannot exceed 500 characters']
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+complianceDocumentSchema.index({ vehicleId: 1, type: 1, expiryDate: -1 });
+complianceDocumentSchema.index({ expiryDate: 1 });
+
+const requiredTypes = () => complianceConfig.requiredDocuments.flat();
+
+// The documents held for each requirement - a requirement may be met by any of several types
+const heldPerRequirement = (documents) => complianceConfig.requiredDocuments.map(types => ({
+  types,
+  held: documents.filter(document => types.includes(document.type))
+}));
+
+// A document covers a trip only if it was issued by the start and has not expired by the end,
+// so a renewal issued after the old document expired leaves the trips in between uncovered
+const covers = (document, startTime, endTime) => document.issueDate <= startTime && document.expiryDate >= endTime;
+
+// Static method to list the reasons a vehicle cannot be booked for a trip: required documents
+// that do not cover the whole trip, and missing required documents when
+// BLOCK_MISSING_COMPLIANCE_DOCUMENTS is set
+complianceDocumentSchema.statics.findComplianceIssues = async function(vehicleId, startTime, endTime) {
+  const documents = await this.find({ vehicleId, type: { $in: requiredTypes() } });
+
+  return heldPerRequirement(documents).flatMap(({ types, held }) => {
+    if (held.length === 0) {
+      return complianceConfig.blockMissingDocuments ? [{ types, issue: 'missing' }] : [];
+    }
+    if (held.some(document => covers(document, startTime, endTime))) {
+      return [];
+    }
+
+    // Report the latest document - a renewal supersedes the one it replaces
+    const latest = held.reduce((latest, document) => (document.expiryDate > latest.expiryDate ? document : latest));
+    return [{
+      types,
+      issue: latest.expiryDate < endTime ? 'expired' : 'not-yet-valid',
+      documentId: latest._id,
+      type: latest.type,
+      documentNumber: latest.documentNumber,
+      issueDate: latest.issueDate,
+      expiryDate: latest.expiryDate
+    }];
+  });
+};
+
+// Static method to find when each of the given vehicles stops being bookable after a point in
+// time - the end of the unbroken cover of its first lapsing requirement. A vehicle whose cover
+// has a gap stays blocked after it, even if a later document resumes the cover.
+// Vehicles without a limit are left out of the map.
+complianceDocumentSchema.statics.findBookableUntil = async function(vehicleIds, from = new Date()) {
+  const documents = await this.find({ vehicleId: { $in: vehicleIds }, type: { $in: requiredTypes() } });
+  const bookableUntil = new Map();
+
+  for (const vehicleId of vehicleIds) {
+    const own = documents.filter(document => document.vehicleId.equals(vehicleId));
+
+    for (const { held } of heldPerRequirement(own)) {
+      let limit = null;
+
+      if (held.length > 0) {
+        // Follow the cover from one document to the next until it breaks
+        limit = from;
+        let next;
+        while ((next = held.filter(document => document.issueDate <= limit && document.expiryDate > limit)).length > 0) {
+          limit = new Date(Math.max(...next.map(document => document.expiryDate)));
+        }
+      } else if (complianceConfig.blockMissingDocuments) {
+        limit = new Date(0);
+      }
+
+      const current = bookableUntil.get(vehicleId.toString());
+
+      if (limit && (!current || limit < current)) {
+        bookableUntil.set(vehicleId.toString(), limit);
+      }
+    }
+  }
+
+  return bookableUntil;
+};
+
+// Static method returning the aggregation stages that add `compliant` to vehicle documents:
+// true when findComplianceIssues would find nothing for a trip from startTime to endTime
+complianceDocumentSchema.statics.complianceStages = function(startTime, endTime) {
+  return [
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: '_id',
+        foreignField: 'vehicleId',
+        pipeline: [
+          { $match: { type: { $in: requiredTypes() } } },
+          {
+            $group: {
+              _id: '$type',
+              covered: {
+                $max: { $and: [{ $lte: ['$issueDate', startTime] }, { $gte: ['$expiryDate', endTime] }] }
+              }
+            }
+          }
+        ],
+        as: 'complianceDocuments'
+      }
+    },
+    {
+      $addFields: {
+        compliant: {
+          $and: complianceConfig.requiredDocuments.map(types => ({
+            $let: {
+              vars: {
+                // empty when no document of the requirement is held
+                held: { $filter: { input: '$complianceDocuments', cond: { $in: ['$$this._id', types] } } }
+              },
+              in: complianceConfig.blockMissingDocuments
+                ? { $anyElementTrue: [{ $map: { input: '$$held', in: '$$this.covered' } }] }
+                : {
+                  $or: [
+                    { $eq: [{ $size: '$$held' }, 0] },
+                    { $anyElementTrue: [{ $map: { input: '$$held', in: '$$this.covered' } }] }
+                  ]
+                }
+            }
+          }))
+        }
+      }
+    }
+  ];
+};
+
+module.exports = mongoose.model('ComplianceDocument', complianceDocumentSchema);
@@ -0,0 +1,35 @@
+/**
+ * Counter Model
+ * Named sequences for numbering, such as invoice numbers. A number taken by a request
+ * that then fails is not handed out again, so a sequence can have gaps.
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. invoice:2026-27
+  _id: {
+    type: String
+  },
+
+  // Last number handed out
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to atomically take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
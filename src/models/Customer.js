@@ -0,0 +1,143 @@
+/**
+ * Customer Model
+ * Customers that bookings are made for, with contact, billing and credit details
+ */
+
+const mongoose = require('mongoose');
+
+const CUSTOMER_STATUSES = ['active', 'suspended', 'closed'];
+
+const customerSchema = new mongoose.Schema({
+  // Customer ID used on bookings (Booking.customerId), e.g. CUST000123
+  customerCode: {
+    type: String,
+    required: [true, 'Customer code is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Customer code cannot exceed 50 characters']
+  },
+
+  // Customer or company name
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [200, 'Customer name cannot exceed 200 characters']
+  },
+
+  // Contact details
+  contact: {
+    person: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Contact person cannot exceed 200 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [200, 'Email cannot exceed 200 characters']
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Phone number cannot exceed 20 characters']
+    }
+  },
+
+  // GST registration, printed on invoices
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'GSTIN must be a valid 15-character GST number']
+  },
+
+  billingAddress: {
+    line1: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    line2: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address line cannot exceed 200 characters']
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City cannot exceed 100 characters']
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'State cannot exceed 100 characters']
+    },
+    pincode: {
+      type: String,
+      trim: true,
+      match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+    }
+  },
+
+  // Corporate account the customer books under - its credit limit and rates then apply
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+
+  // Amount the customer may owe on credit (0 = pay in advance)
+  creditLimit: {
+    type: Number,
+    min: [0, 'Credit limit cannot be negative'],
+    default: 0
+  },
+
+  // Only active customers can make bookings
+  status: {
+    type: String,
+    enum: CUSTOMER_STATUSES,
+    default: 'active'
+  },
+
+  // Internal notes, e.g. why an account was suspended
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+customerSchema.index({ status: 1, name: 1 });
+customerSchema.index({ accountId: 1 });
+
+// Static method to find a customer by database ID or customer code
+customerSchema.statics.findByIdOrCode = function(idOrCode) {
+  if (mongoose.Types.ObjectId.isValid(idOrCode) && String(idOrCode).length === 24) {
+    return this.findOne({ $or: [{ _id: idOrCode }, { customerCode: idOrCode }] });
+  }
+  return this.findOne({ customerCode: idOrCode });
+};
+
+// Instance method to format the billing address on one line
+customerSchema.methods.formatBillingAddress = function() {
+  const address = this.billingAddress || {};
+  return [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,56 @@
+/**
+ * IdempotencyRecord Model
+ * Stored responses for requests sent with an Idempotency-Key header
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  // Client-supplied Idempotency-Key header value
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+
+  // Method and path the key was used on - keys are scoped per endpoint
+  scope: {
+    type: String,
+    required: [true, 'Idempotency scope is required']
+  },
+
+  // Hash of the request body, to detect a key reused with a different request
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+
+  // processing until the first response has been stored
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+
+  // Stored response replayed to retries
+  statusCode: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // When the record may be discarded and the key reused
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyRecordSchema.index({ key: 1, scope: 1 }, { unique: true });
+// Let MongoDB remove expired records
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
@@ -0,0 +1,133 @@
+/**
+ * Invoice Model
+ * GST invoice issued once for each completed booking. Invoices are never edited.
+ */
+
+const mongoose = require('mongoose');
+
+// Party details printed on the invoice
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Sequential number within the financial year, e.g. FL/2026-27/000001
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true
+  },
+
+  // Booking the invoice is for - at most one invoice per booking
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required'],
+    unique: true
+  },
+
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Issuing business and the customer being billed
+  supplier: partySchema,
+  billTo: partySchema,
+
+  // Trip details printed on the invoice
+  trip: {
+    vehicleName: String,
+    fromPincode: String,
+    toPincode: String,
+    fromState: String,
+    toState: String,
+    startTime: Date,
+    endTime: Date
+  },
+
+  // Billed services
+  lines: [{
+    _id: false,
+    description: String,
+    sacCode: String,
+    amount: Number
+  }],
+
+  // Amount GST is charged on (the booking's totalCost)
+  taxableAmount: {
+    type: Number,
+    required: [true, 'Taxable amount is required'],
+    min: [0, 'Taxable amount cannot be negative']
+  },
+
+  // CGST and SGST for intra-state trips, IGST otherwise
+  taxType: {
+    type: String,
+    enum: ['intra-state', 'inter-state'],
+    required: [true, 'Tax type is required']
+  },
+  taxes: [{
+    _id: false,
+    code: {
+      type: String,
+      enum: ['cgst', 'sgst', 'igst']
+    },
+    label: String,
+    ratePercent: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+
+  // Taxable amount plus taxes
+  grandTotal: {
+    type: Number,
+    required: [true, 'Grand total is required']
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+invoiceSchema.index({ customerId: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,103 @@
+/**
+ * MaintenanceWindow Model
+ * A period a vehicle is out of service for maintenance, blocking bookings like a booking does.
+ * Recurring service schedules are stored as one window per occurrence.
+ */
+
+const mongoose = require('mongoose');
+
+const maintenanceWindowSchema = new mongoose.Schema({
+  // Vehicle taken out of service
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+
+  // Window start (inclusive) and end (exclusive)
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+
+  // What the vehicle is out for, e.g. "10,000 km service"
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: 'Scheduled maintenance'
+  },
+
+  // Shared by the occurrences of a recurring service schedule; null for a one-off window
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Recurrence rule the schedule was expanded from
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1']
+    },
+    daysOfWeek: {
+      type: [Number],
+      default: undefined
+    },
+    until: {
+      type: Date
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1']
+    }
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+maintenanceWindowSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
+maintenanceWindowSchema.index({ startTime: 1, endTime: 1 });
+maintenanceWindowSchema.index({ scheduleId: 1, startTime: 1 });
+
+// Static method to find a vehicle's windows overlapping a time window, the same
+// way Booking.findOverlappingBookings finds its bookings
+maintenanceWindowSchema.statics.findOverlappingWindows = function(vehicleId, startTime, endTime, excludeWindowId = null) {
+  const query = {
+    vehicleId,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeWindowId) {
+    query._id = { $ne: excludeWindowId };
+  }
+
+  return this.find(query).sort({ startTime: 1 });
+};
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
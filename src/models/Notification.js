@@ -0,0 +1,79 @@
+/**
+ * Notification Model
+ * Messages to customers about changes to their bookings, kept for the messaging integration to deliver
+ */
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['booking-reassigned', 'booking-cancelled'];
+
+const notificationSchema = new mongoose.Schema({
+  // Customer code the message is for
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+
+  // Where the message goes - email when the customer has one, else SMS
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'none'],
+    default: 'none'
+  },
+  recipient: {
+    type: String,
+    trim: true
+  },
+
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+
+  // pending until delivered; customers without contact details stay undeliverable
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'undeliverable'],
+    default: 'pending'
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationSchema.index({ customerId: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,136 @@
+/**
+ * Payment Model
+ * A payment taken for a booking through a gateway: intent, capture and refunds
+ */
+
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['pending', 'captured', 'partially-refunded', 'refunded', 'failed', 'cancelled'];
+
+// A refund issued against the captured amount
+const refundSchema = new mongoose.Schema({
+  gatewayRefundId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+
+  // Amount to be captured
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0, 'Payment amount cannot be negative']
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Gateway adapter the payment went through, and its references
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required']
+  },
+  gatewayIntentId: {
+    type: String,
+    required: [true, 'Gateway intent ID is required']
+  },
+  gatewayChargeId: {
+    type: String
+  },
+
+  // Secret the client completes the payment with - only meaningful while pending
+  clientSecret: {
+    type: String
+  },
+
+  // pending -> captured -> partially-refunded/refunded, or failed/cancelled
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  capturedAt: {
+    type: Date
+  },
+
+  // Running total of refunds, reserved before the gateway is asked so
+  // concurrent refunds cannot exceed the captured amount
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+
+  // Gateway's reason for a failed capture
+  failureCode: {
+    type: String
+  },
+  failureMessage: {
+    type: String
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.status !== 'pending') {
+        delete ret.clientSecret;
+      }
+      return ret;
+    }
+  }
+});
+
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ customerId: 1, createdAt: -1 });
+// At most one payment awaiting capture per booking
+paymentSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_payment_per_booking' }
+);
+
+// Virtual field for the amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.round((this.amountCaptured - this.amountRefunded) * 100) / 100;
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
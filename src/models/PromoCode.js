@@ -0,0 +1,126 @@
+/**
+ * PromoCode Model
+ * Discount campaigns applied to bookings, with validity windows and usage caps
+ */
+
+const mongoose = require('mongoose');
+
+const VEHICLE_TYPES = ['Small', 'Medium', 'Large', 'Heavy Duty'];
+
+const promoCodeSchema = new mongoose.Schema({
+  // Code customers enter - stored uppercase so matching is case-insensitive
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, hyphens or underscores']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // percent takes amount% off the booking cost; flat takes amount off
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount amount cannot be negative']
+  },
+
+  // Upper limit on a percent discount
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+
+  // Booking cost (before discount) needed to use the code
+  minimumOrderValue: {
+    type: Number,
+    min: [0, 'Minimum order value cannot be negative'],
+    default: 0
+  },
+
+  // Vehicle types the code applies to - empty means all
+  vehicleTypes: {
+    type: [{
+      type: String,
+      enum: VEHICLE_TYPES
+    }],
+    default: []
+  },
+
+  // Validity window
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+
+  // Usage caps - unset means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  maxRedemptionsPerCustomer: {
+    type: Number,
+    min: [1, 'Maximum redemptions per customer must be at least 1']
+  },
+
+  // Bookings the code has been used on, counted atomically against maxRedemptions
+  redemptionCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Deactivated codes cannot be used; they are kept for bookings that used them
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+promoCodeSchema.index({ active: 1, validUntil: 1 });
+
+// Static method to find a code regardless of the case it was entered in
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Instance method to work out the discount on a booking cost
+promoCodeSchema.methods.calculateDiscount = function(orderValue) {
+  let discount = this.discountType === 'percent'
+    ? orderValue * this.amount / 100
+    : this.amount;
+
+  if (this.discountType === 'percent' && this.maxDiscount !== undefined && this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, orderValue) * 100) / 100;
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,44 @@
+/**
+ * PromoRedemption Model
+ * Per-customer usage of a promo code, counted atomically against its per-customer cap
+ */
+
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code ID is required']
+  },
+
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+
+  // Times this customer has used the code
+  count: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One counter per customer and code - also what makes the capped upsert atomic
+promoRedemptionSchema.index({ promoCodeId: 1, customerId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,147 @@
+/**
+ * RateCard Model
+ * Versioned pricing per vehicle type. Cards are never edited - publishing a
+ * new version replaces the previous one from its effectiveFrom date.
+ */
+
+const mongoose = require('mongoose');
+
+const VEHICLE_TYPES = ['Small', 'Medium', 'Large', 'Heavy Duty'];
+
+// Extra charge applied on top of the fare components
+const surchargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Surcharge name is required'],
+    trim: true,
+    maxlength: [100, 'Surcharge name cannot exceed 100 characters']
+  },
+  // flat adds amount; percent adds amount% of the fare components
+  type: {
+    type: String,
+    enum: ['flat', 'percent'],
+    required: [true, 'Surcharge type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Surcharge amount is required'],
+    min: [0, 'Surcharge amount cannot be negative']
+  },
+  // always, or only for bookings carrying hazardous cargo
+  appliesTo: {
+    type: String,
+    enum: ['always', 'hazardous-cargo'],
+    default: 'always'
+  }
+}, { _id: false });
+
+const rateCardSchema = new mongoose.Schema({
+  // Vehicle type the card prices (see the Vehicle vehicleType virtual)
+  vehicleType: {
+    type: String,
+    enum: VEHICLE_TYPES,
+    required: [true, 'Vehicle type is required']
+  },
+
+  // Sequential version per vehicle type, assigned on publish
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+
+  // Fixed charge per trip
+  baseFare: {
+    type: Number,
+    required: [true, 'Base fare is required'],
+    min: [0, 'Base fare cannot be negative']
+  },
+
+  // Charge per estimated kilometre
+  perKm: {
+    type: Number,
+    required: [true, 'Per-km rate is required'],
+    min: [0, 'Per-km rate cannot be negative']
+  },
+
+  // Charge per estimated hour
+  perHour: {
+    type: Number,
+    required: [true, 'Per-hour rate is required'],
+    min: [0, 'Per-hour rate cannot be negative']
+  },
+
+  // Charge per tonne of vehicle capacity
+  perTonne: {
+    type: Number,
+    min: [0, 'Per-tonne rate cannot be negative'],
+    default: 0
+  },
+
+  // Floor for the fare before surcharges
+  minimumCharge: {
+    type: Number,
+    min: [0, 'Minimum charge cannot be negative'],
+    default: 0
+  },
+
+  surcharges: {
+    type: [surchargeSchema],
+    default: []
+  },
+
+  // Bookings priced from this time on use this card
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Free-text note for finance, e.g. why rates changed
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+rateCardSchema.index({ vehicleType: 1, version: 1 }, { unique: true });
+rateCardSchema.index({ vehicleType: 1, effectiveFrom: -1 });
+
+// Static method to publish a new card version for a vehicle type
+rateCardSchema.statics.publish = async function(data) {
+  const latest = await this.findOne({ vehicleType: data.vehicleType })
+    .sort({ version: -1 })
+    .select('version');
+
+  return this.create({
+    ...data,
+    version: latest ? latest.version + 1 : 1
+  });
+};
+
+// Static method to find the card in effect for a vehicle type at a given time
+rateCardSchema.statics.findEffective = function(vehicleType, at = new Date()) {
+  return this.findOne({
+    vehicleType,
+    effectiveFrom: { $lte: at }
+  }).sort({ version: -1 });
+};
+
+// Static method to list the vehicle types cards can be published for
+rateCardSchema.statics.getVehicleTypes = function() {
+  return VEHICLE_TYPES;
+};
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
@@ -0,0 +1,105 @@
+/**
+ * Statement Model
+ * Consolidated monthly statement listing every completed booking billed to a corporate account
+ */
+
+const mongoose = require('mongoose');
+
+const statementSchema = new mongoose.Schema({
+  // Account code and billing month, e.g. ACC000012/2026-09
+  statementNumber: {
+    type: String,
+    required: [true, 'Statement number is required'],
+    unique: true
+  },
+
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account ID is required']
+  },
+
+  // Billing month, UTC: periodStart inclusive, periodEnd exclusive
+  periodStart: {
+    type: Date,
+    required: [true, 'Period start is required']
+  },
+  periodEnd: {
+    type: Date,
+    required: [true, 'Period end is required']
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Account being billed
+  billTo: {
+    name: String,
+    gstin: String,
+    address: String,
+    email: String
+  },
+
+  // One line per completed booking, with the amounts from its invoice
+  lines: [{
+    _id: false,
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    invoiceNumber: String,
+    customerId: String,
+    fromPincode: String,
+    toPincode: String,
+    startTime: Date,
+    completedAt: Date,
+    amount: Number,
+    taxTotal: Number,
+    total: Number
+  }],
+
+  bookingCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Sum of the bookings' costs before GST
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+
+  // Amount due for the month
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One statement per account per month
+statementSchema.index({ accountId: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('Statement', statementSchema);
@@ -5,6 +5,12 @@
 
 const mongoose = require('mongoose');
 
+const BODY_TYPES = ['open', 'container', 'refrigerated', 'tanker'];
+const FUEL_TYPES = ['diesel', 'petrol', 'cng', 'lng', 'electric', 'hybrid'];
+
+// Indian registration, without spaces: MH12AB1234, or the BH series 22BH1234AB
+const REGISTRATION_PATTERN = /^([A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}|\d{2}BH\d{4}[A-Z]{1,2})$/;
+
 const vehicleSchema = new mongoose.Schema({
   // Vehicle identification name
   name: {
@@ -15,6 +21,16 @@ const vehicleSchema = new mongoose.Schema({
     minlength: [2, 'Vehicle name must be at least 2 characters']
   },
   
+  // Registration number - unique, but optional for vehicles added before it was recorded
+  registrationNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [REGISTRATION_PATTERN, 'Registration number must be a valid Indian registration, e.g. MH12AB1234']
+  },
+  
   // Vehicle capacity in kilograms
   capacityKg: {
     type: Number,
@@ -31,11 +47,54 @@ const vehicleSchema = new mongoose.Schema({
     max: [18, 'Vehicle cannot have more than 18 tyres']
   },
   
+  // Kind of cargo body
+  bodyType: {
+    type: String,
+    enum: BODY_TYPES
+  },
+  
+  fuelType: {
+    type: String,
+    enum: FUEL_TYPES
+  },
+  
+  // Usable cargo space in cubic metres
+  cargoVolumeCubicM: {
+    type: Number,
+    min: [0, 'Cargo volume cannot be negative'],
+    max: [200, 'Cargo volume cannot exceed 200 cubic metres']
+  },
+  
+  // Equipment and certifications searched on, e.g. tail-lift, gps, hazmat-certified
+  features: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Feature cannot exceed 50 characters']
+    }],
+    default: []
+  },
+  
   // Vehicle status - active vehicles can be booked
   status: {
     type: String,
     enum: ['active', 'maintenance', 'retired'],
     default: 'active'
+  },
+  
+  // True while the vehicle is in maintenance because a maintenance window is under way;
+  // it goes back to active when its windows end
+  scheduledMaintenance: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Set when the vehicle is deleted but kept because bookings reference it.
+  // Deleted vehicles are retired and hidden from the vehicle list.
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   // Add timestamps for created and updated dates
@@ -54,6 +113,7 @@ const vehicleSchema = new mongoose.Schema({
 // Index for better query performance
 vehicleSchema.index({ capacityKg: 1, status: 1 });
 vehicleSchema.index({ name: 1 });
+vehicleSchema.index({ features: 1 });
 
 // Virtual field to get vehicle type based on capacity
 vehicleSchema.virtual('vehicleType').get(function() {
@@ -63,9 +123,26 @@ vehicleSchema.virtual('vehicleType').get(function() {
   return 'Heavy Duty';
 });
 
+// Instance method to check if the vehicle takes bookings. A vehicle in maintenance because
+// a maintenance window is under way stays bookable outside that window - the window itself
+// blocks its slot like a booking.
+vehicleSchema.methods.isBookable = function() {
+  return this.status === 'active' || (this.status === 'maintenance' && this.scheduledMaintenance);
+};
+
 // Instance method to check if vehicle can handle required capacity
 vehicleSchema.methods.canHandleCapacity = function(requiredCapacity) {
-  return this.capacityKg >= requiredCapacity && this.status === 'active';
+  return this.capacityKg >= requiredCapacity && this.isBookable();
+};
+
+// Static method returning the condition for vehicles that take bookings, as isBookable
+vehicleSchema.statics.bookableStatusFilter = function() {
+  return {
+    $or: [
+      { status: 'active' },
+      { status: 'maintenance', scheduledMaintenance: true }
+    ]
+  };
 };
 
 // Static method to find vehicles by minimum capacity
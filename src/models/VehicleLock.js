@@ -0,0 +1,99 @@
+/**
+ * VehicleLock Model
+ * Per-vehicle lease documents used to serialize booking writes for a vehicle
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bookingConfig = require('../config/booking');
+const { AppError } = require('../utils/errors');
+
+const vehicleLockSchema = new mongoose.Schema({
+  // Vehicle being locked - at most one lock document per vehicle
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required'],
+    unique: true
+  },
+
+  // Random token identifying the current holder
+  token: {
+    type: String,
+    required: [true, 'Lock token is required']
+  },
+
+  // Lease expiry - an expired lock can be taken over by the next caller
+  expiresAt: {
+    type: Date,
+    required: [true, 'Lock expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up abandoned locks
+vehicleLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Static method to acquire the lock for a vehicle, waiting while another holder has it
+vehicleLockSchema.statics.acquire = async function(vehicleId, options = {}) {
+  const leaseMs = options.leaseMs || bookingConfig.lockLeaseMs;
+  const waitMs = options.waitMs || bookingConfig.lockWaitMs;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+  let delay = 10;
+
+  // The unique index on vehicleId is what makes the upsert below a mutex
+  await this.init();
+
+  while (true) {
+    const now = new Date();
+
+    try {
+      // Matches only a missing or expired lock; a live lock makes the upsert
+      // collide with the unique index instead
+      await this.findOneAndUpdate(
+        { vehicleId, expiresAt: { $lte: now } },
+        { $set: { token, expiresAt: new Date(now.getTime() + leaseMs) } },
+        { upsert: true, new: true }
+      );
+      return token;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new AppError(
+        'Vehicle is busy with another booking request, please try again',
+        409,
+        { suggestedAction: 'Retry the request' }
+      );
+    }
+
+    // Back off with jitter so waiting requests do not retry in lockstep
+    await sleep(delay + Math.floor(Math.random() * delay));
+    delay = Math.min(delay * 2, 200);
+  }
+};
+
+// Static method to release a lock, only if still held by the given token
+vehicleLockSchema.statics.release = function(vehicleId, token) {
+  return this.deleteOne({ vehicleId, token });
+};
+
+// Static method to run a function while holding the lock for a vehicle
+vehicleLockSchema.statics.runExclusive = async function(vehicleId, fn, options = {}) {
+  const token = await this.acquire(vehicleId, options);
+
+  try {
+    return await fn();
+  } finally {
+    await this.release(vehicleId, token);
+  }
+};
+
+module.exports = mongoose.model('VehicleLock', vehicleLockSchema);
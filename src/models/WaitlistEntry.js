@@ -0,0 +1,157 @@
+/**
+ * WaitlistEntry Model
+ * Demand for a fully booked capacity, route and time window, matched in order as slots free up
+ */
+
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  // Customer waiting for a vehicle
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true,
+    maxlength: [50, 'Customer ID cannot exceed 50 characters']
+  },
+
+  // Minimum vehicle capacity needed
+  capacityRequired: {
+    type: Number,
+    required: [true, 'Required capacity is required'],
+    min: [1, 'Required capacity must be at least 1 kg'],
+    max: [50000, 'Required capacity cannot exceed 50,000 kg']
+  },
+
+  // Pickup location pincode
+  fromPincode: {
+    type: String,
+    required: [true, 'From pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+
+  // Destination location pincode
+  toPincode: {
+    type: String,
+    required: [true, 'To pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+
+  // Requested time window
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+
+  // Estimated ride duration in hours
+  estimatedRideDurationHours: {
+    type: Number,
+    required: [true, 'Estimated ride duration is required']
+  },
+
+  // Equipment the offered vehicle must have, from the availability search
+  features: {
+    type: [String],
+    default: []
+  },
+  bodyType: {
+    type: String
+  },
+  minVolume: {
+    type: Number
+  },
+
+  // waiting -> offered -> fulfilled, or expired/cancelled
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'fulfilled', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Held booking offered to the customer when a matching slot freed up
+  offer: {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    offeredAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    }
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true,
+  // Transform output to remove sensitive fields and format response
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Matching walks waiting entries in arrival order
+waitlistEntrySchema.index({ status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ customerId: 1, createdAt: -1 });
+waitlistEntrySchema.index({ 'offer.bookingId': 1 });
+
+// Static method to find waiting entries whose window overlaps the given one, oldest first
+waitlistEntrySchema.statics.findWaitingForWindow = function(startTime, endTime) {
+  const query = {
+    status: 'waiting',
+    startTime: { $gt: new Date() }
+  };
+
+  if (startTime && endTime) {
+    query.startTime.$lt = endTime;
+    query.endTime = { $gt: startTime };
+  }
+
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// Static method to mark the entry whose offer was the given booking as fulfilled
+waitlistEntrySchema.statics.markFulfilled = function(bookingId) {
+  return this.updateOne(
+    { 'offer.bookingId': bookingId, status: 'offered' },
+    { $set: { status: 'fulfilled' } }
+  );
+};
+
+// Static method to expire waiting entries whose window has started. Lapsed offers are
+// expired by the waitlist service, which offers their slot to the next entry.
+waitlistEntrySchema.statics.expireStale = async function(now = new Date()) {
+  const waiting = await this.updateMany(
+    { status: 'waiting', startTime: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  return waiting.modifiedCount;
+};
+
+// Static method to expire an entry whose offer lapsed. Resolves to false if the entry
+// was confirmed or expired in the meantime.
+waitlistEntrySchema.statics.expireOffer = async function(entryId) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: entryId, status: 'offered' },
+    { $set: { status: 'expired' } }
+  );
+
+  return modifiedCount > 0;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,92 @@
+/**
+ * Account Routes
+ * Defines all routes related to corporate accounts and their monthly statements
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createAccount,
+  getAllAccounts,
+  getAccountById,
+  updateAccount,
+  closeAccount,
+  createStatement,
+  getAccountStatements,
+  getStatementById
+} = require('../controllers/accountController.js');
+const {
+  validateAccount,
+  validateAccountUpdate,
+  validateStatement
+} = require('../middleware/validation.js');
+const idempotency = require('../middleware/idempotency.js');
+
+/**
+ * @route   POST /api/accounts
+ * @desc    Create a corporate account
+ * @access  Public (in real app, this would be admin only)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { name, creditLimit, accountCode?, contact?, gstin?, billingAddress?, rateOverrides?, status?, notes? }
+ */
+router.post('/', idempotency, validateAccount, createAccount);
+
+/**
+ * @route   GET /api/accounts
+ * @desc    Get accounts by name
+ * @access  Public (in real app, this would be admin only)
+ * @query   status, search, page, limit
+ */
+router.get('/', getAllAccounts);
+
+/**
+ * @route   GET /api/accounts/:id
+ * @desc    Get account with its customers and credit position (limit, outstanding, available)
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code
+ */
+router.get('/:id', getAccountById);
+
+/**
+ * @route   PATCH /api/accounts/:id
+ * @desc    Update account details, credit limit, negotiated rates or status
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code
+ * @body    Any account field except accountCode (rateOverrides replaces the whole list)
+ */
+router.patch('/:id', validateAccountUpdate, updateAccount);
+
+/**
+ * @route   DELETE /api/accounts/:id
+ * @desc    Close an account
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code
+ */
+router.delete('/:id', closeAccount);
+
+/**
+ * @route   POST /api/accounts/:id/statements
+ * @desc    Generate the account's statement for a month that has ended (normally done by the month-end job)
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code
+ * @body    { month? } - YYYY-MM, defaults to the previous month
+ */
+router.post('/:id/statements', validateStatement, createStatement);
+
+/**
+ * @route   GET /api/accounts/:id/statements
+ * @desc    Get the account's statements, newest first
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code
+ */
+router.get('/:id/statements', getAccountStatements);
+
+/**
+ * @route   GET /api/accounts/:id/statements/:statementId
+ * @desc    Get a statement with one line per billed booking
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Account ID or account code, statementId - Statement ID
+ */
+router.get('/:id/statements/:statementId', getStatementById);
+
+module.exports = router;
@@ -7,21 +7,84 @@ const express = require('express');
 const router = express.Router();
 const {
   createBooking,
+  autoAssign,
   getAllBookings,
   getBookingById,
+  rescheduleBooking,
+  confirmHold,
   updateBookingStatus,
+  getCancellationQuote,
   cancelBooking,
   getCustomerBookings
 } = require('../controllers/bookingController.js');
-const { validateBooking } = require('../middleware/validation.js');
+const {
+  createBookingSeries,
+  getBookingSeries,
+  updateBookingSeries,
+  cancelBookingSeries
+} = require('../controllers/seriesController.js');
+const {
+  validateBooking,
+  validateReschedule,
+  validateAutoAssign,
+  validateSeries,
+  validateSeriesUpdate
+} = require('../middleware/validation.js');
+const idempotency = require('../middleware/idempotency.js');
 
 /**
  * @route   POST /api/bookings
- * @desc    Create a new booking
+ * @desc    Create a new booking, or a tentative hold when hold is true
+ * @access  Public
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { vehicleId, customerId, fromPincode, toPincode, startTime, cargoWeightKg?, cargo?, billingDetails?, hold?, quoteId?, promoCode? }
+ */
+router.post('/', idempotency, validateBooking, createBooking);
+
+/**
+ * @route   POST /api/bookings/auto-assign
+ * @desc    Pick the best available vehicle and book it
+ * @access  Public
+ * @headers Idempotency-Key (optional)
+ * @body    { customerId, capacityRequired, fromPincode, toPincode, startTime, cargo?, strategy? }
+ */
+router.post('/auto-assign', idempotency, validateAutoAssign, autoAssign);
+
+/**
+ * @route   POST /api/bookings/series
+ * @desc    Create a recurring booking series (daily/weekly)
  * @access  Public
- * @body    { vehicleId, customerId, fromPincode, toPincode, startTime }
+ * @headers Idempotency-Key (optional)
+ * @body    { vehicleId, customerId, fromPincode, toPincode, startTime, cargoWeightKg?, cargo?,
+ *            recurrence: { frequency, interval?, daysOfWeek?, until?, count? }, allOrNothing? }
  */
-router.post('/', validateBooking, createBooking);
+router.post('/series', idempotency, validateSeries, createBookingSeries);
+
+/**
+ * @route   GET /api/bookings/series/:id
+ * @desc    Get a booking series with its occurrences
+ * @access  Public
+ * @params  id - Series ID
+ */
+router.get('/series/:id', getBookingSeries);
+
+/**
+ * @route   PATCH /api/bookings/series/:id
+ * @desc    Edit all upcoming occurrences of a series
+ * @access  Public
+ * @params  id - Series ID
+ * @body    { vehicleId?, fromPincode?, toPincode?, timeOfDay? }
+ */
+router.patch('/series/:id', validateSeriesUpdate, updateBookingSeries);
+
+/**
+ * @route   DELETE /api/bookings/series/:id
+ * @desc    Cancel all upcoming occurrences of a series
+ * @access  Public
+ * @params  id - Series ID
+ * @body    { changedBy?, reason? }
+ */
+router.delete('/series/:id', cancelBookingSeries);
 
 /**
  * @route   GET /api/bookings
@@ -33,7 +96,7 @@ router.get('/', getAllBookings);
 
 /**
  * @route   GET /api/bookings/customer/:customerId
- * @desc    Get customer's booking history
+ * @desc    Get customer's profile and booking history
  * @access  Public
  * @params  customerId - Customer ID
  * @query   limit, status
@@ -48,20 +111,47 @@ router.get('/customer/:customerId', getCustomerBookings);
  */
 router.get('/:id', getBookingById);
 
+/**
+ * @route   PATCH /api/bookings/:id
+ * @desc    Reschedule a confirmed booking
+ * @access  Public
+ * @params  id - Booking ID
+ * @body    { startTime?, fromPincode?, toPincode?, vehicleId? }
+ */
+router.patch('/:id', validateReschedule, rescheduleBooking);
+
+/**
+ * @route   POST /api/bookings/:id/confirm
+ * @desc    Confirm a tentative hold before it expires
+ * @access  Public
+ * @params  id - Booking ID
+ * @body    { changedBy?: string, reason?: string }
+ */
+router.post('/:id/confirm', confirmHold);
+
 /**
  * @route   PATCH /api/bookings/:id/status
- * @desc    Update booking status
+ * @desc    Update booking status (only transitions allowed by the booking state machine)
  * @access  Public (in real app, this would be restricted)
  * @params  id - Booking ID
- * @body    { status: string }
+ * @body    { status: string, changedBy?: string, reason?: string }
  */
 router.patch('/:id/status', updateBookingStatus);
 
+/**
+ * @route   GET /api/bookings/:id/cancellation-quote
+ * @desc    Preview the cancellation fee and refund without cancelling (dry run)
+ * @access  Public
+ * @params  id - Booking ID
+ */
+router.get('/:id/cancellation-quote', getCancellationQuote);
+
 /**
  * @route   DELETE /api/bookings/:id
- * @desc    Cancel a booking
+ * @desc    Cancel a booking under its cancellation policy
  * @access  Public
  * @params  id - Booking ID
+ * @body    { changedBy?: string, reason?: string }
  */
 router.delete('/:id', cancelBooking);
 
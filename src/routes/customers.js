@@ -0,0 +1,63 @@
+/**
+ * Customer Routes
+ * Defines all routes related to customer profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  closeCustomer
+} = require('../controllers/customerController.js');
+const {
+  validateCustomer,
+  validateCustomerUpdate
+} = require('../middleware/validation.js');
+const idempotency = require('../middleware/idempotency.js');
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create a customer
+ * @access  Public (in real app, this would be admin only)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { name, customerCode?, contact?, gstin?, billingAddress?, accountId?, creditLimit?, status?, notes? }
+ */
+router.post('/', idempotency, validateCustomer, createCustomer);
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get customers by name
+ * @access  Public (in real app, this would be admin only)
+ * @query   status, search, page, limit
+ */
+router.get('/', getAllCustomers);
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get customer profile
+ * @access  Public
+ * @params  id - Customer ID or customer code
+ */
+router.get('/:id', getCustomerById);
+
+/**
+ * @route   PATCH /api/customers/:id
+ * @desc    Update customer profile, credit limit or status, or move it to a corporate account
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Customer ID or customer code
+ * @body    Any customer field except customerCode (accountId: null detaches the account)
+ */
+router.patch('/:id', validateCustomerUpdate, updateCustomer);
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Close a customer account
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Customer ID or customer code
+ */
+router.delete('/:id', closeCustomer);
+
+module.exports = router;
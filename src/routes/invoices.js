@@ -0,0 +1,48 @@
+/**
+ * Invoice Routes
+ * Defines all routes related to GST invoices
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createInvoice,
+  getAllInvoices,
+  getInvoiceById,
+  getInvoiceHtml
+} = require('../controllers/invoiceController.js');
+const { validateInvoice } = require('../middleware/validation.js');
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Generate the invoice for a completed booking (invoices are also generated automatically on completion)
+ * @access  Public (in real app, this would be admin only)
+ * @body    { bookingId }
+ */
+router.post('/', validateInvoice, createInvoice);
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Get invoices, newest first
+ * @access  Public (in real app, this would be admin only)
+ * @query   customerId, bookingId, fromDate, toDate, page, limit
+ */
+router.get('/', getAllInvoices);
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Get invoice as JSON
+ * @access  Public
+ * @params  id - Invoice ID
+ */
+router.get('/:id', getInvoiceById);
+
+/**
+ * @route   GET /api/invoices/:id/html
+ * @desc    Get invoice as a printable HTML page
+ * @access  Public
+ * @params  id - Invoice ID
+ */
+router.get('/:id/html', getInvoiceHtml);
+
+module.exports = router;
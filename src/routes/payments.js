@@ -0,0 +1,67 @@
+/**
+ * Payment Routes
+ * Defines all routes related to booking payments and refunds
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  startPayment,
+  captureBookingPayment,
+  createRefund,
+  getAllPayments,
+  getPaymentById
+} = require('../controllers/paymentController.js');
+const {
+  validatePayment,
+  validatePaymentCapture,
+  validateRefund
+} = require('../middleware/validation.js');
+const idempotency = require('../middleware/idempotency.js');
+
+/**
+ * @route   POST /api/payments
+ * @desc    Start a payment for a booking's total cost through the configured gateway
+ * @access  Public
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { bookingId }
+ */
+router.post('/', idempotency, validatePayment, startPayment);
+
+/**
+ * @route   GET /api/payments
+ * @desc    Get payments, newest first
+ * @access  Public (in real app, this would be admin only)
+ * @query   bookingId, customerId, status, page, limit
+ */
+router.get('/', getAllPayments);
+
+/**
+ * @route   GET /api/payments/:id
+ * @desc    Get payment with its refunds
+ * @access  Public
+ * @params  id - Payment ID
+ */
+router.get('/:id', getPaymentById);
+
+/**
+ * @route   POST /api/payments/:id/capture
+ * @desc    Capture a pending payment; a booking held until paid is confirmed
+ * @access  Public
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @params  id - Payment ID
+ * @body    { paymentMethod? } - gateway payment method token
+ */
+router.post('/:id/capture', idempotency, validatePaymentCapture, captureBookingPayment);
+
+/**
+ * @route   POST /api/payments/:id/refunds
+ * @desc    Refund some or all of a captured payment (cancellations refund automatically)
+ * @access  Public (in real app, this would be admin only)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @params  id - Payment ID
+ * @body    { amount?, reason? } - amount defaults to everything refundable
+ */
+router.post('/:id/refunds', idempotency, validateRefund, createRefund);
+
+module.exports = router;
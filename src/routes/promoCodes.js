@@ -0,0 +1,62 @@
+/**
+ * Promo Code Routes
+ * Defines all routes related to discount campaigns
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createPromoCode,
+  getAllPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deactivatePromoCode
+} = require('../controllers/promoCodeController.js');
+const {
+  validatePromoCode,
+  validatePromoCodeUpdate
+} = require('../middleware/validation.js');
+
+/**
+ * @route   POST /api/promo-codes
+ * @desc    Create a promo code
+ * @access  Public (in real app, this would be admin only)
+ * @body    { code, discountType, amount, description?, maxDiscount?, minimumOrderValue?, vehicleTypes?,
+ *            validFrom?, validUntil?, maxRedemptions?, maxRedemptionsPerCustomer?, active? }
+ */
+router.post('/', validatePromoCode, createPromoCode);
+
+/**
+ * @route   GET /api/promo-codes
+ * @desc    Get promo codes, newest first
+ * @access  Public (in real app, this would be admin only)
+ * @query   active, page, limit
+ */
+router.get('/', getAllPromoCodes);
+
+/**
+ * @route   GET /api/promo-codes/:id
+ * @desc    Get promo code details, including its redemption count
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Promo code ID
+ */
+router.get('/:id', getPromoCodeById);
+
+/**
+ * @route   PATCH /api/promo-codes/:id
+ * @desc    Update a promo code's terms
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Promo code ID
+ * @body    Any promo code field except code
+ */
+router.patch('/:id', validatePromoCodeUpdate, updatePromoCode);
+
+/**
+ * @route   DELETE /api/promo-codes/:id
+ * @desc    Deactivate a promo code
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Promo code ID
+ */
+router.delete('/:id', deactivatePromoCode);
+
+module.exports = router;
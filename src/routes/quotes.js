@@ -0,0 +1,19 @@
+/**
+ * Quote Routes
+ * Defines all routes related to trip price quotes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getQuotes } = require('../controllers/quoteController.js');
+const { validateQuote } = require('../middleware/validation.js');
+
+/**
+ * @route   GET /api/quotes
+ * @desc    Get an itemized price quote for each available vehicle
+ * @access  Public
+ * @query   capacityRequired, fromPincode, toPincode, startTime, features?, bodyType?, minVolume?, customerId?, isHazardous?
+ */
+router.get('/', validateQuote, getQuotes);
+
+module.exports = router;
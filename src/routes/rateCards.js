@@ -0,0 +1,48 @@
+/**
+ * Rate Card Routes
+ * Defines all routes related to versioned pricing
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  publishRateCard,
+  getAllRateCards,
+  getActiveRateCards,
+  getRateCardById
+} = require('../controllers/rateCardController.js');
+const { validateRateCard } = require('../middleware/validation.js');
+
+/**
+ * @route   POST /api/rate-cards
+ * @desc    Publish a new rate card version for a vehicle type
+ * @access  Public (in real app, this would be admin only)
+ * @body    { vehicleType, baseFare, perKm, perHour, perTonne?, minimumCharge?, surcharges?, effectiveFrom?, notes? }
+ */
+router.post('/', validateRateCard, publishRateCard);
+
+/**
+ * @route   GET /api/rate-cards
+ * @desc    Get all rate card versions, newest first
+ * @access  Public (in real app, this would be admin only)
+ * @query   vehicleType
+ */
+router.get('/', getAllRateCards);
+
+/**
+ * @route   GET /api/rate-cards/active
+ * @desc    Get the rate card in effect for each vehicle type
+ * @access  Public
+ * @query   at - Optional ISO date to price at (defaults to now)
+ */
+router.get('/active', getActiveRateCards);
+
+/**
+ * @route   GET /api/rate-cards/:id
+ * @desc    Get a rate card version
+ * @access  Public
+ * @params  id - Rate card ID
+ */
+router.get('/:id', getRateCardById);
+
+module.exports = router;
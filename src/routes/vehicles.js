@@ -10,26 +10,59 @@ const {
   findAvailableVehicles,
   getAllVehicles,
   getVehicleById,
+  getVehicleScheduleById,
+  getFleetScheduleView,
+  updateVehicle,
+  removeVehicle,
   updateVehicleStatus
 } = require('../controllers/vehicleController.js');
+const {
+  scheduleMaintenance,
+  getVehicleMaintenanceWindows,
+  getMaintenanceWindowById,
+  editMaintenanceWindow,
+  removeMaintenanceWindow
+} = require('../controllers/maintenanceController.js');
+const {
+  createComplianceDocument,
+  getVehicleComplianceDocuments,
+  getComplianceDocumentById,
+  editComplianceDocument,
+  removeComplianceDocument,
+  getExpiringDocuments
+} = require('../controllers/complianceController.js');
 const {
   validateVehicle,
-  validateAvailability
+  validateVehicleUpdate,
+  validateVehicleStatus,
+  validateMaintenanceWindow,
+  validateMaintenanceWindowUpdate,
+  validateComplianceDocument,
+  validateComplianceDocumentUpdate,
+  validateExpiringDocuments,
+  validateAvailability,
+  validateSchedule
 } = require('../middleware/validation.js');
+const idempotency = require('../middleware/idempotency.js');
 
 /**
  * @route   POST /api/vehicles
  * @desc    Add a new vehicle to the fleet
  * @access  Public (in real app, this would be admin only)
- * @body    { name: string, capacityKg: number, tyres: number }
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { name: string, capacityKg: number, tyres: number, registrationNumber?: string,
+ *            bodyType?: string, fuelType?: string, cargoVolumeCubicM?: number, features?: string[] }
  */
-router.post('/', validateVehicle, addVehicle);
+router.post('/', idempotency, validateVehicle, addVehicle);
 
 /**
  * @route   GET /api/vehicles/available
  * @desc    Find available vehicles based on criteria
  * @access  Public
- * @query   capacityRequired, fromPincode, toPincode, startTime
+ * @query   capacityRequired, fromPincode, toPincode, startTime, features? (comma-separated, all required),
+ *          bodyType?, minVolume? (cubic metres), suggestAlternatives? ('true' to suggest other slots
+ *          when no vehicle is free), searchWindowHours? (hours searched either side, default 24),
+ *          page?, limit? (free vehicles per page, default all)
  */
 router.get('/available', validateAvailability, findAvailableVehicles);
 
@@ -37,10 +70,27 @@ router.get('/available', validateAvailability, findAvailableVehicles);
  * @route   GET /api/vehicles
  * @desc    Get all vehicles with optional filtering and pagination
  * @access  Public (in real app, this would be admin only)
- * @query   status, minCapacity, maxCapacity, page, limit
+ * @query   status, minCapacity, maxCapacity, includeDeleted, page, limit
  */
 router.get('/', getAllVehicles);
 
+/**
+ * @route   GET /api/vehicles/schedule
+ * @desc    Gantt-style view of the fleet: each vehicle's bookings, maintenance windows
+ *          and free slots in a time range
+ * @access  Public (in real app, this would be admin only)
+ * @query   from?, to? (ISO dates, default the next 24 hours), status?, page, limit
+ */
+router.get('/schedule', validateSchedule, getFleetScheduleView);
+
+/**
+ * @route   GET /api/vehicles/compliance-documents/expiring
+ * @desc    List compliance documents across the fleet that expire soon and have not been renewed
+ * @access  Public (in real app, this would be admin only)
+ * @query   withinDays? (default 30), includeExpired? ('true' to include documents already expired)
+ */
+router.get('/compliance-documents/expiring', validateExpiringDocuments, getExpiringDocuments);
+
 /**
  * @route   GET /api/vehicles/:id
  * @desc    Get vehicle details by ID
@@ -49,13 +99,131 @@ router.get('/', getAllVehicles);
  */
 router.get('/:id', getVehicleById);
 
+/**
+ * @route   GET /api/vehicles/:id/schedule
+ * @desc    Get a vehicle's bookings and maintenance windows in a time range, and the free slots between them
+ * @access  Public
+ * @params  id - Vehicle ID
+ * @query   from?, to? (ISO dates, default the next 24 hours)
+ */
+router.get('/:id/schedule', validateSchedule, getVehicleScheduleById);
+
+/**
+ * @route   PATCH /api/vehicles/:id
+ * @desc    Correct a vehicle's details. Capacity cannot drop below the cargo of upcoming bookings.
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID
+ * @body    { name?, capacityKg?, tyres?, registrationNumber?, bodyType?, fuelType?, cargoVolumeCubicM?, features? } - at least one
+ */
+router.patch('/:id', validateVehicleUpdate, updateVehicle);
+
+/**
+ * @route   DELETE /api/vehicles/:id
+ * @desc    Delete a vehicle. Refused while it has held, confirmed or in-progress bookings;
+ *          a vehicle with past bookings is retired and marked deleted instead of removed.
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID
+ */
+router.delete('/:id', removeVehicle);
+
 /**
  * @route   PATCH /api/vehicles/:id/status
- * @desc    Update vehicle status (active, maintenance, retired)
+ * @desc    Update vehicle status (active, maintenance, retired). Taking a vehicle out of
+ *          service blocks on, reassigns or cancels its upcoming bookings.
  * @access  Public (in real app, this would be admin only)
  * @params  id - Vehicle ID
- * @body    { status: string }
+ * @body    { status: string, onFutureBookings?: 'block'|'reassign'|'cancel', changedBy?: string, reason?: string }
+ */
+router.patch('/:id/status', validateVehicleStatus, updateVehicleStatus);
+
+/**
+ * @route   POST /api/vehicles/:id/maintenance-windows
+ * @desc    Schedule a maintenance window, or a recurring service schedule, during which
+ *          the vehicle cannot be booked. Rejected if it overlaps existing bookings.
+ * @access  Public (in real app, this would be admin only)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @params  id - Vehicle ID
+ * @body    { startTime: ISO date, endTime: ISO date, reason?: string, recurrence?: { frequency, interval?, daysOfWeek?, until?, count? } }
+ */
+router.post('/:id/maintenance-windows', idempotency, validateMaintenanceWindow, scheduleMaintenance);
+
+/**
+ * @route   GET /api/vehicles/:id/maintenance-windows
+ * @desc    Get a vehicle's current and upcoming maintenance windows
+ * @access  Public
+ * @params  id - Vehicle ID
+ * @query   includePast - 'true' to include windows that have ended
+ */
+router.get('/:id/maintenance-windows', getVehicleMaintenanceWindows);
+
+/**
+ * @route   GET /api/vehicles/:id/maintenance-windows/:windowId
+ * @desc    Get a maintenance window
+ * @access  Public
+ * @params  id - Vehicle ID, windowId - Maintenance window ID
+ */
+router.get('/:id/maintenance-windows/:windowId', getMaintenanceWindowById);
+
+/**
+ * @route   PATCH /api/vehicles/:id/maintenance-windows/:windowId
+ * @desc    Move or shorten a single maintenance window, or change its reason
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID, windowId - Maintenance window ID
+ * @body    { startTime?: ISO date, endTime?: ISO date, reason?: string } - at least one
+ */
+router.patch('/:id/maintenance-windows/:windowId', validateMaintenanceWindowUpdate, editMaintenanceWindow);
+
+/**
+ * @route   DELETE /api/vehicles/:id/maintenance-windows/:windowId
+ * @desc    Delete a maintenance window
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID, windowId - Maintenance window ID
+ * @query   scope - 'following' to also delete the later windows of its recurring schedule
+ */
+router.delete('/:id/maintenance-windows/:windowId', removeMaintenanceWindow);
+
+/**
+ * @route   POST /api/vehicles/:id/compliance-documents
+ * @desc    Record an insurance policy, fitness certificate, PUC or permit. The vehicle cannot be
+ *          booked for trips ending after a required document expires.
+ * @access  Public (in real app, this would be admin only)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @params  id - Vehicle ID
+ * @body    { type: string, documentNumber: string, issueDate: ISO date, expiryDate: ISO date, fileReference?: string }
+ */
+router.post('/:id/compliance-documents', idempotency, validateComplianceDocument, createComplianceDocument);
+
+/**
+ * @route   GET /api/vehicles/:id/compliance-documents
+ * @desc    Get a vehicle's compliance documents and anything stopping it being booked now
+ * @access  Public
+ * @params  id - Vehicle ID
+ */
+router.get('/:id/compliance-documents', getVehicleComplianceDocuments);
+
+/**
+ * @route   GET /api/vehicles/:id/compliance-documents/:documentId
+ * @desc    Get a compliance document
+ * @access  Public
+ * @params  id - Vehicle ID, documentId - Compliance document ID
+ */
+router.get('/:id/compliance-documents/:documentId', getComplianceDocumentById);
+
+/**
+ * @route   PATCH /api/vehicles/:id/compliance-documents/:documentId
+ * @desc    Correct a compliance document, e.g. its expiry date or uploaded file
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID, documentId - Compliance document ID
+ * @body    { type?, documentNumber?, issueDate?, expiryDate?, fileReference? } - at least one
+ */
+router.patch('/:id/compliance-documents/:documentId', validateComplianceDocumentUpdate, editComplianceDocument);
+
+/**
+ * @route   DELETE /api/vehicles/:id/compliance-documents/:documentId
+ * @desc    Delete a compliance document
+ * @access  Public (in real app, this would be admin only)
+ * @params  id - Vehicle ID, documentId - Compliance document ID
  */
-router.patch('/:id/status', updateVehicleStatus);
+router.delete('/:id/compliance-documents/:documentId', removeComplianceDocument);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Waitlist Routes
+ * Defines all routes related to the waitlist for fully booked slots
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistEntryById,
+  leaveWaitlist
+} = require('../controllers/waitlistController.js');
+const { validateWaitlist } = require('../middleware/validation.js');
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist when no vehicle is available
+ * @access  Public
+ * @body    { customerId, capacityRequired, fromPincode, toPincode, startTime, features?, bodyType?, minVolume? }
+ */
+router.post('/', validateWaitlist, joinWaitlist);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get waitlist entries in matching order
+ * @access  Public (in real app, this would be admin only)
+ * @query   customerId, status, page, limit
+ */
+router.get('/', getWaitlist);
+
+/**
+ * @route   GET /api/waitlist/:id
+ * @desc    Get waitlist entry details, including any offer
+ * @access  Public
+ * @params  id - Waitlist entry ID
+ */
+router.get('/:id', getWaitlistEntryById);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Leave the waitlist (releases an offered hold)
+ * @access  Public
+ * @params  id - Waitlist entry ID
+ */
+router.delete('/:id', leaveWaitlist);
+
+module.exports = router;
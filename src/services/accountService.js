@@ -0,0 +1,281 @@
+/**
+ * Account Service
+ * Credit checks and consolidated monthly statements for corporate accounts
+ */
+
+const Account = require('../models/Account');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const Customer = require('../models/Customer');
+const Statement = require('../models/Statement');
+const { AppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/pricing');
+const { generateInvoice } = require('./invoiceService');
+
+/**
+ * Take the next generated account code, e.g. ACC000001
+ *
+ * @returns {Promise<string>} Account code
+ */
+const nextAccountCode = async () => {
+  const seq = await Counter.next('account');
+  return `ACC${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Load the account a customer books under and check it may take bookings
+ *
+ * @param {Object} customer - Customer document
+ * @returns {Promise<Object|null>} Account document, or null for customers without one
+ */
+const getBookingAccount = async (customer) => {
+  if (!customer.accountId) {
+    return null;
+  }
+
+  const account = await Account.findById(customer.accountId);
+
+  if (account && account.status !== 'active') {
+    throw new AppError(
+      `Account ${account.accountCode} is ${account.status} and cannot make bookings`,
+      400,
+      { accountCode: account.accountCode, status: account.status }
+    );
+  }
+
+  return account;
+};
+
+/**
+ * Find the account a customer books under, for pricing at its negotiated rates
+ *
+ * @param {string} customerId - Customer code used on bookings
+ * @returns {Promise<Object|null>} Account document, or null
+ */
+const findCustomerAccount = async (customerId) => {
+  const customer = await Customer.findOne({ customerCode: customerId });
+
+  if (!customer || !customer.accountId) {
+    return null;
+  }
+
+  return Account.findById(customer.accountId);
+};
+
+/**
+ * Amount an account owes or is committed to: bookings that are held, confirmed or
+ * in progress, plus completed bookings not yet billed on a statement
+ *
+ * @param {Object} account - Account document
+ * @returns {Promise<number>} Outstanding amount
+ */
+const getOutstandingBalance = async (account) => {
+  const [row] = await Booking.aggregate([
+    {
+      $match: {
+        accountId: account._id,
+        $or: [
+          Booking.blockingStatusFilter(),
+          { status: 'completed', statementId: null }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        outstanding: { $sum: '$totalCost' }
+      }
+    }
+  ]);
+
+  return roundCurrency(row ? row.outstanding : 0);
+};
+
+/**
+ * Summarize an account's credit position
+ *
+ * @param {Object} account - Account document
+ * @returns {Promise<Object>} { creditLimit, outstanding, available }
+ */
+const getCreditSummary = async (account) => {
+  const outstanding = await getOutstandingBalance(account);
+
+  return {
+    creditLimit: account.creditLimit,
+    outstanding,
+    available: roundCurrency(Math.max(account.creditLimit - outstanding, 0))
+  };
+};
+
+/**
+ * Reject a booking that would take the account over its credit limit.
+ * The check is not atomic with the insert: concurrent bookings each see the balance
+ * without the others, so N of them can together overshoot the limit by up to the
+ * cost of N-1 of them. Statements and the credit summary show the real balance.
+ *
+ * @param {Object} account - Account document, or null for customers without one
+ * @param {number} amount - Cost of the new booking(s)
+ */
+const assertWithinCreditLimit = async (account, amount) => {
+  if (!account) {
+    return;
+  }
+
+  const { creditLimit, outstanding, available } = await getCreditSummary(account);
+
+  if (outstanding + amount > creditLimit) {
+    throw new AppError(
+      `Booking would exceed the credit limit of account ${account.accountCode}`,
+      400,
+      {
+        accountCode: account.accountCode,
+        creditLimit,
+        outstanding,
+        available,
+        requested: amount,
+        suggestedAction: 'Settle the outstanding statement or ask for a higher credit limit'
+      }
+    );
+  }
+};
+
+/**
+ * UTC calendar month containing a date, or named by "YYYY-MM"
+ *
+ * @param {Date|string} month - Any date in the month, or "YYYY-MM"
+ * @returns {Object} { label, periodStart, periodEnd }
+ */
+const getBillingPeriod = (month) => {
+  const date = typeof month === 'string' ? new Date(`${month}-01T00:00:00Z`) : month;
+  const periodStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const periodEnd = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+  return {
+    label: periodStart.toISOString().slice(0, 7),
+    periodStart,
+    periodEnd
+  };
+};
+
+// Attach a statement's bookings to it. Safe to repeat after an interrupted run.
+const markBookingsBilled = (statement) => {
+  return Booking.updateMany(
+    { _id: { $in: statement.lines.map(line => line.bookingId) }, statementId: null },
+    { $set: { statementId: statement._id } }
+  );
+};
+
+/**
+ * Produce an account's statement for a month, listing every completed booking not
+ * billed yet - including ones completed in earlier months that were missed.
+ * A month is only ever billed once; asking again returns the existing statement.
+ *
+ * @param {Object} account - Account document
+ * @param {Object} period - From getBillingPeriod
+ * @returns {Promise<Object>} { statement, created } - statement is null when there is nothing to bill
+ */
+const generateStatement = async (account, { label, periodStart, periodEnd }) => {
+  const existing = await Statement.findOne({ accountId: account._id, periodStart });
+  if (existing) {
+    await markBookingsBilled(existing);
+    return { statement: existing, created: false };
+  }
+
+  const bookings = await Booking.find({
+    accountId: account._id,
+    status: 'completed',
+    statementId: null,
+    completedAt: { $lt: periodEnd }
+  }).sort({ completedAt: 1 });
+
+  if (bookings.length === 0) {
+    return { statement: null, created: false };
+  }
+
+  // Each booking is billed with the GST on its own invoice
+  const lines = [];
+  for (const booking of bookings) {
+    const { invoice } = await generateInvoice(booking);
+    lines.push({
+      bookingId: booking._id,
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: booking.customerId,
+      fromPincode: booking.fromPincode,
+      toPincode: booking.toPincode,
+      startTime: booking.startTime,
+      completedAt: booking.completedAt,
+      amount: invoice.taxableAmount,
+      taxTotal: invoice.taxTotal,
+      total: invoice.grandTotal
+    });
+  }
+
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+
+  try {
+    const statement = await Statement.create({
+      statementNumber: `${account.accountCode}/${label}`,
+      accountId: account._id,
+      periodStart,
+      periodEnd,
+      billTo: {
+        name: account.name,
+        gstin: account.gstin,
+        address: account.formatBillingAddress(),
+        email: account.contact ? account.contact.email : undefined
+      },
+      lines,
+      bookingCount: lines.length,
+      subtotal: sum('amount'),
+      taxTotal: sum('taxTotal'),
+      grandTotal: sum('total')
+    });
+
+    await markBookingsBilled(statement);
+
+    return { statement, created: true };
+  } catch (error) {
+    // A concurrent run produced the statement first
+    if (error.code === 11000) {
+      return { statement: await Statement.findOne({ accountId: account._id, periodStart }), created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Produce the previous month's statement for every account. One account failing
+ * does not stop the others; it is retried on the next run.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Statements created
+ */
+const generateMonthlyStatements = async (now = new Date()) => {
+  const period = getBillingPeriod(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)));
+  const accounts = await Account.find({});
+  const created = [];
+
+  for (const account of accounts) {
+    try {
+      const result = await generateStatement(account, period);
+      if (result.created) {
+        created.push(result.statement);
+      }
+    } catch (error) {
+      console.error(`Error generating statement for account ${account.accountCode}:`, error);
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  nextAccountCode,
+  getBookingAccount,
+  findCustomerAccount,
+  getCreditSummary,
+  assertWithinCreditLimit,
+  getBillingPeriod,
+  generateStatement,
+  generateMonthlyStatements
+};
@@ -0,0 +1,237 @@
+/**
+ * Assignment Service
+ * Picks the best available vehicle for a booking request and books it
+ */
+
+const Booking = require('../models/Booking');
+const bookingConfig = require('../config/booking');
+const { AppError } = require('../utils/errors');
+const { calculateRideDuration } = require('../utils/helpers');
+const { findAvailableVehiclesForWindow } = require('./availabilityService');
+const { getRateCards, priceTrip } = require('./pricingService');
+const { getBookableCustomer } = require('./customerService');
+const { assertWithinCreditLimit } = require('./accountService');
+const { getPaymentTerms } = require('./paymentService');
+const paymentConfig = require('../config/payments');
+
+// Number of runner-up vehicles reported alongside the chosen one
+const RUNNERS_UP_LIMIT = 3;
+
+// Selection strategies - each orders candidates (best first) and explains the choice.
+// Ties are broken by capacity so the smallest sufficient vehicle wins.
+const STRATEGIES = {
+  'smallest-capacity': {
+    compare: (a, b) => a.metrics.capacityKg - b.metrics.capacityKg,
+    explain: (candidate, context) =>
+      `Smallest available vehicle that fits ${context.capacityRequired} kg (capacity ${candidate.metrics.capacityKg} kg)`
+  },
+  'least-utilized': {
+    compare: (a, b) =>
+      a.metrics.bookedHours - b.metrics.bookedHours ||
+      a.metrics.capacityKg - b.metrics.capacityKg,
+    explain: (candidate) =>
+      `Least utilized available vehicle: ${candidate.metrics.bookedHours} booked hours within ` +
+      `${bookingConfig.utilizationWindowDays} days of the trip`
+  },
+  'cheapest': {
+    compare: (a, b) =>
+      a.metrics.estimatedCost - b.metrics.estimatedCost ||
+      a.metrics.capacityKg - b.metrics.capacityKg,
+    explain: (candidate) =>
+      `Cheapest available vehicle: estimated cost ₹${candidate.metrics.estimatedCost}`
+  }
+};
+
+/**
+ * Sum booked hours per vehicle within the utilization window around a start time.
+ * Cancelled and expired bookings, and holds that have lapsed, are not counted.
+ *
+ * @param {Array} vehicleIds - Vehicle IDs to measure
+ * @param {Date} startTime - Trip start time the window is centred on
+ * @param {Date} now - Current time, for deciding which holds have lapsed
+ * @returns {Promise<Map>} Map of vehicle ID string to booked hours
+ */
+const getBookedHours = async (vehicleIds, startTime, now = new Date()) => {
+  const windowMs = bookingConfig.utilizationWindowDays * 24 * 60 * 60 * 1000;
+
+  const rows = await Booking.aggregate([
+    {
+      $match: {
+        vehicleId: { $in: vehicleIds },
+        $or: [
+          { status: { $in: ['confirmed', 'in-progress', 'completed'] } },
+          { status: 'held', holdExpiresAt: { $gt: now } }
+        ],
+        startTime: {
+          $gte: new Date(startTime.getTime() - windowMs),
+          $lt: new Date(startTime.getTime() + windowMs)
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$vehicleId',
+        bookedHours: { $sum: '$estimatedRideDurationHours' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.bookedHours]));
+};
+
+/**
+ * Rank available vehicles according to a selection strategy
+ *
+ * @param {Array} vehicles - Available vehicle documents
+ * @param {Object} context - Request details (strategy, startTime, durationHours, cargo, account)
+ * @returns {Promise<Array>} Candidates ({ vehicle, price, metrics }) ordered best first
+ */
+const rankCandidates = async (vehicles, context) => {
+  const strategy = STRATEGIES[context.strategy];
+  const bookedHours = await getBookedHours(
+    vehicles.map(vehicle => vehicle._id),
+    context.startTime
+  );
+
+  const rateCards = await getRateCards();
+
+  const candidates = await Promise.all(vehicles.map(async (vehicle) => {
+    const price = await priceTrip(
+      vehicle,
+      { durationHours: context.durationHours, cargo: context.cargo },
+      { rateCards, account: context.account }
+    );
+
+    return {
+      vehicle,
+      price,
+      metrics: {
+        capacityKg: vehicle.capacityKg,
+        bookedHours: bookedHours.get(vehicle._id.toString()) || 0,
+        estimatedCost: price.totalCost
+      }
+    };
+  }));
+
+  return candidates.sort(strategy.compare);
+};
+
+// Summarize a candidate for the selection report
+const describeCandidate = (candidate) => ({
+  vehicleId: candidate.vehicle._id,
+  name: candidate.vehicle.name,
+  ...candidate.metrics
+});
+
+/**
+ * Select the best available vehicle for a request and book it.
+ * Candidates are tried in rank order; one taken by a concurrent request since the
+ * search is skipped in favour of the next.
+ *
+ * @param {Object} request - Booking request
+ * @returns {Promise<Object>} { booking, selection }
+ */
+const autoAssignBooking = async ({
+  customerId,
+  capacityRequired,
+  fromPincode,
+  toPincode,
+  startTime,
+  cargo,
+  billingDetails,
+  strategy = bookingConfig.autoAssignStrategy
+}) => {
+  if (!STRATEGIES[strategy]) {
+    throw new AppError(
+      `Unknown selection strategy. Must be one of: ${Object.keys(STRATEGIES).join(', ')}`,
+      400
+    );
+  }
+
+  const { account } = await getBookableCustomer(customerId);
+
+  const durationHours = calculateRideDuration(fromPincode, toPincode);
+  const bookingStartTime = new Date(startTime);
+  const bookingEndTime = new Date(bookingStartTime.getTime() + (durationHours * 60 * 60 * 1000));
+
+  const { availableVehicles } = await findAvailableVehiclesForWindow({
+    capacityRequired,
+    startTime: bookingStartTime,
+    endTime: bookingEndTime
+  });
+
+  const context = {
+    strategy,
+    capacityRequired,
+    startTime: bookingStartTime,
+    durationHours,
+    cargo,
+    account
+  };
+  const ranked = await rankCandidates(availableVehicles, context);
+
+  // Bookings that must be paid first are held until their payment is captured
+  const paymentTerms = getPaymentTerms(account);
+  const holdExpiresAt = paymentTerms.paymentRequired
+    ? new Date(Date.now() + paymentConfig.paymentWindowMinutes * 60 * 1000)
+    : undefined;
+
+  for (let index = 0; index < ranked.length; index++) {
+    const candidate = ranked[index];
+
+    // Account customers book on credit, up to the account's limit
+    await assertWithinCreditLimit(account, candidate.price.totalCost);
+
+    try {
+      const booking = await Booking.createWithoutConflict({
+        vehicleId: candidate.vehicle._id,
+        customerId,
+        fromPincode,
+        toPincode,
+        startTime: bookingStartTime,
+        endTime: bookingEndTime,
+        estimatedRideDurationHours: durationHours,
+        cargoWeightKg: capacityRequired,
+        cargo,
+        billingDetails,
+        totalCost: candidate.price.totalCost,
+        rateCardId: candidate.price.rateCardId,
+        rateCardVersion: candidate.price.rateCardVersion,
+        accountId: account ? account._id : undefined,
+        ...paymentTerms,
+        status: paymentTerms.paymentRequired ? 'held' : 'confirmed',
+        holdExpiresAt
+      });
+
+      return {
+        booking,
+        selection: {
+          strategy,
+          reason: STRATEGIES[strategy].explain(candidate, context),
+          chosen: describeCandidate(candidate),
+          runnersUp: ranked
+            .slice(index + 1, index + 1 + RUNNERS_UP_LIMIT)
+            .map(describeCandidate),
+          candidatesConsidered: ranked.length
+        }
+      };
+    } catch (error) {
+      if (!(error instanceof AppError) || error.statusCode !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  throw new AppError(
+    'No vehicle is available for the requested capacity and time slot',
+    409,
+    {
+      candidatesConsidered: ranked.length,
+      suggestedAction: 'Try a different start time or capacity'
+    }
+  );
+};
+
+module.exports = {
+  autoAssignBooking
+};
@@ -0,0 +1,121 @@
+/**
+ * Availability Service
+ * Finds vehicles that can take a booking for a given capacity and time window
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { parseFeatureList } = require('../utils/helpers');
+
+/**
+ * Build the query for bookable vehicles with enough capacity and the required equipment.
+ * Vehicles in scheduled maintenance are included - their windows are checked separately.
+ *
+ * @param {Object} criteria - { capacityRequired, features, bodyType, minVolume }
+ * @returns {Object} Vehicle filter
+ */
+const buildSuitableVehicleFilter = ({ capacityRequired, features, bodyType, minVolume }) => {
+  const filter = {
+    capacityKg: { $gte: parseInt(capacityRequired) },
+    ...Vehicle.bookableStatusFilter()
+  };
+  
+  const requiredFeatures = parseFeatureList(features);
+  if (requiredFeatures.length > 0) filter.features = { $all: requiredFeatures };
+  if (bodyType) filter.bodyType = bodyType;
+  if (minVolume) filter.cargoVolumeCubicM = { $gte: parseFloat(minVolume) };
+  
+  return filter;
+};
+
+// Look up at most one document of a collection overlapping the window for each vehicle.
+// The vehicleId equality and the constant time range use the collection's
+// { vehicleId, startTime, endTime } index, one seek per vehicle.
+const lookupOverlapping = (from, as, startTime, endTime, extraMatch = {}) => ({
+  $lookup: {
+    from,
+    localField: '_id',
+    foreignField: 'vehicleId',
+    pipeline: [
+      { $match: { startTime: { $lt: endTime }, endTime: { $gt: startTime }, ...extraMatch } },
+      { $limit: 1 },
+      { $project: { _id: 1 } }
+    ],
+    as
+  }
+});
+
+/**
+ * Find bookable vehicles with enough capacity, no overlapping booking or maintenance window and
+ * required compliance documents valid across the whole window. Runs as a single aggregation: the
+ * suitable vehicles are anti-joined against bookings and maintenance windows in the database,
+ * so the cost no longer grows with one query per vehicle.
+ *
+ * @param {Object} criteria - Search criteria
+ * @param {number} criteria.capacityRequired - Minimum capacity in kg
+ * @param {Date} criteria.startTime - Window start
+ * @param {Date} criteria.endTime - Window end
+ * @param {string[]|string} criteria.features - Features the vehicle must all have (optional)
+ * @param {string} criteria.bodyType - Required body type (optional)
+ * @param {number} criteria.minVolume - Minimum cargo volume in cubic metres (optional)
+ * @param {number} criteria.page - Page of available vehicles to return (optional, default 1)
+ * @param {number} criteria.limit - Available vehicles per page (optional, default all)
+ * @returns {Promise<Object>} { suitableCount, availableCount, availableVehicles } - the available
+ *   vehicles are Vehicle documents sorted by capacity (ascending)
+ */
+const findAvailableVehiclesForWindow = async ({
+  capacityRequired,
+  startTime,
+  endTime,
+  features,
+  bodyType,
+  minVolume,
+  page = 1,
+  limit
+}) => {
+  const windowStart = new Date(startTime);
+  const windowEnd = new Date(endTime);
+  
+  // Find all bookable vehicles that meet capacity and equipment requirements
+  const filter = buildSuitableVehicleFilter({ capacityRequired, features, bodyType, minVolume });
+  
+  // Sort by capacity (ascending) for better optimization; _id keeps pages stable
+  const pageStages = [{ $sort: { capacityKg: 1, _id: 1 } }];
+  if (limit) {
+    pageStages.push(
+      { $skip: (parseInt(page) - 1) * parseInt(limit) },
+      { $limit: parseInt(limit) }
+    );
+  }
+  
+  const isFree = {
+    $match: { overlappingBookings: { $size: 0 }, maintenanceWindows: { $size: 0 }, compliant: true }
+  };
+  
+  const [result] = await Vehicle.aggregate([
+    { $match: filter },
+    lookupOverlapping(Booking.collection.name, 'overlappingBookings', windowStart, windowEnd, Booking.blockingStatusFilter()),
+    lookupOverlapping(MaintenanceWindow.collection.name, 'maintenanceWindows', windowStart, windowEnd),
+    ...ComplianceDocument.complianceStages(windowStart, windowEnd),
+    {
+      $facet: {
+        suitable: [{ $count: 'count' }],
+        availableCount: [isFree, { $count: 'count' }],
+        available: [isFree, ...pageStages, { $project: { overlappingBookings: 0, maintenanceWindows: 0, complianceDocuments: 0, compliant: 0 } }]
+      }
+    }
+  ]);
+  
+  return {
+    suitableCount: result.suitable.length > 0 ? result.suitable[0].count : 0,
+    availableCount: result.availableCount.length > 0 ? result.availableCount[0].count : 0,
+    availableVehicles: result.available.map(vehicle => Vehicle.hydrate(vehicle))
+  };
+};
+
+module.exports = {
+  buildSuitableVehicleFilter,
+  findAvailableVehiclesForWindow
+};
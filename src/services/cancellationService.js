@@ -0,0 +1,148 @@
+/**
+ * Cancellation Service
+ * Applies the configured cancellation policies to work out fees and refunds
+ */
+
+const Vehicle = require('../models/Vehicle');
+const policyConfig = require('../config/cancellationPolicies');
+const { AppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/pricing');
+const { refundCancellationSafely } = require('./paymentService');
+
+/**
+ * Resolve the cancellation policy for a booking - customer overrides win over
+ * vehicle type overrides, which win over the default policy
+ *
+ * @param {Object} context - { customerId, vehicleType }
+ * @returns {Object} Policy with its name
+ */
+const resolvePolicy = ({ customerId, vehicleType }) => {
+  const name = policyConfig.byCustomer[customerId] ||
+    policyConfig.byVehicleType[vehicleType] ||
+    policyConfig.defaultPolicy;
+
+  return { name, ...policyConfig.policies[name] };
+};
+
+/**
+ * Work out what cancelling a booking now would cost, without changing it
+ *
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Time of cancellation
+ * @returns {Promise<Object>} Outcome with allowed flag, policy, fee and refund
+ */
+const evaluateCancellation = async (booking, now = new Date()) => {
+  const transitionError = booking.getTransitionError('cancelled', now);
+  if (transitionError) {
+    return { allowed: false, reason: transitionError };
+  }
+
+  // Nothing is charged for a tentative hold, so releasing it is always free
+  if (booking.status === 'held') {
+    return {
+      allowed: true,
+      policy: null,
+      feePercent: 0,
+      cancellationFee: 0,
+      refundAmount: 0
+    };
+  }
+
+  const vehicle = await Vehicle.findById(booking.vehicleId);
+  const policy = resolvePolicy({
+    customerId: booking.customerId,
+    vehicleType: vehicle ? vehicle.vehicleType : null
+  });
+
+  const hoursUntilStart = (booking.startTime - now) / (1000 * 60 * 60);
+  const tier = policy.tiers.find(t => hoursUntilStart >= t.minHoursBeforeStart);
+  const summary = {
+    policy: policy.name,
+    policyDescription: policy.description,
+    hoursUntilStart: roundCurrency(hoursUntilStart)
+  };
+
+  if (!tier) {
+    const lastTier = policy.tiers[policy.tiers.length - 1];
+    return {
+      allowed: false,
+      reason: `Cannot cancel booking within ${lastTier.minHoursBeforeStart} hour(s) of start time`,
+      ...summary
+    };
+  }
+
+  const cancellationFee = roundCurrency(booking.totalCost * tier.feePercent / 100);
+
+  return {
+    allowed: true,
+    ...summary,
+    feePercent: tier.feePercent,
+    cancellationFee,
+    refundAmount: roundCurrency(booking.totalCost - cancellationFee)
+  };
+};
+
+/**
+ * Cancel a booking under its cancellation policy, record the financial outcome and
+ * refund the customer's payment accordingly
+ *
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<Object>} { booking, outcome, refund } - refund is null if it failed
+ */
+const cancelWithPolicy = async (booking, { changedBy, reason } = {}) => {
+  const now = new Date();
+  const outcome = await evaluateCancellation(booking, now);
+
+  if (!outcome.allowed) {
+    throw new AppError(outcome.reason, 409, { cancellation: outcome });
+  }
+
+  booking.transitionTo('cancelled', { changedBy, reason });
+  booking.set({
+    cancellationFee: outcome.cancellationFee,
+    refundAmount: outcome.refundAmount,
+    cancellationPolicy: outcome.policy,
+    cancelledAt: now,
+    cancellationReason: reason
+  });
+  await booking.save();
+
+  const refund = await refundCancellationSafely(booking);
+
+  return { booking, outcome, refund };
+};
+
+/**
+ * Cancel a booking for a reason on our side, e.g. its vehicle being withdrawn.
+ * No fee is charged and a confirmed booking is refunded in full.
+ *
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<Object>} { booking, refund } - refund is null if it failed
+ */
+const cancelWithoutFee = async (booking, { changedBy, reason } = {}) => {
+  const now = new Date();
+  const refundAmount = booking.status === 'held' ? 0 : booking.totalCost;
+
+  booking.transitionTo('cancelled', { changedBy, reason });
+  booking.set({
+    cancellationFee: 0,
+    refundAmount,
+    cancellationPolicy: 'operator',
+    cancelledAt: now,
+    cancellationReason: reason
+  });
+  await booking.save();
+
+  const refund = await refundCancellationSafely(booking);
+
+  return { booking, refund };
+};
+
+module.exports = {
+  resolvePolicy,
+  evaluateCancellation,
+  cancelWithPolicy,
+  cancelWithoutFee
+};
@@ -0,0 +1,138 @@
+/**
+ * Compliance Service
+ * Records vehicles' insurance, fitness, PUC and permit documents and reports those
+ * about to expire
+ */
+
+const ComplianceDocument = require('../models/ComplianceDocument');
+const Vehicle = require('../models/Vehicle');
+const complianceConfig = require('../config/compliance');
+const { AppError } = require('../utils/errors');
+const { assertNotDeleted } = require('./vehicleService');
+
+/**
+ * Record a compliance document for a vehicle
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} data - Validated { type, documentNumber, issueDate, expiryDate, fileReference }
+ * @returns {Promise<Object>} Created document
+ */
+const addComplianceDocument = async (vehicle, data) => {
+  assertNotDeleted(vehicle);
+
+  return ComplianceDocument.create({ ...data, vehicleId: vehicle._id });
+};
+
+/**
+ * Load one of a vehicle's compliance documents
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Compliance document
+ */
+const getComplianceDocument = async (vehicle, documentId) => {
+  const document = await ComplianceDocument.findOne({ _id: documentId, vehicleId: vehicle._id });
+
+  if (!document) {
+    throw new AppError('Compliance document not found', 404);
+  }
+
+  return document;
+};
+
+/**
+ * Correct a compliance document, e.g. its expiry date or uploaded file
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} documentId - Document ID
+ * @param {Object} changes - Validated fields to change
+ * @returns {Promise<Object>} Saved document
+ */
+const updateComplianceDocument = async (vehicle, documentId, changes) => {
+  assertNotDeleted(vehicle);
+
+  const document = await getComplianceDocument(vehicle, documentId);
+  document.set(changes);
+
+  return document.save();
+};
+
+/**
+ * Delete a compliance document
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Deleted document
+ */
+const deleteComplianceDocument = async (vehicle, documentId) => {
+  const document = await getComplianceDocument(vehicle, documentId);
+  await ComplianceDocument.deleteOne({ _id: document._id });
+
+  return document;
+};
+
+/**
+ * Get a vehicle's documents, newest expiry first, and what would stop it being booked now
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @returns {Promise<Object>} { documents, issues }
+ */
+const getVehicleCompliance = async (vehicle) => {
+  const documents = await ComplianceDocument.find({ vehicleId: vehicle._id }).sort({ type: 1, expiryDate: -1 });
+  const now = new Date();
+  const issues = await ComplianceDocument.findComplianceIssues(vehicle._id, now, now);
+
+  return { documents, issues };
+};
+
+/**
+ * List documents that expire within the given number of days and have not been
+ * renewed - only the latest document of each type per vehicle is considered.
+ * Deleted vehicles are left out.
+ *
+ * @param {Object} options - { withinDays, includeExpired }
+ * @returns {Promise<Object>} { withinDays, documents } - soonest expiry first
+ */
+const findExpiringDocuments = async ({ withinDays, includeExpired } = {}) => {
+  const days = parseInt(withinDays) || complianceConfig.expiryWarningDays;
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const latest = await ComplianceDocument.aggregate([
+    { $sort: { expiryDate: -1 } },
+    { $group: { _id: { vehicleId: '$vehicleId', type: '$type' }, document: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$document' } },
+    {
+      $match: {
+        expiryDate: String(includeExpired) === 'true' ? { $lte: cutoff } : { $gt: now, $lte: cutoff }
+      }
+    },
+    { $sort: { expiryDate: 1 } }
+  ]);
+
+  const vehicles = await Vehicle.find({
+    _id: { $in: latest.map(document => document.vehicleId) },
+    deletedAt: null
+  }).select('name registrationNumber status');
+  const vehiclesById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+  const documents = latest
+    .filter(document => vehiclesById.has(document.vehicleId.toString()))
+    .map(document => ({
+      ...ComplianceDocument.hydrate(document).toJSON(),
+      vehicle: vehiclesById.get(document.vehicleId.toString()),
+      expired: document.expiryDate <= now,
+      daysRemaining: Math.ceil((document.expiryDate - now) / (24 * 60 * 60 * 1000))
+    }));
+
+  return { withinDays: days, documents };
+};
+
+module.exports = {
+  addComplianceDocument,
+  getComplianceDocument,
+  updateComplianceDocument,
+  deleteComplianceDocument,
+  getVehicleCompliance,
+  findExpiringDocuments
+};
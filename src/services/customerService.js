@@ -0,0 +1,55 @@
+/**
+ * Customer Service
+ * Resolves the customers bookings are made for
+ */
+
+const Customer = require('../models/Customer');
+const Counter = require('../models/Counter');
+const { AppError } = require('../utils/errors');
+const { getBookingAccount } = require('./accountService');
+
+/**
+ * Take the next generated customer code, e.g. CUST000001
+ *
+ * @returns {Promise<string>} Customer code
+ */
+const nextCustomerCode = async () => {
+  const seq = await Counter.next('customer');
+  return `CUST${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Load the customer a booking is for, and the corporate account they book under,
+ * and check they may book
+ *
+ * @param {string} customerId - Customer code used on bookings
+ * @returns {Promise<Object>} { customer, account } - account is null for customers without one
+ */
+const getBookableCustomer = async (customerId) => {
+  const customer = await Customer.findOne({ customerCode: customerId });
+
+  if (!customer) {
+    throw new AppError(
+      `Customer ${customerId} not found`,
+      404,
+      { suggestedAction: 'Create the customer via POST /api/customers first' }
+    );
+  }
+
+  if (customer.status !== 'active') {
+    throw new AppError(
+      `Customer account is ${customer.status} and cannot make bookings`,
+      400,
+      { customerId, status: customer.status }
+    );
+  }
+
+  const account = await getBookingAccount(customer);
+
+  return { customer, account };
+};
+
+module.exports = {
+  nextCustomerCode,
+  getBookableCustomer
+};
@@ -0,0 +1,147 @@
+/**
+ * Invoice Service
+ * Issues GST invoices with sequential numbers for completed bookings
+ */
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Vehicle = require('../models/Vehicle');
+const Customer = require('../models/Customer');
+const taxConfig = require('../config/tax');
+const { AppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/pricing');
+const { getStateForPincode, isIntraStateTrip, calculateGst } = require('../utils/gst');
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2026-27"
+ */
+const getFinancialYear = (date) => {
+  const year = date.getUTCFullYear();
+  const startYear = date.getUTCMonth() >= 3 ? year : year - 1;
+
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Take the next invoice number in the financial year of the issue date
+ *
+ * @param {Date} issuedAt - Invoice date
+ * @returns {Promise<string>} Invoice number, e.g. FL/2026-27/000001
+ */
+const nextInvoiceNumber = async (issuedAt) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const seq = await Counter.next(`invoice:${financialYear}`);
+
+  return `${taxConfig.invoicePrefix}/${financialYear}/${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Issue the invoice for a completed booking. A booking is only ever invoiced once;
+ * asking again returns the existing invoice.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} { invoice, created }
+ */
+const generateInvoice = async (booking) => {
+  if (booking.status !== 'completed') {
+    throw new AppError(
+      `Invoices can only be generated for completed bookings (status is ${booking.status})`,
+      400
+    );
+  }
+
+  const existing = await Invoice.findOne({ bookingId: booking._id });
+  if (existing) {
+    return { invoice: existing, created: false };
+  }
+
+  const vehicle = await Vehicle.findById(booking.populated('vehicleId') || booking.vehicleId);
+  const fromState = getStateForPincode(booking.fromPincode);
+  const toState = getStateForPincode(booking.toPincode);
+  const intraState = isIntraStateTrip(booking.fromPincode, booking.toPincode);
+
+  const taxableAmount = roundCurrency(booking.totalCost);
+  const taxes = calculateGst(taxableAmount, taxConfig.gstRatePercent, intraState);
+  const issuedAt = new Date();
+
+  // A promo discount is shown against the full fare; GST is charged after it
+  const discountAmount = booking.discount && booking.discount.amount ? booking.discount.amount : 0;
+  const lines = [{
+    description: `Goods transport by road: ${booking.fromPincode} to ${booking.toPincode}` +
+      (vehicle ? ` (${vehicle.name})` : ''),
+    sacCode: taxConfig.sacCode,
+    amount: roundCurrency(taxableAmount + discountAmount)
+  }];
+  if (discountAmount > 0) {
+    lines.push({
+      description: `Discount (promo code ${booking.discount.code})`,
+      sacCode: taxConfig.sacCode,
+      amount: -discountAmount
+    });
+  }
+  // Billing details given on the booking win over the customer's profile
+  const billing = booking.billingDetails || {};
+  const customer = await Customer.findOne({ customerCode: booking.customerId });
+
+  try {
+    const invoice = await Invoice.create({
+      invoiceNumber: await nextInvoiceNumber(issuedAt),
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      issuedAt,
+      supplier: taxConfig.supplier,
+      billTo: {
+        name: billing.name || (customer ? customer.name : booking.customerId),
+        gstin: billing.gstin || (customer ? customer.gstin : undefined),
+        address: billing.address || (customer ? customer.formatBillingAddress() : undefined),
+        email: billing.email || (customer ? customer.contact.email : undefined)
+      },
+      trip: {
+        vehicleName: vehicle ? vehicle.name : undefined,
+        fromPincode: booking.fromPincode,
+        toPincode: booking.toPincode,
+        fromState: fromState ? fromState.name : undefined,
+        toState: toState ? toState.name : undefined,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      },
+      lines,
+      taxableAmount,
+      taxType: intraState ? 'intra-state' : 'inter-state',
+      taxes: taxes.items,
+      taxTotal: taxes.total,
+      grandTotal: roundCurrency(taxableAmount + taxes.total)
+    });
+
+    return { invoice, created: true };
+  } catch (error) {
+    // A concurrent request invoiced the booking first - the number taken here is skipped
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.bookingId) {
+      return { invoice: await Invoice.findOne({ bookingId: booking._id }), created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue the invoice without failing the caller - the booking has already been
+ * completed, and the invoice can be generated later via POST /api/invoices
+ *
+ * @param {Object} booking - Completed booking document
+ * @returns {Promise<Object|null>} Invoice, or null if generation failed
+ */
+const generateInvoiceSafely = async (booking) => {
+  try {
+    const { invoice } = await generateInvoice(booking);
+    return invoice;
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getFinancialYear,
+  generateInvoice,
+  generateInvoiceSafely
+};
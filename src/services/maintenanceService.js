@@ -0,0 +1,215 @@
+/**
+ * Maintenance Service
+ * Schedules maintenance windows that take vehicles out of service, and moves
+ * vehicles in and out of maintenance as those windows start and end
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Vehicle = require('../models/Vehicle');
+const VehicleLock = require('../models/VehicleLock');
+const bookingConfig = require('../config/booking');
+const { AppError } = require('../utils/errors');
+const { expandRecurrence } = require('../utils/recurrence');
+const { assertNotDeleted } = require('./vehicleService');
+const { matchWaitlistSafely } = require('./waitlistService');
+
+/**
+ * Throw a 409 error if any of the given windows overlaps a booking that occupies the
+ * vehicle. Bookings are moved or cancelled first, so customers are not left stranded.
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Array} windows - [{ startTime, endTime }]
+ */
+const assertNoBookingConflicts = async (vehicle, windows) => {
+  const conflicts = [];
+
+  for (const window of windows) {
+    const bookings = await Booking.findOverlappingBookings(vehicle._id, window.startTime, window.endTime);
+    if (bookings.length > 0) {
+      conflicts.push({
+        startTime: window.startTime,
+        endTime: window.endTime,
+        conflictingBookings: bookings.map(booking => booking._id)
+      });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new AppError(
+      'Vehicle has bookings during the requested maintenance window(s)',
+      409,
+      {
+        conflicts,
+        suggestedAction: 'Reschedule or cancel these bookings first, or choose a different window'
+      }
+    );
+  }
+};
+
+/**
+ * Schedule maintenance for a vehicle: one window, or a recurring service schedule
+ * expanded into one window per occurrence, each lasting as long as the first
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} data - Validated { startTime, endTime, reason, recurrence }
+ * @returns {Promise<Array>} Created windows
+ */
+const createMaintenanceWindows = async (vehicle, { startTime, endTime, reason, recurrence }) => {
+  assertNotDeleted(vehicle);
+
+  const firstStart = new Date(startTime);
+  const durationMs = new Date(endTime) - firstStart;
+
+  const starts = recurrence
+    ? expandRecurrence(firstStart, recurrence, bookingConfig.maxMaintenanceOccurrences)
+    : [firstStart];
+
+  // Occurrences closer together than a window's length would overlap each other
+  for (let i = 1; i < starts.length; i++) {
+    if (starts[i] - starts[i - 1] < durationMs) {
+      throw new AppError('Recurring maintenance windows would overlap - shorten the window or lengthen the interval', 400);
+    }
+  }
+
+  const scheduleId = recurrence ? new mongoose.Types.ObjectId() : null;
+  const windows = starts.map(start => ({
+    vehicleId: vehicle._id,
+    startTime: start,
+    endTime: new Date(start.getTime() + durationMs),
+    reason,
+    scheduleId,
+    recurrence
+  }));
+
+  // Checked and inserted under the vehicle's lock, like bookings
+  const created = await VehicleLock.runExclusive(vehicle._id, async () => {
+    await assertNoBookingConflicts(vehicle, windows);
+    return MaintenanceWindow.insertMany(windows);
+  });
+
+  await syncMaintenanceStatusesSafely();
+
+  return created;
+};
+
+/**
+ * Load one of a vehicle's maintenance windows
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} windowId - Window ID
+ * @returns {Promise<Object>} Window document
+ */
+const getMaintenanceWindow = async (vehicle, windowId) => {
+  const window = await MaintenanceWindow.findOne({ _id: windowId, vehicleId: vehicle._id });
+
+  if (!window) {
+    throw new AppError('Maintenance window not found', 404);
+  }
+
+  return window;
+};
+
+/**
+ * Move or shorten a single maintenance window, or change its reason
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} windowId - Window ID
+ * @param {Object} changes - Validated { startTime, endTime, reason }
+ * @returns {Promise<Object>} Saved window
+ */
+const updateMaintenanceWindow = async (vehicle, windowId, changes) => {
+  assertNotDeleted(vehicle);
+
+  const window = await getMaintenanceWindow(vehicle, windowId);
+
+  const updated = await VehicleLock.runExclusive(vehicle._id, async () => {
+    window.set(changes);
+
+    if (changes.startTime || changes.endTime) {
+      await assertNoBookingConflicts(vehicle, [window]);
+    }
+
+    return window.save();
+  });
+
+  await syncMaintenanceStatusesSafely();
+
+  return updated;
+};
+
+/**
+ * Delete a maintenance window. With scope 'following', the later windows of the
+ * same recurring schedule are deleted too.
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} windowId - Window ID
+ * @param {Object} options - { scope: 'single'|'following' }
+ * @returns {Promise<number>} Number of windows deleted
+ */
+const deleteMaintenanceWindows = async (vehicle, windowId, { scope = 'single' } = {}) => {
+  const window = await getMaintenanceWindow(vehicle, windowId);
+
+  const filter = scope === 'following' && window.scheduleId
+    ? { scheduleId: window.scheduleId, startTime: { $gte: window.startTime } }
+    : { _id: window._id };
+
+  const { deletedCount } = await MaintenanceWindow.deleteMany(filter);
+
+  await syncMaintenanceStatusesSafely();
+
+  return deletedCount;
+};
+
+/**
+ * Put vehicles whose maintenance window is under way into maintenance, and return
+ * vehicles whose windows have all ended to service. Only vehicles put into
+ * maintenance here are returned to service; a status set by hand is left alone.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { started, ended } - number of vehicles moved each way
+ */
+const syncMaintenanceStatuses = async (now = new Date()) => {
+  const underMaintenance = await MaintenanceWindow.distinct('vehicleId', {
+    startTime: { $lte: now },
+    endTime: { $gt: now }
+  });
+
+  const started = await Vehicle.updateMany(
+    { _id: { $in: underMaintenance }, status: 'active', deletedAt: null },
+    { $set: { status: 'maintenance', scheduledMaintenance: true } }
+  );
+
+  const ended = await Vehicle.updateMany(
+    { _id: { $nin: underMaintenance }, status: 'maintenance', scheduledMaintenance: true },
+    { $set: { status: 'active', scheduledMaintenance: false } }
+  );
+
+  // Vehicles back in service may serve waitlisted requests
+  if (ended.modifiedCount > 0) {
+    await matchWaitlistSafely();
+  }
+
+  return { started: started.modifiedCount, ended: ended.modifiedCount };
+};
+
+/**
+ * Sync vehicle statuses after a window changes, so a window that is already under
+ * way takes effect without waiting for the next job run. Never fails the caller.
+ */
+const syncMaintenanceStatusesSafely = async () => {
+  try {
+    await syncMaintenanceStatuses();
+  } catch (error) {
+    console.error('Error syncing maintenance statuses:', error);
+  }
+};
+
+module.exports = {
+  createMaintenanceWindows,
+  getMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindows,
+  syncMaintenanceStatuses
+};
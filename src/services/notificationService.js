@@ -0,0 +1,45 @@
+/**
+ * Notification Service
+ * Tells customers about changes made to their bookings
+ */
+
+const Customer = require('../models/Customer');
+const Notification = require('../models/Notification');
+
+/**
+ * Record a notification for a customer, addressed to their email or phone.
+ * Never fails the caller - a customer who could not be notified is logged.
+ *
+ * @param {string} customerId - Customer code used on bookings
+ * @param {Object} notification - { type, bookingId, subject, message }
+ * @returns {Promise<Object|null>} Notification document, or null if it could not be recorded
+ */
+const notifyCustomerSafely = async (customerId, { type, bookingId, subject, message }) => {
+  try {
+    const customer = await Customer.findOne({ customerCode: customerId });
+    const contact = (customer && customer.contact) || {};
+    const channel = contact.email ? 'email' : contact.phone ? 'sms' : 'none';
+
+    const notification = await Notification.create({
+      customerId,
+      bookingId,
+      type,
+      channel,
+      recipient: contact.email || contact.phone,
+      subject,
+      message,
+      status: channel === 'none' ? 'undeliverable' : 'pending'
+    });
+
+    console.log(`📣 Customer Notified - Customer: ${customerId}, Type: ${type}, Channel: ${channel}`);
+
+    return notification;
+  } catch (error) {
+    console.error(`Error notifying customer ${customerId}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  notifyCustomerSafely
+};
@@ -0,0 +1,368 @@
+/**
+ * Payment Service
+ * Takes payments for bookings through the configured gateway: intents, captures and refunds
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const paymentConfig = require('../config/payments');
+const { AppError, PaymentGatewayError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/pricing');
+const { getGateway } = require('../gateways');
+
+// Payments holding captured money that may still be refunded
+const REFUNDABLE_STATUSES = ['captured', 'partially-refunded'];
+
+/**
+ * Payment fields for a new booking. Account bookings are billed on statements;
+ * others are held until paid when PAYMENT_REQUIRED is set.
+ *
+ * @param {Object} account - Account the booking is billed to, if any
+ * @returns {Object} { paymentStatus, paymentRequired }
+ */
+const getPaymentTerms = (account) => ({
+  paymentStatus: account ? 'on-account' : 'unpaid',
+  paymentRequired: !account && paymentConfig.paymentRequired
+});
+
+// Turn a gateway failure into a client error
+const toAppError = (error, message) => {
+  if (!(error instanceof PaymentGatewayError)) {
+    return error;
+  }
+  return new AppError(`${message}: ${error.message}`, 402, { gatewayCode: error.code });
+};
+
+/**
+ * Recalculate a booking's paymentStatus from its payments and store it. Only the
+ * payment status is written, so this cannot fail on the rest of the booking after
+ * money has already moved through the gateway.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Booking with its paymentStatus updated
+ */
+const syncPaymentStatus = async (booking) => {
+  if (booking.paymentStatus === 'on-account') {
+    return booking;
+  }
+
+  const payments = await Payment.find({ bookingId: booking._id });
+  const captured = roundCurrency(payments.reduce((sum, payment) => sum + payment.amountCaptured, 0));
+  const refunded = roundCurrency(payments.reduce((sum, payment) => sum + payment.amountRefunded, 0));
+
+  if (captured > 0) {
+    booking.paymentStatus = refunded >= captured
+      ? 'refunded'
+      : refunded > 0 ? 'partially-refunded' : 'paid';
+  } else {
+    booking.paymentStatus = payments.some(payment => payment.status === 'pending') ? 'pending' : 'unpaid';
+  }
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { paymentStatus: booking.paymentStatus } });
+
+  return booking;
+};
+
+/**
+ * Start a payment for a booking's total cost. A booking has at most one payment
+ * awaiting capture; asking again returns it.
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} { payment, created }
+ */
+const createPayment = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  if (booking.paymentStatus === 'on-account') {
+    throw new AppError('Booking is billed to its corporate account and is paid by statement', 400);
+  }
+
+  if (['cancelled', 'expired'].includes(booking.status)) {
+    throw new AppError(`Cannot take payment for a ${booking.status} booking`, 400);
+  }
+
+  if (booking.paymentStatus !== 'unpaid' && booking.paymentStatus !== 'pending') {
+    throw new AppError('Booking has already been paid', 409, { paymentStatus: booking.paymentStatus });
+  }
+
+  const existing = await Payment.findOne({ bookingId: booking._id, status: 'pending' });
+  if (existing) {
+    return { payment: existing, created: false };
+  }
+
+  const gateway = getGateway();
+  let intent;
+  try {
+    intent = await gateway.createIntent({
+      amount: booking.totalCost,
+      currency: paymentConfig.currency,
+      metadata: { bookingId: booking._id.toString(), customerId: booking.customerId }
+    });
+  } catch (error) {
+    throw toAppError(error, 'Payment could not be started');
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      amount: booking.totalCost,
+      currency: paymentConfig.currency,
+      gateway: gateway.name,
+      gatewayIntentId: intent.intentId,
+      clientSecret: intent.clientSecret
+    });
+  } catch (error) {
+    // A concurrent request started the booking's payment first - drop this intent
+    if (error.code === 11000) {
+      await gateway.cancelIntent(intent.intentId).catch(() => {});
+      return { payment: await Payment.findOne({ bookingId: booking._id, status: 'pending' }), created: false };
+    }
+    throw error;
+  }
+
+  await syncPaymentStatus(booking);
+
+  return { payment, created: true };
+};
+
+/**
+ * Cancel a payment that can no longer be captured and release its intent
+ */
+const cancelPayment = async (payment) => {
+  try {
+    await getGateway(payment.gateway).cancelIntent(payment.gatewayIntentId);
+  } catch (error) {
+    if (!(error instanceof PaymentGatewayError)) {
+      throw error;
+    }
+  }
+
+  payment.status = 'cancelled';
+  return payment.save();
+};
+
+/**
+ * Capture a pending payment. A booking held until paid is confirmed once its
+ * payment is captured; a booking that lapsed or was cancelled is not charged.
+ *
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { paymentMethod } passed to the gateway
+ * @returns {Promise<Object>} { payment, booking }
+ */
+const capturePayment = async (paymentId, { paymentMethod } = {}) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  if (payment.status !== 'pending') {
+    throw new AppError(`Payment is ${payment.status} and cannot be captured`, 409);
+  }
+
+  const booking = await Booking.findById(payment.bookingId);
+  const confirmsHold = booking && booking.status === 'held';
+  const unpayableReason = !booking || ['cancelled', 'expired'].includes(booking.status)
+    ? `Booking is ${booking ? booking.status : 'missing'} and can no longer be paid`
+    : confirmsHold && booking.holdExpiresAt <= new Date()
+      ? 'Hold has expired and can no longer be paid'
+      : null;
+
+  if (unpayableReason) {
+    await cancelPayment(payment);
+    throw new AppError(unpayableReason, 409);
+  }
+
+  const gateway = getGateway(payment.gateway);
+  let charge;
+  try {
+    charge = await gateway.captureIntent(payment.gatewayIntentId, { paymentMethod });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      // Only while still pending - a concurrent capture of the same payment may have won
+      await Payment.updateOne(
+        { _id: payment._id, status: 'pending' },
+        { $set: { status: 'failed', failureCode: error.code, failureMessage: error.message } }
+      );
+      await syncPaymentStatus(booking);
+    }
+    throw toAppError(error, 'Payment failed');
+  }
+
+  payment.set({
+    status: 'captured',
+    gatewayChargeId: charge.chargeId,
+    amountCaptured: charge.amount,
+    capturedAt: new Date()
+  });
+  await payment.save();
+
+  try {
+    if (confirmsHold) {
+      booking.paymentStatus = 'paid';
+      booking.transitionTo('confirmed', { reason: 'Payment captured' });
+      await booking.save();
+    } else {
+      // Only the payment status changes - unless the booking was cancelled meanwhile
+      const { matchedCount } = await Booking.updateOne(
+        { _id: booking._id, status: { $nin: ['cancelled', 'expired'] } },
+        { $set: { paymentStatus: 'paid' } }
+      );
+      if (matchedCount === 0) {
+        throw new AppError('Booking was cancelled while the payment was being captured', 409);
+      }
+      booking.paymentStatus = 'paid';
+    }
+  } catch (error) {
+    // The booking changed while the card was charged - give the money back
+    await refundPayment(payment._id, { reason: 'Booking could not be confirmed' });
+    throw error;
+  }
+
+  if (confirmsHold) {
+    await WaitlistEntry.markFulfilled(booking._id);
+  }
+
+  return { payment, booking };
+};
+
+/**
+ * Refund a captured payment through its gateway, without touching the booking
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { amount (defaults to everything refundable), reason }
+ * @returns {Promise<Object>} { payment, refund }
+ */
+const issueRefund = async (payment, { amount, reason } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new AppError(`Payment is ${payment.status} and cannot be refunded`, 409);
+  }
+
+  const refundAmount = roundCurrency(amount === undefined ? payment.refundableAmount : amount);
+
+  // Reserve the amount first, so concurrent refunds cannot exceed what was captured
+  const reserved = refundAmount > 0 && await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: { $lte: [{ $add: ['$amountRefunded', refundAmount] }, '$amountCaptured'] }
+    },
+    { $inc: { amountRefunded: refundAmount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    throw new AppError(
+      `Refund amount must be between 0 and the refundable amount of ${payment.refundableAmount}`,
+      400,
+      { refundableAmount: payment.refundableAmount }
+    );
+  }
+
+  let result;
+  try {
+    result = await getGateway(payment.gateway).refundCharge(payment.gatewayChargeId, {
+      amount: refundAmount,
+      reason
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { amountRefunded: -refundAmount } });
+    throw toAppError(error, 'Refund failed');
+  }
+
+  const refund = { gatewayRefundId: result.refundId, amount: refundAmount, reason, createdAt: new Date() };
+  await Payment.updateOne({ _id: payment._id }, { $push: { refunds: refund } });
+
+  // Status only moves forward, so concurrent refunds settle on the right one
+  await Payment.updateOne(
+    { _id: payment._id, $expr: { $gte: ['$amountRefunded', '$amountCaptured'] } },
+    { $set: { status: 'refunded' } }
+  );
+  await Payment.updateOne(
+    { _id: payment._id, status: 'captured' },
+    { $set: { status: 'partially-refunded' } }
+  );
+  const updated = await Payment.findById(payment._id);
+
+  return { payment: updated, refund };
+};
+
+/**
+ * Refund some or all of a captured payment
+ *
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { amount (defaults to everything refundable), reason }
+ * @returns {Promise<Object>} { payment, refund }
+ */
+const refundPayment = async (paymentId, options = {}) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  const result = await issueRefund(payment, options);
+
+  const booking = await Booking.findById(payment.bookingId);
+  if (booking) {
+    await syncPaymentStatus(booking);
+  }
+
+  return result;
+};
+
+/**
+ * Settle payments after a booking is cancelled: refund what the cancellation policy
+ * gives back and release any payment still awaiting capture. Never fails the
+ * cancellation - a failed refund can be retried via POST /api/payments/:id/refunds.
+ *
+ * @param {Object} booking - Cancelled booking document, with refundAmount set
+ * @returns {Promise<Object|null>} { refunded, refunds }, or null if settling failed
+ */
+const refundCancellationSafely = async (booking) => {
+  try {
+    const payments = await Payment.find({ bookingId: booking._id }).sort({ createdAt: 1 });
+    if (payments.length === 0) {
+      return { refunded: 0, refunds: [] };
+    }
+
+    let remaining = roundCurrency(booking.refundAmount || 0);
+    const refunds = [];
+
+    for (const payment of payments) {
+      if (payment.status === 'pending') {
+        await cancelPayment(payment);
+      } else if (REFUNDABLE_STATUSES.includes(payment.status) && remaining > 0) {
+        const amount = Math.min(remaining, payment.refundableAmount);
+        const { refund } = await issueRefund(payment, { amount, reason: 'Booking cancelled' });
+        refunds.push({ paymentId: payment._id, ...refund });
+        remaining = roundCurrency(remaining - amount);
+      }
+    }
+
+    await syncPaymentStatus(booking);
+
+    return {
+      refunded: roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0)),
+      refunds
+    };
+  } catch (error) {
+    console.error('Error refunding cancelled booking:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getPaymentTerms,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  refundCancellationSafely
+};
@@ -0,0 +1,109 @@
+/**
+ * Pricing Service
+ * Prices trips with the rate card in effect for the vehicle's type
+ */
+
+const RateCard = require('../models/RateCard');
+const pricingConfig = require('../config/pricing');
+const { estimateDistanceKm } = require('../utils/helpers');
+const { calculateFare } = require('../utils/pricing');
+
+/**
+ * Get the rate card in effect for a vehicle type, falling back to the built-in
+ * default (version 0) when none has been published
+ *
+ * @param {string} vehicleType - Vehicle type
+ * @param {Date} at - Pricing time
+ * @returns {Promise<Object>} Rate card with id and version
+ */
+const getRateCard = async (vehicleType, at = new Date()) => {
+  const card = await RateCard.findEffective(vehicleType, at);
+
+  if (card) {
+    return card.toObject({ virtuals: false, versionKey: false, transform: false });
+  }
+
+  return {
+    _id: null,
+    version: 0,
+    vehicleType,
+    ...pricingConfig.defaultRateCards[vehicleType]
+  };
+};
+
+/**
+ * Get the rate cards in effect for every vehicle type, for pricing many vehicles at once
+ *
+ * @returns {Promise<Object>} Rate cards keyed by vehicle type
+ */
+const getRateCards = async (at = new Date()) => {
+  const types = RateCard.getVehicleTypes();
+  const cards = await Promise.all(types.map(type => getRateCard(type, at)));
+
+  return Object.fromEntries(types.map((type, index) => [type, cards[index]]));
+};
+
+// Rate card fields an account's negotiated rates may replace
+const OVERRIDABLE_RATES = ['baseFare', 'perKm', 'perHour', 'perTonne', 'minimumCharge'];
+
+/**
+ * Apply an account's negotiated rates for the card's vehicle type over a rate card
+ *
+ * @param {Object} rateCard - Rate card in effect
+ * @param {Object} account - Account document, if the customer books under one
+ * @returns {Object} Rate card to price with
+ */
+const applyRateOverride = (rateCard, account) => {
+  const override = account ? account.getRateOverride(rateCard.vehicleType) : null;
+
+  if (!override) {
+    return rateCard;
+  }
+
+  const negotiated = { ...rateCard };
+  for (const field of OVERRIDABLE_RATES) {
+    if (override[field] !== undefined && override[field] !== null) {
+      negotiated[field] = override[field];
+    }
+  }
+  return negotiated;
+};
+
+/**
+ * Price a trip on a vehicle
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} trip - { durationHours, cargo }
+ * @param {Object} options - { rateCards, account } - preloaded cards from getRateCards,
+ *   and the account whose negotiated rates apply
+ * @returns {Promise<Object>} { totalCost, fare, rateCardId, rateCardVersion, distanceKm, negotiatedRates }
+ */
+const priceTrip = async (vehicle, { durationHours, cargo }, { rateCards = null, account = null } = {}) => {
+  const publishedCard = rateCards
+    ? rateCards[vehicle.vehicleType]
+    : await getRateCard(vehicle.vehicleType);
+  const rateCard = applyRateOverride(publishedCard, account);
+  const distanceKm = estimateDistanceKm(durationHours);
+
+  const fare = calculateFare(rateCard, {
+    durationHours,
+    distanceKm,
+    capacityKg: vehicle.capacityKg,
+    isHazardous: Boolean(cargo && cargo.isHazardous)
+  });
+
+  return {
+    totalCost: fare.total,
+    fare,
+    distanceKm,
+    rateCardId: rateCard._id,
+    rateCardVersion: rateCard.version,
+    negotiatedRates: rateCard !== publishedCard
+  };
+};
+
+module.exports = {
+  getRateCard,
+  getRateCards,
+  priceTrip
+};
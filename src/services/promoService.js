@@ -0,0 +1,202 @@
+/**
+ * Promo Service
+ * Checks promo code eligibility and counts redemptions against their caps
+ */
+
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { AppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/pricing');
+
+/**
+ * Find why a promo code cannot be used on a booking, without redeeming it.
+ * Usage caps are only enforced atomically when the code is redeemed.
+ *
+ * @param {Object} promo - PromoCode document
+ * @param {Object} context - { vehicleType, orderValue, at }
+ * @returns {string|null} Reason the code cannot be used, or null if it can
+ */
+const getIneligibilityReason = (promo, { vehicleType, orderValue, at = new Date() }) => {
+  if (!promo.active) {
+    return 'Promo code is no longer active';
+  }
+
+  if (promo.validFrom && at < promo.validFrom) {
+    return `Promo code is not valid until ${promo.validFrom.toISOString()}`;
+  }
+
+  if (promo.validUntil && at > promo.validUntil) {
+    return 'Promo code has expired';
+  }
+
+  if (orderValue < promo.minimumOrderValue) {
+    return `Promo code requires a minimum booking value of ₹${promo.minimumOrderValue}`;
+  }
+
+  if (promo.vehicleTypes.length > 0 && !promo.vehicleTypes.includes(vehicleType)) {
+    return `Promo code only applies to ${promo.vehicleTypes.join(', ')} vehicles`;
+  }
+
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    return 'Promo code has reached its usage limit';
+  }
+
+  return null;
+};
+
+/**
+ * Work out the discount a promo code would give, without redeeming it
+ *
+ * @param {string} code - Promo code as entered
+ * @param {Object} context - { vehicleType, orderValue }
+ * @returns {Promise<Object>} { promo, discount } where discount is { code, promoCodeId, amount }
+ */
+const previewPromoCode = async (code, context) => {
+  const promo = await PromoCode.findByCode(code);
+
+  if (!promo) {
+    throw new AppError('Promo code not found', 400);
+  }
+
+  const reason = getIneligibilityReason(promo, context);
+  if (reason) {
+    throw new AppError(reason, 400, { promoCode: promo.code });
+  }
+
+  return {
+    promo,
+    discount: {
+      code: promo.code,
+      promoCodeId: promo._id,
+      amount: promo.calculateDiscount(context.orderValue)
+    }
+  };
+};
+
+// Undo a per-customer count taken by redeemPromoCode
+const releaseCustomerRedemption = (promoCodeId, customerId) => {
+  return PromoRedemption.updateOne(
+    { promoCodeId, customerId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+/**
+ * Redeem a promo code for a booking. The per-customer and total counts are each
+ * taken with a single conditional update, so concurrent bookings cannot exceed
+ * either cap.
+ *
+ * @param {string} code - Promo code as entered
+ * @param {Object} context - { customerId, vehicleType, orderValue }
+ * @returns {Promise<Object>} { discount, totalCost } - release with releasePromoCode if the booking fails
+ */
+const redeemPromoCode = async (code, context) => {
+  const { promo, discount } = await previewPromoCode(code, context);
+  const limitReached = new AppError(
+    'Promo code has reached its usage limit',
+    400,
+    { promoCode: promo.code }
+  );
+
+  // Per-customer count - when the customer is at the cap the filter does not
+  // match, and the upsert collides with their existing counter. A collision can
+  // also come from the customer's first two redemptions racing, so retry once.
+  const customerFilter = { promoCodeId: promo._id, customerId: context.customerId };
+  if (promo.maxRedemptionsPerCustomer) {
+    customerFilter.count = { $lt: promo.maxRedemptionsPerCustomer };
+  }
+
+  // The unique index on code and customer is what makes the capped upsert atomic
+  await PromoRedemption.init();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await PromoRedemption.findOneAndUpdate(
+        customerFilter,
+        { $inc: { count: 1 } },
+        { upsert: true, new: true }
+      );
+      break;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      if (attempt > 0) {
+        throw new AppError(
+          'Promo code has already been used the maximum number of times by this customer',
+          400,
+          { promoCode: promo.code }
+        );
+      }
+    }
+  }
+
+  // Total count
+  const totalFilter = { _id: promo._id, active: true };
+  if (promo.maxRedemptions) {
+    totalFilter.redemptionCount = { $lt: promo.maxRedemptions };
+  }
+
+  const updated = await PromoCode.findOneAndUpdate(
+    totalFilter,
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseCustomerRedemption(promo._id, context.customerId);
+    throw limitReached;
+  }
+
+  return {
+    discount,
+    totalCost: roundCurrency(context.orderValue - discount.amount)
+  };
+};
+
+/**
+ * Give back a redemption taken by redeemPromoCode, when the booking it was for
+ * could not be created
+ *
+ * @param {Object} discount - Discount returned by redeemPromoCode
+ * @param {string} customerId - Customer the code was redeemed for
+ */
+const releasePromoCode = async (discount, customerId) => {
+  await PromoCode.updateOne(
+    { _id: discount.promoCodeId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+  await releaseCustomerRedemption(discount.promoCodeId, customerId);
+};
+
+/**
+ * Recalculate a booking's discount on a new cost, e.g. after rescheduling. The
+ * redemption was already counted, so eligibility and caps are not checked again.
+ *
+ * @param {Object} discount - Discount recorded on the booking
+ * @param {number} orderValue - New booking cost before discount
+ * @returns {Promise<Object>} { discount, totalCost }
+ */
+const reapplyDiscount = async (discount, orderValue) => {
+  const promo = await PromoCode.findById(discount.promoCodeId);
+  const amount = promo
+    ? promo.calculateDiscount(orderValue)
+    : roundCurrency(Math.min(discount.amount, orderValue));
+
+  return {
+    discount: {
+      code: discount.code,
+      promoCodeId: discount.promoCodeId,
+      amount
+    },
+    totalCost: roundCurrency(orderValue - amount)
+  };
+};
+
+module.exports = {
+  getIneligibilityReason,
+  previewPromoCode,
+  redeemPromoCode,
+  releasePromoCode,
+  reapplyDiscount
+};
@@ -0,0 +1,184 @@
+/**
+ * Quote Service
+ * Prices a trip on every available vehicle and locks quoted prices for booking
+ */
+
+const pricingConfig = require('../config/pricing');
+const taxConfig = require('../config/tax');
+const { AppError } = require('../utils/errors');
+const { calculateRideDuration } = require('../utils/helpers');
+const { roundCurrency } = require('../utils/pricing');
+const { isIntraStateTrip, calculateGst } = require('../utils/gst');
+const { signQuote, verifyQuote } = require('../utils/quoteToken');
+const { findAvailableVehiclesForWindow } = require('./availabilityService');
+const PromoCode = require('../models/PromoCode');
+const { getRateCards, priceTrip } = require('./pricingService');
+const { getIneligibilityReason } = require('./promoService');
+const { findCustomerAccount } = require('./accountService');
+
+/**
+ * Itemize a priced trip: fare components and surcharges, then discounts, then taxes.
+ * totalCost is the pre-tax amount stored on the booking.
+ *
+ * @param {Object} fare - Fare from calculateFare
+ * @param {Object} route - { fromPincode, toPincode }, which decides the GST split
+ * @param {Array} discounts - Discount items ({ code, label, amount })
+ * @returns {Object} Price breakdown
+ */
+const buildBreakdown = (fare, { fromPincode, toPincode }, discounts = []) => {
+  const discountTotal = roundCurrency(discounts.reduce((sum, item) => sum + item.amount, 0));
+  const totalCost = roundCurrency(fare.total - discountTotal);
+  const taxes = calculateGst(
+    totalCost,
+    taxConfig.gstRatePercent,
+    isIntraStateTrip(fromPincode, toPincode)
+  );
+
+  return {
+    items: fare.items,
+    subtotal: fare.subtotal,
+    surchargesTotal: fare.surchargesTotal,
+    discounts,
+    discountTotal,
+    totalCost,
+    taxes: taxes.items,
+    taxTotal: taxes.total,
+    grandTotal: roundCurrency(totalCost + taxes.total)
+  };
+};
+
+/**
+ * Quote a trip on every vehicle available for it, cheapest first
+ *
+ * @param {Object} request - { capacityRequired, fromPincode, toPincode, startTime, features?, bodyType?, minVolume?, customerId?, isHazardous?, promoCode? }
+ * @returns {Promise<Object>} { quotes, estimatedRideDurationHours, expiresAt }
+ */
+const getQuotes = async ({
+  capacityRequired,
+  fromPincode,
+  toPincode,
+  startTime,
+  features,
+  bodyType,
+  minVolume,
+  customerId,
+  isHazardous = false,
+  promoCode
+}) => {
+  // Query values arrive as strings - Express 5 does not let validation replace req.query
+  const hazardous = String(isHazardous) === 'true';
+  const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
+  const bookingStartTime = new Date(startTime);
+  const bookingEndTime = new Date(bookingStartTime.getTime() + (estimatedRideDurationHours * 60 * 60 * 1000));
+  const expiresAt = new Date(Date.now() + pricingConfig.quoteValidityMinutes * 60 * 1000);
+
+  const { availableVehicles } = await findAvailableVehiclesForWindow({
+    capacityRequired: Number(capacityRequired),
+    startTime: bookingStartTime,
+    endTime: bookingEndTime,
+    features,
+    bodyType,
+    minVolume
+  });
+
+  const rateCards = await getRateCards();
+
+  // Quotes for a known customer use their account's negotiated rates
+  const account = customerId ? await findCustomerAccount(customerId) : null;
+
+  // Quotes preview the discount; the code is only redeemed when booking
+  const promo = promoCode ? await PromoCode.findByCode(promoCode) : null;
+  if (promoCode && !promo) {
+    throw new AppError('Promo code not found', 400);
+  }
+
+  const quotes = await Promise.all(availableVehicles.map(async (vehicle) => {
+    const price = await priceTrip(
+      vehicle,
+      { durationHours: estimatedRideDurationHours, cargo: { isHazardous: hazardous } },
+      { rateCards, account }
+    );
+    const promoCodeError = promo
+      ? getIneligibilityReason(promo, { vehicleType: vehicle.vehicleType, orderValue: price.fare.total })
+      : null;
+    const discounts = promo && !promoCodeError
+      ? [{ code: 'promo', label: `Promo code ${promo.code}`, amount: promo.calculateDiscount(price.fare.total) }]
+      : [];
+    const breakdown = buildBreakdown(price.fare, { fromPincode, toPincode }, discounts);
+
+    const quoteId = signQuote({
+      vehicleId: vehicle._id.toString(),
+      customerId: customerId || null,
+      fromPincode,
+      toPincode,
+      startTime: bookingStartTime.toISOString(),
+      isHazardous: hazardous,
+      // Locked before discount - promo codes are applied when booking
+      fareTotal: price.fare.total,
+      rateCardId: price.rateCardId ? price.rateCardId.toString() : null,
+      rateCardVersion: price.rateCardVersion,
+      expiresAt: expiresAt.toISOString()
+    });
+
+    return {
+      quoteId,
+      vehicle,
+      distanceKm: price.distanceKm,
+      rateCardVersion: price.rateCardVersion,
+      ...breakdown,
+      ...(promoCodeError && { promoCodeError })
+    };
+  }));
+
+  quotes.sort((a, b) => a.totalCost - b.totalCost);
+
+  return { quotes, estimatedRideDurationHours, expiresAt };
+};
+
+/**
+ * Check a quote ID against the booking being made and return the locked price
+ *
+ * @param {string} quoteId - Signed quote ID from getQuotes
+ * @param {Object} booking - { vehicleId, customerId, fromPincode, toPincode, startTime, cargo }
+ * @returns {Object} { totalCost, rateCardId, rateCardVersion } - totalCost is before any promo discount
+ */
+const redeemQuote = (quoteId, { vehicleId, customerId, fromPincode, toPincode, startTime, cargo }) => {
+  const quote = verifyQuote(quoteId);
+
+  if (!quote) {
+    throw new AppError('Invalid quote ID', 400);
+  }
+
+  if (new Date(quote.expiresAt) <= new Date()) {
+    throw new AppError(
+      'Quote has expired, please request a new quote',
+      400,
+      { expiredAt: quote.expiresAt }
+    );
+  }
+
+  // The quoted price only holds for the exact trip that was quoted
+  const mismatched = [];
+  if (quote.vehicleId !== vehicleId) mismatched.push('vehicleId');
+  if (quote.customerId && quote.customerId !== customerId) mismatched.push('customerId');
+  if (quote.fromPincode !== fromPincode) mismatched.push('fromPincode');
+  if (quote.toPincode !== toPincode) mismatched.push('toPincode');
+  if (new Date(quote.startTime).getTime() !== new Date(startTime).getTime()) mismatched.push('startTime');
+  if (quote.isHazardous !== Boolean(cargo && cargo.isHazardous)) mismatched.push('cargo.isHazardous');
+
+  if (mismatched.length > 0) {
+    throw new AppError('Quote does not match the booking details', 400, { mismatched });
+  }
+
+  return {
+    totalCost: quote.fareTotal,
+    rateCardId: quote.rateCardId,
+    rateCardVersion: quote.rateCardVersion
+  };
+};
+
+module.exports = {
+  buildBreakdown,
+  getQuotes,
+  redeemQuote
+};
@@ -0,0 +1,263 @@
+/**
+ * Schedule Service
+ * Builds vehicle calendars: the bookings, maintenance windows and document expiries in a
+ * time range and the free gaps between them, for one vehicle or the whole fleet
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const bookingConfig = require('../config/booking');
+const { AppError } = require('../utils/errors');
+
+const DEFAULT_RANGE_HOURS = 24;
+
+/**
+ * Resolve the requested range - from now for a day unless given - and reject
+ * empty or overlong ranges
+ *
+ * @param {Object} query - { from, to } as received
+ * @returns {Object} { from, to } as dates
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const rangeStart = from ? new Date(from) : new Date();
+  const rangeEnd = to
+    ? new Date(to)
+    : new Date(rangeStart.getTime() + DEFAULT_RANGE_HOURS * 60 * 60 * 1000);
+
+  if (rangeEnd <= rangeStart) {
+    throw new AppError('Schedule end (to) must be after its start (from)', 400);
+  }
+
+  const maxRangeMs = bookingConfig.maxScheduleRangeDays * 24 * 60 * 60 * 1000;
+  if (rangeEnd - rangeStart > maxRangeMs) {
+    throw new AppError(`Schedule range cannot exceed ${bookingConfig.maxScheduleRangeDays} days`, 400);
+  }
+
+  return { from: rangeStart, to: rangeEnd };
+};
+
+/**
+ * Find the free gaps in a range around the given blocks. Blocks are half-open like
+ * in Booking.findOverlappingBookings: one ending at 10:00 does not overlap one
+ * starting at 10:00, so back-to-back blocks leave no gap.
+ *
+ * @param {Array} blocks - [{ startTime, endTime }]
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} [{ startTime, endTime, durationMinutes }] in time order
+ */
+const findFreeGaps = (blocks, from, to) => {
+  const gaps = [];
+  let cursor = from;
+
+  const sorted = [...blocks].sort((a, b) => a.startTime - b.startTime);
+
+  for (const block of sorted) {
+    if (block.startTime > cursor) {
+      gaps.push({ startTime: cursor, endTime: block.startTime });
+    }
+    if (block.endTime > cursor) {
+      cursor = block.endTime;
+    }
+    if (cursor >= to) {
+      break;
+    }
+  }
+
+  if (cursor < to) {
+    gaps.push({ startTime: cursor, endTime: to });
+  }
+
+  return gaps.map(gap => ({
+    ...gap,
+    durationMinutes: Math.round((gap.endTime - gap.startTime) / (60 * 1000))
+  }));
+};
+
+// Bookings occupying the vehicles during the range, selected the same way
+// Booking.findOverlappingBookings selects conflicts
+const findBookingsInRange = (vehicleIds, from, to) => {
+  return Booking.find({
+    vehicleId: { $in: vehicleIds },
+    startTime: { $lt: to },
+    endTime: { $gt: from },
+    ...Booking.blockingStatusFilter()
+  })
+    .sort({ startTime: 1 })
+    .select('vehicleId customerId fromPincode toPincode startTime endTime status holdExpiresAt');
+};
+
+const findWindowsInRange = (vehicleIds, from, to) => {
+  return MaintenanceWindow.find({
+    vehicleId: { $in: vehicleIds },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  }).sort({ startTime: 1 });
+};
+
+// From the end of a vehicle's unbroken document cover it cannot be booked, which
+// blocks the rest of the range. Null when its documents outlast the range.
+const complianceBlock = (bookableUntil, from, to) => {
+  if (!bookableUntil || bookableUntil >= to) {
+    return null;
+  }
+  return {
+    type: 'compliance',
+    reason: 'Required compliance documents expired',
+    startTime: bookableUntil > from ? bookableUntil : from,
+    endTime: to
+  };
+};
+
+/**
+ * Find the free gaps of several vehicles in a range, with one query each for their
+ * bookings, maintenance windows and compliance documents
+ *
+ * @param {Array} vehicleIds - Vehicle IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Map>} Vehicle ID string → free gaps
+ */
+const findFreeGapsByVehicle = async (vehicleIds, from, to) => {
+  const bookings = await findBookingsInRange(vehicleIds, from, to);
+  const windows = await findWindowsInRange(vehicleIds, from, to);
+  const bookableUntil = await ComplianceDocument.findBookableUntil(vehicleIds, from);
+
+  const blocksByVehicle = new Map(vehicleIds.map(id => [id.toString(), []]));
+  for (const block of [...bookings, ...windows]) {
+    blocksByVehicle.get(block.vehicleId.toString()).push(block);
+  }
+  for (const [id, blocks] of blocksByVehicle) {
+    const block = complianceBlock(bookableUntil.get(id), from, to);
+    if (block) blocks.push(block);
+  }
+
+  return new Map(
+    [...blocksByVehicle].map(([id, blocks]) => [id, findFreeGaps(blocks, from, to)])
+  );
+};
+
+/**
+ * Lay out one vehicle's calendar. A vehicle taken out of service by hand, or
+ * deleted, has no free gaps; one in maintenance because of a window is free
+ * again once the window ends.
+ */
+const buildSchedule = (vehicle, bookings, windows, bookableUntil, from, to) => {
+  const blocks = [
+    ...bookings.map(booking => ({
+      type: 'booking',
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      fromPincode: booking.fromPincode,
+      toPincode: booking.toPincode,
+      status: booking.status,
+      holdExpiresAt: booking.status === 'held' ? booking.holdExpiresAt : undefined,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    })),
+    ...windows.map(window => ({
+      type: 'maintenance',
+      maintenanceWindowId: window._id,
+      reason: window.reason,
+      startTime: window.startTime,
+      endTime: window.endTime
+    })),
+    complianceBlock(bookableUntil, from, to)
+  ]
+    .filter(Boolean)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  const bookable = !vehicle.deletedAt && vehicle.isBookable();
+
+  return {
+    vehicle: {
+      id: vehicle._id,
+      name: vehicle.name,
+      registrationNumber: vehicle.registrationNumber,
+      capacityKg: vehicle.capacityKg,
+      status: vehicle.status
+    },
+    blocks,
+    freeSlots: bookable ? findFreeGaps(blocks, from, to) : []
+  };
+};
+
+/**
+ * Get a vehicle's bookings, maintenance windows and document expiry in a range, and the free gaps between them
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} query - { from, to } - defaults to the next 24 hours
+ * @returns {Promise<Object>} { from, to, vehicle, blocks, freeSlots }
+ */
+const getVehicleSchedule = async (vehicle, query) => {
+  const { from, to } = resolveRange(query);
+
+  const bookings = await findBookingsInRange([vehicle._id], from, to);
+  const windows = await findWindowsInRange([vehicle._id], from, to);
+  const bookableUntil = await ComplianceDocument.findBookableUntil([vehicle._id], from);
+
+  return {
+    from,
+    to,
+    ...buildSchedule(vehicle, bookings, windows, bookableUntil.get(vehicle._id.toString()), from, to)
+  };
+};
+
+/**
+ * Get the calendar of every vehicle in the fleet for a range, Gantt-style, one
+ * page of vehicles at a time. Deleted vehicles are left out.
+ *
+ * @param {Object} query - { from, to, status, page, limit }
+ * @returns {Promise<Object>} { from, to, vehicles, pagination }
+ */
+const getFleetSchedule = async ({ status, page = 1, limit = 50, ...range } = {}) => {
+  const { from, to } = resolveRange(range);
+
+  const filter = { deletedAt: null };
+  if (status) filter.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const vehicles = await Vehicle.find(filter)
+    .sort({ name: 1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  const total = await Vehicle.countDocuments(filter);
+
+  // Three queries for the whole page, grouped by vehicle afterwards
+  const vehicleIds = vehicles.map(vehicle => vehicle._id);
+  const bookings = await findBookingsInRange(vehicleIds, from, to);
+  const windows = await findWindowsInRange(vehicleIds, from, to);
+  const bookableUntil = await ComplianceDocument.findBookableUntil(vehicleIds, from);
+
+  const schedules = vehicles.map(vehicle => buildSchedule(
+    vehicle,
+    bookings.filter(booking => booking.vehicleId.equals(vehicle._id)),
+    windows.filter(window => window.vehicleId.equals(vehicle._id)),
+    bookableUntil.get(vehicle._id.toString()),
+    from,
+    to
+  ));
+
+  return {
+    from,
+    to,
+    vehicles: schedules,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalVehicles: total,
+      hasNext: skip + vehicles.length < total,
+      hasPrev: parseInt(page) > 1
+    }
+  };
+};
+
+module.exports = {
+  findFreeGaps,
+  findFreeGapsByVehicle,
+  getVehicleSchedule,
+  getFleetSchedule
+};
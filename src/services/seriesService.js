@@ -0,0 +1,342 @@
+/**
+ * Series Service
+ * Creates, edits and cancels recurring booking series
+ */
+
+const Account = require('../models/Account');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Vehicle = require('../models/Vehicle');
+const VehicleLock = require('../models/VehicleLock');
+const bookingConfig = require('../config/booking');
+const paymentConfig = require('../config/payments');
+const { AppError } = require('../utils/errors');
+const { expandRecurrence } = require('../utils/recurrence');
+const { calculateRideDuration } = require('../utils/helpers');
+const { cancelWithPolicy } = require('./cancellationService');
+const { priceTrip } = require('./pricingService');
+const { getBookableCustomer } = require('./customerService');
+const { assertWithinCreditLimit } = require('./accountService');
+const { getPaymentTerms } = require('./paymentService');
+const { matchWaitlistSafely } = require('./waitlistService');
+
+/**
+ * Load a vehicle and check it can take bookings for the given load
+ *
+ * @param {string} vehicleId - Vehicle ID
+ * @param {number} cargoWeightKg - Load to carry, if known
+ * @returns {Promise<Object>} Vehicle document
+ */
+const getBookableVehicle = async (vehicleId, cargoWeightKg) => {
+  const vehicle = await Vehicle.findById(vehicleId);
+
+  if (!vehicle) {
+    throw new AppError('Vehicle not found', 404);
+  }
+
+  if (!vehicle.isBookable()) {
+    throw new AppError('Vehicle is not available for booking', 400);
+  }
+
+  if (cargoWeightKg && !vehicle.canHandleCapacity(cargoWeightKg)) {
+    throw new AppError(
+      `Vehicle capacity of ${vehicle.capacityKg} kg cannot carry cargo of ${cargoWeightKg} kg`,
+      400,
+      { capacityKg: vehicle.capacityKg, cargoWeightKg }
+    );
+  }
+
+  return vehicle;
+};
+
+/**
+ * Price the trip shared by every occurrence of a series, at the account's negotiated
+ * rates if the customer books under one
+ *
+ * @returns {Promise<Object>} { estimatedRideDurationHours, totalCost, rateCardId, rateCardVersion }
+ */
+const priceOccurrence = async (vehicle, fromPincode, toPincode, { cargo, account } = {}) => {
+  const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
+  const price = await priceTrip(vehicle, { durationHours: estimatedRideDurationHours, cargo }, { account });
+
+  return {
+    estimatedRideDurationHours,
+    totalCost: price.totalCost,
+    rateCardId: price.rateCardId,
+    rateCardVersion: price.rateCardVersion
+  };
+};
+
+/**
+ * Build one occurrence's time window from its start time and the shared trip price
+ */
+const buildOccurrence = (startTime, trip) => ({
+  ...trip,
+  startTime,
+  endTime: new Date(startTime.getTime() + (trip.estimatedRideDurationHours * 60 * 60 * 1000))
+});
+
+/**
+ * Create a recurring series and its occurrences. Every occurrence is checked for
+ * conflicts; with allOrNothing any conflict rejects the series, otherwise the
+ * conflicting occurrences are skipped and reported.
+ *
+ * @param {Object} data - Booking fields plus recurrence and allOrNothing
+ * @returns {Promise<Object>} { series, bookings, skipped }
+ */
+const createSeries = async ({
+  vehicleId,
+  customerId,
+  fromPincode,
+  toPincode,
+  startTime,
+  cargoWeightKg,
+  cargo,
+  billingDetails,
+  recurrence,
+  allOrNothing = true
+}) => {
+  const { account } = await getBookableCustomer(customerId);
+  const vehicle = await getBookableVehicle(vehicleId, cargoWeightKg);
+
+  const startTimes = expandRecurrence(
+    new Date(startTime),
+    recurrence,
+    bookingConfig.maxSeriesOccurrences
+  );
+
+  if (startTimes.length === 0) {
+    throw new AppError('Recurrence rule does not produce any occurrences', 400);
+  }
+
+  const trip = await priceOccurrence(vehicle, fromPincode, toPincode, { cargo, account });
+
+  // Every occurrence counts against the account's credit limit
+  await assertWithinCreditLimit(account, trip.totalCost * startTimes.length);
+
+  // Occurrences that must be paid first are held until paid, like single bookings
+  const paymentTerms = getPaymentTerms(account);
+  const holdExpiresAt = paymentTerms.paymentRequired
+    ? new Date(Date.now() + paymentConfig.paymentWindowMinutes * 60 * 1000)
+    : undefined;
+
+  const occurrences = startTimes.map(occurrenceStart => ({
+    vehicleId,
+    customerId,
+    fromPincode,
+    toPincode,
+    cargoWeightKg,
+    cargo,
+    billingDetails,
+    accountId: account ? account._id : undefined,
+    ...paymentTerms,
+    status: paymentTerms.paymentRequired ? 'held' : 'confirmed',
+    holdExpiresAt,
+    ...buildOccurrence(occurrenceStart, trip)
+  }));
+
+  let series;
+  const { created, conflicts } = await Booking.createManyWithoutConflict(vehicleId, occurrences, {
+    allOrNothing,
+    // The series is only stored once its occurrences are known to be bookable
+    beforeCreate: async () => {
+      series = await BookingSeries.create({
+        vehicleId,
+        customerId,
+        fromPincode,
+        toPincode,
+        firstStartTime: startTimes[0],
+        recurrence,
+        cargoWeightKg
+      });
+      return { seriesId: series._id };
+    }
+  });
+
+  return { series, bookings: created, skipped: conflicts };
+};
+
+/**
+ * Get a series with its occurrences
+ *
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object>} { series, bookings }
+ */
+const getSeries = async (seriesId) => {
+  const series = await BookingSeries.findById(seriesId);
+
+  if (!series) {
+    throw new AppError('Booking series not found', 404);
+  }
+
+  const bookings = await Booking.find({ seriesId })
+    .sort({ startTime: 1 })
+    .populate('vehicleId', 'name capacityKg tyres');
+
+  return { series, bookings };
+};
+
+// Future occurrences that can still be changed
+const findUpcomingOccurrences = (seriesId, statuses) => {
+  return Booking.find({
+    seriesId,
+    status: { $in: statuses },
+    startTime: { $gt: new Date() }
+  }).sort({ startTime: 1 });
+};
+
+/**
+ * Edit every upcoming confirmed occurrence of a series. All occurrences are moved
+ * together or not at all.
+ *
+ * @param {string} seriesId - Series ID
+ * @param {Object} changes - { vehicleId?, fromPincode?, toPincode?, timeOfDay? ("HH:mm", UTC) }
+ * @returns {Promise<Object>} { series, bookings }
+ */
+const updateSeries = async (seriesId, changes) => {
+  const series = await BookingSeries.findById(seriesId);
+
+  if (!series) {
+    throw new AppError('Booking series not found', 404);
+  }
+
+  if (series.status !== 'active') {
+    throw new AppError('Only active booking series can be edited', 400);
+  }
+
+  const vehicleId = changes.vehicleId || series.vehicleId.toString();
+  const fromPincode = changes.fromPincode || series.fromPincode;
+  const toPincode = changes.toPincode || series.toPincode;
+  const vehicle = await getBookableVehicle(vehicleId, series.cargoWeightKg);
+
+  const occurrences = await findUpcomingOccurrences(seriesId, ['confirmed']);
+
+  if (occurrences.length === 0) {
+    throw new AppError('Booking series has no upcoming occurrences to edit', 400);
+  }
+
+  // Every occurrence carries the same load and is billed to the same account
+  const { cargo, accountId } = occurrences[0];
+  const account = accountId ? await Account.findById(accountId) : null;
+  const trip = await priceOccurrence(vehicle, fromPincode, toPincode, { cargo, account });
+
+  // A price increase must fit in what is left of the account's credit
+  const currentTotal = occurrences.reduce((sum, booking) => sum + booking.totalCost, 0);
+  const increase = trip.totalCost * occurrences.length - currentTotal;
+  if (increase > 0) {
+    await assertWithinCreditLimit(account, increase);
+  }
+
+  const plannedChanges = occurrences.map(booking => {
+    const startTime = new Date(booking.startTime);
+
+    if (changes.timeOfDay) {
+      const [hours, minutes] = changes.timeOfDay.split(':').map(Number);
+      startTime.setUTCHours(hours, minutes, 0, 0);
+    }
+
+    return {
+      booking,
+      changes: {
+        vehicleId,
+        fromPincode,
+        toPincode,
+        ...buildOccurrence(startTime, trip)
+      }
+    };
+  });
+
+  if (plannedChanges.some(planned => planned.changes.startTime <= new Date())) {
+    throw new AppError('Edited occurrences must start in the future', 400);
+  }
+
+  const occurrenceIds = occurrences.map(booking => booking._id);
+
+  const updated = await VehicleLock.runExclusive(vehicleId, async () => {
+    // The series' own occurrences never conflict with their new slots
+    for (const planned of plannedChanges) {
+      await Booking.assertNoConflict(
+        vehicleId,
+        planned.changes.startTime,
+        planned.changes.endTime,
+        occurrenceIds
+      );
+    }
+
+    const saved = [];
+    for (const planned of plannedChanges) {
+      planned.booking.set(planned.changes);
+      saved.push(await planned.booking.save());
+    }
+    return saved;
+  });
+
+  series.set({ vehicleId, fromPincode, toPincode });
+  await series.save();
+
+  return { series, bookings: updated };
+};
+
+/**
+ * Cancel every upcoming occurrence of a series under the cancellation policy.
+ * Each occurrence is reported individually, since some may already be too close
+ * to their start to cancel. The series is only cancelled once all of them are.
+ *
+ * @param {string} seriesId - Series ID
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<Object>} { series, results }
+ */
+const cancelSeries = async (seriesId, { changedBy, reason } = {}) => {
+  const series = await BookingSeries.findById(seriesId);
+
+  if (!series) {
+    throw new AppError('Booking series not found', 404);
+  }
+
+  if (series.status !== 'active') {
+    throw new AppError('Booking series is already cancelled', 400);
+  }
+
+  const occurrences = await findUpcomingOccurrences(seriesId, ['held', 'confirmed']);
+  const results = [];
+
+  for (const booking of occurrences) {
+    try {
+      const { outcome } = await cancelWithPolicy(booking, { changedBy, reason });
+      results.push({
+        bookingId: booking._id,
+        startTime: booking.startTime,
+        cancelled: true,
+        cancellationFee: outcome.cancellationFee,
+        refundAmount: outcome.refundAmount
+      });
+
+      await matchWaitlistSafely({ startTime: booking.startTime, endTime: booking.endTime });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      results.push({
+        bookingId: booking._id,
+        startTime: booking.startTime,
+        cancelled: false,
+        reason: error.message
+      });
+    }
+  }
+
+  // A series stays active while any occurrence could not be cancelled, so it can be retried
+  if (results.every(result => result.cancelled)) {
+    series.status = 'cancelled';
+    await series.save();
+  }
+
+  return { series, results };
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries
+};
@@ -0,0 +1,122 @@
+/**
+ * Suggestion Service
+ * Finds alternatives when no suitable vehicle is free for a requested slot: the nearest
+ * start times a vehicle is free, vehicles free for most of the trip, and other free
+ * vehicles of the same or a larger capacity class
+ */
+
+const Vehicle = require('../models/Vehicle');
+const bookingConfig = require('../config/booking');
+const { buildSuitableVehicleFilter } = require('./availabilityService');
+const { findFreeGapsByVehicle } = require('./scheduleService');
+
+// Capacity classes from smallest to largest, as given by the vehicleType virtual
+const VEHICLE_TYPES = ['Small', 'Medium', 'Large', 'Heavy Duty'];
+
+const describeVehicle = (vehicle) => ({
+  vehicleId: vehicle._id,
+  name: vehicle.name,
+  capacityKg: vehicle.capacityKg,
+  vehicleType: vehicle.vehicleType
+});
+
+/**
+ * Suggest alternatives to a slot no suitable vehicle is free for. Free gaps are taken
+ * from the vehicles' schedules, so every suggested start time can be booked as is.
+ *
+ *   alternativeStartTimes - the nearest start times, before or after the requested one and
+ *                           within searchWindowHours, at which a vehicle is free for the whole trip
+ *   shorterDuration       - vehicles free at the requested start for most of the trip
+ *   alternativeVehicles   - other vehicles of the same or a larger capacity class free for the
+ *                           requested slot; only when a specific vehicle was asked for, since a
+ *                           search already lists every free vehicle that can carry the load
+ *
+ * @param {Object} criteria - { capacityRequired, startTime, endTime, features, bodyType, minVolume }
+ * @param {Object} options - { vehicle (the vehicle asked for, if any), searchWindowHours }
+ * @returns {Promise<Object>} { searchWindowHours, alternativeStartTimes, shorterDuration, alternativeVehicles }
+ */
+const suggestAlternatives = async (criteria, { vehicle, searchWindowHours } = {}) => {
+  const windowHours = parseInt(searchWindowHours) || bookingConfig.suggestionWindowHours;
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const startTime = new Date(criteria.startTime);
+  const durationMs = new Date(criteria.endTime) - startTime;
+
+  // The vehicle asked for and its alternatives: the same capacity class or larger
+  const minClass = vehicle ? VEHICLE_TYPES.indexOf(vehicle.vehicleType) : 0;
+  const vehicles = (await Vehicle.find(buildSuitableVehicleFilter(criteria)).sort({ capacityKg: 1 }))
+    .filter(candidate => VEHICLE_TYPES.indexOf(candidate.vehicleType) >= minClass);
+
+  const now = new Date();
+  const from = new Date(Math.max(now.getTime(), startTime.getTime() - windowMs));
+  const to = new Date(startTime.getTime() + durationMs + windowMs);
+  const gapsByVehicle = await findFreeGapsByVehicle(vehicles.map(candidate => candidate._id), from, to);
+
+  const startTimes = new Map();
+  const shorterDuration = [];
+  const alternativeVehicles = [];
+
+  for (const candidate of vehicles) {
+    for (const gap of gapsByVehicle.get(candidate._id.toString())) {
+      // The start in this gap closest to the requested one, if the whole trip fits
+      const latestStart = gap.endTime.getTime() - durationMs;
+      if (latestStart >= gap.startTime.getTime()) {
+        const nearest = Math.min(Math.max(startTime.getTime(), gap.startTime.getTime()), latestStart);
+
+        if (nearest === startTime.getTime()) {
+          if (vehicle && !candidate._id.equals(vehicle._id)) {
+            alternativeVehicles.push(describeVehicle(candidate));
+          }
+        } else {
+          if (!startTimes.has(nearest)) startTimes.set(nearest, []);
+          startTimes.get(nearest).push(describeVehicle(candidate));
+        }
+      }
+
+      // Free at the requested start, but not for the whole trip
+      const freeMs = gap.endTime - startTime;
+      if (gap.startTime <= startTime && freeMs < durationMs && freeMs >= durationMs * bookingConfig.shorterDurationRatio) {
+        shorterDuration.push({
+          ...describeVehicle(candidate),
+          freeUntil: gap.endTime,
+          availableHours: Math.round(freeMs / (60 * 60 * 1000) * 100) / 100
+        });
+      }
+    }
+  }
+
+  const alternativeStartTimes = [...startTimes]
+    .sort(([a], [b]) => Math.abs(a - startTime) - Math.abs(b - startTime) || a - b)
+    .slice(0, bookingConfig.maxSuggestions)
+    .map(([start, freeVehicles]) => ({
+      startTime: new Date(start),
+      endTime: new Date(start + durationMs),
+      offsetMinutes: Math.round((start - startTime) / (60 * 1000)),
+      vehicles: freeVehicles
+    }));
+
+  return {
+    searchWindowHours: windowHours,
+    alternativeStartTimes,
+    shorterDuration: shorterDuration.sort((a, b) => b.freeUntil - a.freeUntil),
+    alternativeVehicles
+  };
+};
+
+/**
+ * Suggest alternatives for an error response. Never fails the caller.
+ *
+ * @returns {Promise<Object|null>} Suggestions, or null if the search failed
+ */
+const suggestAlternativesSafely = async (criteria, options) => {
+  try {
+    return await suggestAlternatives(criteria, options);
+  } catch (error) {
+    console.error('Error suggesting alternative slots:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  suggestAlternatives,
+  suggestAlternativesSafely
+};
@@ -0,0 +1,305 @@
+/**
+ * Vehicle Service
+ * Edits, status changes and deletions of fleet vehicles that keep existing bookings valid
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const VehicleLock = require('../models/VehicleLock');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { AppError } = require('../utils/errors');
+const { findAvailableVehiclesForWindow } = require('./availabilityService');
+const { cancelWithoutFee } = require('./cancellationService');
+const { notifyCustomerSafely } = require('./notificationService');
+
+// Statuses that take a vehicle out of service
+const WITHDRAWN_STATUSES = ['maintenance', 'retired'];
+
+// Reject changes to a vehicle that has been deleted
+const assertNotDeleted = (vehicle) => {
+  if (vehicle.deletedAt) {
+    throw new AppError('Vehicle has been deleted and cannot be changed', 409, {
+      deletedAt: vehicle.deletedAt
+    });
+  }
+};
+
+/**
+ * Find upcoming bookings on a vehicle that carry more than a given capacity
+ *
+ * @param {string} vehicleId - Vehicle ID
+ * @param {number} capacityKg - Proposed capacity in kg
+ * @returns {Promise<Array>} Bookings that would no longer fit
+ */
+const findBookingsOverCapacity = (vehicleId, capacityKg) => {
+  return Booking.find({
+    vehicleId,
+    endTime: { $gt: new Date() },
+    cargoWeightKg: { $gt: capacityKg },
+    ...Booking.blockingStatusFilter()
+  })
+    .sort({ startTime: 1 })
+    .select('customerId startTime endTime cargoWeightKg status');
+};
+
+/**
+ * Update a vehicle's details. A capacity reduction is refused while upcoming
+ * bookings carry more than the new capacity; it runs under the vehicle's lock
+ * so bookings being created at the same time are taken into account.
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} changes - Validated { name, capacityKg, tyres }
+ * @returns {Promise<Object>} Saved vehicle
+ */
+const updateVehicleDetails = async (vehicle, changes) => {
+  assertNotDeleted(vehicle);
+
+  if (changes.capacityKg === undefined || changes.capacityKg >= vehicle.capacityKg) {
+    vehicle.set(changes);
+    return vehicle.save();
+  }
+
+  return VehicleLock.runExclusive(vehicle._id, async () => {
+    const overCapacity = await findBookingsOverCapacity(vehicle._id, changes.capacityKg);
+
+    if (overCapacity.length > 0) {
+      throw new AppError(
+        `Capacity cannot be reduced to ${changes.capacityKg}kg: ${overCapacity.length} upcoming booking(s) carry more`,
+        409,
+        {
+          bookings: overCapacity,
+          suggestedAction: 'Reschedule these bookings onto a larger vehicle or cancel them first'
+        }
+      );
+    }
+
+    vehicle.set(changes);
+    return vehicle.save();
+  });
+};
+
+/**
+ * Delete a vehicle. Refused while it has bookings that hold or use it; a vehicle
+ * with past bookings is retired and marked deleted so their history stays intact,
+ * and one that was never booked is removed.
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @returns {Promise<Object>} { vehicle, softDeleted }
+ */
+const deleteVehicle = async (vehicle) => {
+  assertNotDeleted(vehicle);
+
+  return VehicleLock.runExclusive(vehicle._id, async () => {
+    const activeBookings = await Booking.find({
+      vehicleId: vehicle._id,
+      ...Booking.blockingStatusFilter()
+    })
+      .sort({ startTime: 1 })
+      .select('customerId startTime endTime status');
+
+    if (activeBookings.length > 0) {
+      throw new AppError(
+        `Vehicle has ${activeBookings.length} held, confirmed or in-progress booking(s) and cannot be deleted`,
+        409,
+        {
+          bookings: activeBookings,
+          suggestedAction: 'Complete, cancel or reschedule these bookings first, or set the vehicle to maintenance'
+        }
+      );
+    }
+
+    const hasHistory = await Booking.exists({ vehicleId: vehicle._id });
+
+    if (!hasHistory) {
+      await Vehicle.deleteOne({ _id: vehicle._id });
+      await MaintenanceWindow.deleteMany({ vehicleId: vehicle._id });
+      await ComplianceDocument.deleteMany({ vehicleId: vehicle._id });
+      return { vehicle, softDeleted: false };
+    }
+
+    vehicle.set({ status: 'retired', deletedAt: new Date() });
+    return { vehicle: await vehicle.save(), softDeleted: true };
+  });
+};
+
+// Upcoming bookings that still need the vehicle: confirmed bookings and live holds.
+// Trips already in progress are finished on the vehicle.
+const findUpcomingBookings = (vehicleId, now = new Date()) => {
+  return Booking.find({
+    vehicleId,
+    endTime: { $gt: now },
+    $or: [
+      { status: 'confirmed' },
+      { status: 'held', holdExpiresAt: { $gt: now } }
+    ]
+  }).sort({ startTime: 1 });
+};
+
+const summarizeBooking = (booking) => ({
+  bookingId: booking._id,
+  customerId: booking.customerId,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  status: booking.status
+});
+
+/**
+ * Move a booking onto an equivalent vehicle - active, of the same vehicle type and
+ * body type, with the same features and enough cargo space, able to carry its cargo
+ * and free for its time window - keeping its price
+ *
+ * @param {Object} booking - Booking document
+ * @param {Object} vehicle - Vehicle being withdrawn
+ * @returns {Promise<Object|null>} Vehicle the booking moved to, or null if none was free
+ */
+const reassignBooking = async (booking, vehicle) => {
+  const { availableVehicles } = await findAvailableVehiclesForWindow({
+    capacityRequired: Math.ceil(booking.cargoWeightKg || 1),
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    features: vehicle.features,
+    bodyType: vehicle.bodyType,
+    minVolume: (booking.cargo && booking.cargo.volumeCubicM) || vehicle.cargoVolumeCubicM
+  });
+  const candidates = availableVehicles.filter(candidate =>
+    !candidate._id.equals(vehicle._id) && candidate.vehicleType === vehicle.vehicleType
+  );
+
+  for (const candidate of candidates) {
+    try {
+      await booking.rescheduleWithoutConflict({
+        vehicleId: candidate._id,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      });
+      return candidate;
+    } catch (error) {
+      // Taken by another booking since the search - try the next one
+      if (!(error instanceof AppError) || error.statusCode !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Cancel a booking whose vehicle was withdrawn, free of charge, and tell the customer
+const cancelForWithdrawal = async (booking, vehicle, { changedBy, reason }) => {
+  const { refund } = await cancelWithoutFee(booking, { changedBy, reason });
+
+  const notification = await notifyCustomerSafely(booking.customerId, {
+    type: 'booking-cancelled',
+    bookingId: booking._id,
+    subject: 'Your booking has been cancelled',
+    message: `Your booking for ${booking.startTime.toISOString()} has been cancelled because vehicle ${vehicle.name} is unavailable (${reason}). ` +
+      `No cancellation fee applies${booking.refundAmount > 0 ? ` and ₹${booking.refundAmount} will be refunded` : ''}.`
+  });
+
+  return {
+    ...summarizeBooking(booking),
+    outcome: 'cancelled',
+    refundAmount: booking.refundAmount,
+    refunded: refund ? refund.refunded : null,
+    notified: Boolean(notification)
+  };
+};
+
+/**
+ * Change a vehicle's status. Taking it out of service affects its upcoming bookings,
+ * handled by onFutureBookings:
+ *   block    - refuse the change while there are any (default)
+ *   reassign - move each to an equivalent vehicle, cancelling those that cannot be moved
+ *   cancel   - cancel each without a fee
+ * Customers are notified of every reassigned or cancelled booking.
+ *
+ * @param {Object} vehicle - Vehicle document
+ * @param {string} status - New status
+ * @param {Object} options - { onFutureBookings, changedBy, reason }
+ * @returns {Promise<Object>} { vehicle, bookings } - bookings holds one result per affected booking
+ */
+const changeVehicleStatus = async (vehicle, status, { onFutureBookings = 'block', changedBy, reason } = {}) => {
+  assertNotDeleted(vehicle);
+
+  // A status set by hand is no longer managed by maintenance windows
+  if (!WITHDRAWN_STATUSES.includes(status)) {
+    vehicle.set({ status, scheduledMaintenance: false });
+    return { vehicle: await vehicle.save(), bookings: [] };
+  }
+
+  // Bookings are listed and the status changed under the vehicle's lock, so no
+  // booking is inserted in between
+  const upcoming = await VehicleLock.runExclusive(vehicle._id, async () => {
+    const bookings = await findUpcomingBookings(vehicle._id);
+
+    if (bookings.length > 0 && onFutureBookings === 'block') {
+      throw new AppError(
+        `Vehicle has ${bookings.length} upcoming booking(s) and cannot be set to ${status}`,
+        409,
+        {
+          bookings: bookings.map(summarizeBooking),
+          suggestedAction: "Retry with onFutureBookings set to 'reassign' or 'cancel'"
+        }
+      );
+    }
+
+    vehicle.set({ status, scheduledMaintenance: false });
+    await vehicle.save();
+    return bookings;
+  });
+
+  const withdrawalReason = reason || `Vehicle ${vehicle.name} set to ${status}`;
+  const results = [];
+
+  // The vehicle is already withdrawn, so every booking is attempted and reported
+  for (const booking of upcoming) {
+    try {
+      const target = onFutureBookings === 'reassign'
+        ? await reassignBooking(booking, vehicle)
+        : null;
+
+      if (!target) {
+        results.push(await cancelForWithdrawal(booking, vehicle, {
+          changedBy,
+          reason: onFutureBookings === 'reassign'
+            ? `${withdrawalReason}; no equivalent vehicle available`
+            : withdrawalReason
+        }));
+        continue;
+      }
+
+      const notification = await notifyCustomerSafely(booking.customerId, {
+        type: 'booking-reassigned',
+        bookingId: booking._id,
+        subject: 'Your booking has moved to another vehicle',
+        message: `Your booking for ${booking.startTime.toISOString()} has moved from ${vehicle.name} to ${target.name} (${target.capacityKg}kg). ` +
+          'The time, route and price are unchanged.'
+      });
+
+      results.push({
+        ...summarizeBooking(booking),
+        outcome: 'reassigned',
+        vehicleId: target._id,
+        vehicleName: target.name,
+        notified: Boolean(notification)
+      });
+    } catch (error) {
+      console.error(`Error handling booking ${booking._id} for withdrawn vehicle:`, error);
+      results.push({
+        ...summarizeBooking(booking),
+        outcome: 'failed',
+        reason: error.message
+      });
+    }
+  }
+
+  return { vehicle, bookings: results };
+};
+
+module.exports = {
+  assertNotDeleted,
+  updateVehicleDetails,
+  deleteVehicle,
+  changeVehicleStatus
+};
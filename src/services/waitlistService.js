@@ -0,0 +1,149 @@
+/**
+ * Waitlist Service
+ * Matches waitlisted requests, oldest first, to vehicles as slots free up
+ */
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const bookingConfig = require('../config/booking');
+const { AppError } = require('../utils/errors');
+const { findAvailableVehiclesForWindow } = require('./availabilityService');
+const { priceTrip } = require('./pricingService');
+const { findCustomerAccount } = require('./accountService');
+const { getPaymentTerms } = require('./paymentService');
+
+/**
+ * Offer a waitlist entry a hold on the smallest free vehicle that fits its load and equipment needs
+ *
+ * @param {Object} entry - WaitlistEntry document in 'waiting' status
+ * @returns {Promise<Object|null>} Held booking, or null if nothing fits yet
+ */
+const offerVehicle = async (entry) => {
+  const { availableVehicles } = await findAvailableVehiclesForWindow({
+    capacityRequired: entry.capacityRequired,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    features: entry.features,
+    bodyType: entry.bodyType,
+    minVolume: entry.minVolume
+  });
+
+  const holdExpiresAt = new Date(Date.now() + bookingConfig.waitlistOfferMinutes * 60 * 1000);
+  const account = await findCustomerAccount(entry.customerId);
+
+  for (const vehicle of availableVehicles) {
+    const price = await priceTrip(vehicle, { durationHours: entry.estimatedRideDurationHours }, { account });
+
+    try {
+      const booking = await Booking.createWithoutConflict({
+        vehicleId: vehicle._id,
+        customerId: entry.customerId,
+        fromPincode: entry.fromPincode,
+        toPincode: entry.toPincode,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        estimatedRideDurationHours: entry.estimatedRideDurationHours,
+        cargoWeightKg: entry.capacityRequired,
+        totalCost: price.totalCost,
+        rateCardId: price.rateCardId,
+        rateCardVersion: price.rateCardVersion,
+        accountId: account ? account._id : undefined,
+        ...getPaymentTerms(account),
+        status: 'held',
+        holdExpiresAt
+      });
+
+      entry.status = 'offered';
+      entry.offer = {
+        bookingId: booking._id,
+        vehicleId: vehicle._id,
+        offeredAt: new Date(),
+        expiresAt: holdExpiresAt
+      };
+      await entry.save();
+
+      return booking;
+    } catch (error) {
+      // Taken by a concurrent request since the search - try the next vehicle
+      if (!(error instanceof AppError) || error.statusCode !== 409) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Match waiting entries to freed capacity. Entries are tried in the order they joined;
+ * each match receives a hold that it must confirm before the offer deadline.
+ *
+ * @param {Object} window - Freed time window { startTime, endTime }; omit to consider all future entries
+ * @returns {Promise<Array>} Offers made ({ entryId, bookingId, vehicleId, expiresAt })
+ */
+const matchWaitlist = async ({ startTime, endTime } = {}) => {
+  const entries = await WaitlistEntry.findWaitingForWindow(startTime, endTime);
+  const offers = [];
+
+  for (const entry of entries) {
+    const booking = await offerVehicle(entry);
+
+    if (booking) {
+      offers.push({
+        entryId: entry._id,
+        customerId: entry.customerId,
+        bookingId: booking._id,
+        vehicleId: booking.vehicleId,
+        expiresAt: booking.holdExpiresAt
+      });
+      console.log(`📨 Waitlist Offer - Customer: ${entry.customerId}, Booking: ${booking._id}, Expires: ${booking.holdExpiresAt.toISOString()}`);
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Expire offers whose hold lapsed unconfirmed and offer each freed slot to the next
+ * waiting entries, in the order they joined
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { expired, offers } - number of offers expired and offers made in their place
+ */
+const expireLapsedOffers = async (now = new Date()) => {
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+  const offers = [];
+  let expired = 0;
+
+  for (const entry of lapsed) {
+    if (!(await WaitlistEntry.expireOffer(entry._id))) continue;
+    expired++;
+
+    // The lapsed hold no longer blocks its vehicle
+    offers.push(...await matchWaitlist({ startTime: entry.startTime, endTime: entry.endTime }));
+  }
+
+  return { expired, offers };
+};
+
+/**
+ * Run waitlist matching without failing the caller - the triggering operation
+ * (a cancellation or vehicle reactivation) has already succeeded
+ *
+ * @param {Object} window - Freed time window
+ * @returns {Promise<Array>} Offers made, or an empty list if matching failed
+ */
+const matchWaitlistSafely = async (window) => {
+  try {
+    return await matchWaitlist(window);
+  } catch (error) {
+    console.error('Error matching waitlist:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  matchWaitlist,
+  matchWaitlistSafely,
+  expireLapsedOffers
+};
@@ -0,0 +1,40 @@
+/**
+ * Application Errors
+ * Error types raised by models and services and formatted by the global error handler
+ */
+
+/**
+ * Operational error carrying an HTTP status code and optional response details
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} details - Additional error details
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Failure reported by a payment gateway, e.g. a declined card. Services turn it
+ * into an AppError for the client.
+ *
+ * @param {string} message - Gateway's error message
+ * @param {string} code - Gateway error code, e.g. card_declined
+ */
+class PaymentGatewayError extends Error {
+  constructor(message, code = 'gateway_error') {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.code = code;
+  }
+}
+
+module.exports = {
+  AppError,
+  PaymentGatewayError
+};
@@ -0,0 +1,150 @@
+/**
+ * GST Utilities
+ * Resolves the state a pincode belongs to and splits GST into CGST/SGST or IGST
+ */
+
+const { roundCurrency } = require('./pricing');
+
+// GST state codes and names
+const STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Pincode prefixes that belong to a different state than their region -
+// checked before the two-digit prefixes below
+const THREE_DIGIT_PREFIXES = {
+  '160': '04',
+  '194': '38',
+  '246': '05', '247': '05', '248': '05', '249': '05', '262': '05', '263': '05',
+  '403': '30',
+  '605': '34',
+  '737': '11',
+  '744': '35',
+  '790': '12', '791': '12', '792': '12',
+  '793': '17', '794': '17',
+  '795': '14',
+  '796': '15',
+  '797': '13', '798': '13',
+  '799': '16',
+  '814': '20', '815': '20', '816': '20',
+  '825': '20', '826': '20', '827': '20', '828': '20', '829': '20',
+  '830': '20', '831': '20', '832': '20', '833': '20', '834': '20', '835': '20'
+};
+
+// State code for each two-digit pincode prefix (postal circles)
+const TWO_DIGIT_PREFIXES = {
+  '11': '07',
+  '12': '06', '13': '06',
+  '14': '03', '15': '03', '16': '03',
+  '17': '02',
+  '18': '01', '19': '01',
+  '20': '09', '21': '09', '22': '09', '23': '09', '24': '09',
+  '25': '09', '26': '09', '27': '09', '28': '09',
+  '30': '08', '31': '08', '32': '08', '33': '08', '34': '08',
+  '36': '24', '37': '24', '38': '24', '39': '24',
+  '40': '27', '41': '27', '42': '27', '43': '27', '44': '27',
+  '45': '23', '46': '23', '47': '23', '48': '23',
+  '49': '22',
+  '50': '36',
+  '51': '37', '52': '37', '53': '37',
+  '56': '29', '57': '29', '58': '29', '59': '29',
+  '60': '33', '61': '33', '62': '33', '63': '33', '64': '33', '65': '33', '66': '33',
+  '67': '32', '68': '32', '69': '32',
+  '70': '19', '71': '19', '72': '19', '73': '19', '74': '19',
+  '75': '21', '76': '21', '77': '21',
+  '78': '18', '79': '18',
+  '80': '10', '81': '10', '82': '10', '83': '10', '84': '10', '85': '10'
+};
+
+/**
+ * Find the state a pincode belongs to, from its leading digits.
+ * This is a simplified mapping - real applications would use the full pincode directory.
+ *
+ * @param {string} pincode - 6-digit pincode
+ * @returns {Object|null} { code, name }, or null if the pincode is not recognised
+ */
+const getStateForPincode = (pincode) => {
+  const code = THREE_DIGIT_PREFIXES[String(pincode).slice(0, 3)] ||
+    TWO_DIGIT_PREFIXES[String(pincode).slice(0, 2)];
+
+  return code ? { code, name: STATES[code] } : null;
+};
+
+/**
+ * Whether a trip starts and ends in the same state. Unrecognised pincodes are
+ * treated as inter-state.
+ */
+const isIntraStateTrip = (fromPincode, toPincode) => {
+  const fromState = getStateForPincode(fromPincode);
+  const toState = getStateForPincode(toPincode);
+
+  return Boolean(fromState && toState && fromState.code === toState.code);
+};
+
+/**
+ * Calculate GST on a taxable amount - CGST and SGST at half the rate each for
+ * intra-state trips, IGST at the full rate otherwise
+ *
+ * @param {number} amount - Taxable amount
+ * @param {number} ratePercent - GST rate as a percentage
+ * @param {boolean} intraState - Whether the trip stays within one state
+ * @returns {Object} { items, total }
+ */
+const calculateGst = (amount, ratePercent, intraState) => {
+  const items = intraState
+    ? [
+      { code: 'cgst', label: `CGST (${ratePercent / 2}%)`, ratePercent: ratePercent / 2 },
+      { code: 'sgst', label: `SGST (${ratePercent / 2}%)`, ratePercent: ratePercent / 2 }
+    ]
+    : [
+      { code: 'igst', label: `IGST (${ratePercent}%)`, ratePercent }
+    ];
+
+  items.forEach(item => {
+    item.amount = roundCurrency(amount * item.ratePercent / 100);
+  });
+
+  return {
+    items,
+    total: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+module.exports = {
+  getStateForPincode,
+  isIntraStateTrip,
+  calculateGst
+};
@@ -3,6 +3,8 @@
  * Helper functions used across the application
  */
 
+const pricingConfig = require('../config/pricing');
+
 /**
  * Calculate estimated ride duration based on pincodes
  * This is a simplified calculation as specified in requirements
@@ -146,31 +148,32 @@ const sanitizeInput = (data) => {
 };
 
 /**
- * Calculate booking cost based on duration, capacity, and distance
- * This is a simplified calculation - real applications would have complex pricing
+ * Normalize a list of vehicle feature tags given as an array or a comma-separated
+ * string, e.g. "Tail-Lift, gps" -> ['tail-lift', 'gps']
  * 
- * @param {number} durationHours - Ride duration in hours
- * @param {number} capacityKg - Vehicle capacity
- * @param {string} fromPincode - Starting pincode
- * @param {string} toPincode - Destination pincode
- * @returns {number} Calculated cost
+ * @param {string|string[]} value - Feature list
+ * @returns {string[]} Lowercase, de-duplicated feature tags
  */
-const calculateBookingCost = (durationHours, capacityKg, fromPincode, toPincode) => {
-  // Base rate per hour
-  const baseRatePerHour = 500;
-  
-  // Capacity multiplier (larger vehicles cost more)
-  const capacityMultiplier = Math.max(1, capacityKg / 1000);
-  
-  // Distance factor (simplified)
-  const distance = Math.abs(parseInt(toPincode) - parseInt(fromPincode));
-  const distanceMultiplier = Math.max(1, distance / 100);
+const parseFeatureList = (value) => {
+  if (!value) return [];
   
-  // Calculate total cost
-  const totalCost = baseRatePerHour * durationHours * capacityMultiplier * distanceMultiplier;
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const features = items
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
   
-  // Round to 2 decimal places
-  return Math.round(totalCost * 100) / 100;
+  return [...new Set(features)];
+};
+
+/**
+ * Estimate road distance for a trip from its estimated ride duration
+ * This is a simplified calculation - real applications would use a mapping service
+ * 
+ * @param {number} durationHours - Estimated ride duration in hours
+ * @returns {number} Estimated distance in kilometres
+ */
+const estimateDistanceKm = (durationHours) => {
+  return Math.round(durationHours * pricingConfig.averageSpeedKmph * 100) / 100;
 };
 
 module.exports = {
@@ -181,5 +184,6 @@ module.exports = {
   formatErrorResponse,
   formatSuccessResponse,
   sanitizeInput,
-  calculateBookingCost
+  parseFeatureList,
+  estimateDistanceKm
 };
\ No newline at end of file
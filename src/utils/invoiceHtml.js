@@ -0,0 +1,118 @@
+/**
+ * Invoice HTML Utilities
+ * Renders an invoice as a self-contained printable HTML page (print to PDF from the browser)
+ */
+
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const formatAmount = (amount) => {
+  return Number(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+};
+
+const formatDate = (date) => {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+};
+
+const renderParty = (title, party = {}) => `
+    <div class="party">
+      <h3>${title}</h3>
+      <div><strong>${escapeHtml(party.name)}</strong></div>
+      ${party.address ? `<div>${escapeHtml(party.address)}</div>` : ''}
+      ${party.gstin ? `<div>GSTIN: ${escapeHtml(party.gstin)}</div>` : ''}
+      ${party.email ? `<div>${escapeHtml(party.email)}</div>` : ''}
+    </div>`;
+
+/**
+ * Render an invoice as printable HTML
+ *
+ * @param {Object} invoice - Invoice document
+ * @returns {string} HTML page
+ */
+const renderInvoiceHtml = (invoice) => {
+  const lines = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td>${escapeHtml(line.sacCode)}</td>
+          <td class="amount">${formatAmount(line.amount)}</td>
+        </tr>`).join('');
+
+  const taxes = invoice.taxes.map(tax => `
+        <tr>
+          <td colspan="2">${escapeHtml(tax.label)}</td>
+          <td class="amount">${formatAmount(tax.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h3 { font-size: 13px; margin: 0 0 4px; text-transform: uppercase; color: #555; }
+    .meta, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    .party { width: 48%; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="meta">
+    <div>
+      <h1>Tax Invoice</h1>
+      <div>Invoice No: <strong>${escapeHtml(invoice.invoiceNumber)}</strong></div>
+      <div>Date: ${formatDate(invoice.issuedAt)}</div>
+    </div>
+    <div>
+      <div>Booking: ${escapeHtml(invoice.bookingId)}</div>
+      <div>Trip: ${formatDate(invoice.trip.startTime)}, ${escapeHtml(invoice.trip.fromPincode)} (${escapeHtml(invoice.trip.fromState)}) to ${escapeHtml(invoice.trip.toPincode)} (${escapeHtml(invoice.trip.toState)})</div>
+      <div>Vehicle: ${escapeHtml(invoice.trip.vehicleName)}</div>
+    </div>
+  </div>
+
+  <div class="parties">
+    ${renderParty('Supplier', invoice.supplier)}
+    ${renderParty('Bill To', invoice.billTo)}
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th>SAC</th>
+        <th class="amount">Amount (${escapeHtml(invoice.currency)})</th>
+      </tr>
+    </thead>
+    <tbody>${lines}
+        <tr>
+          <td colspan="2">Taxable amount</td>
+          <td class="amount">${formatAmount(invoice.taxableAmount)}</td>
+        </tr>${taxes}
+        <tr class="total">
+          <td colspan="2">Total</td>
+          <td class="amount">${formatAmount(invoice.grandTotal)}</td>
+        </tr>
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderInvoiceHtml
+};
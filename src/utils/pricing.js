@@ -0,0 +1,81 @@
+/**
+ * Pricing Utilities
+ * Turns a rate card and trip details into an itemized fare
+ */
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculate an itemized fare from a rate card
+ *
+ * @param {Object} rateCard - { baseFare, perKm, perHour, perTonne, minimumCharge, surcharges }
+ * @param {Object} trip - { durationHours, distanceKm, capacityKg, isHazardous }
+ * @returns {Object} { items, subtotal, surchargesTotal, total }
+ */
+const calculateFare = (rateCard, { durationHours, distanceKm, capacityKg, isHazardous = false }) => {
+  const capacityTonnes = capacityKg / 1000;
+
+  const items = [
+    {
+      code: 'base',
+      label: 'Base fare',
+      amount: roundCurrency(rateCard.baseFare)
+    },
+    {
+      code: 'distance',
+      label: `Distance: ${distanceKm} km at ₹${rateCard.perKm}/km`,
+      amount: roundCurrency(distanceKm * rateCard.perKm)
+    },
+    {
+      code: 'duration',
+      label: `Duration: ${durationHours} h at ₹${rateCard.perHour}/h`,
+      amount: roundCurrency(durationHours * rateCard.perHour)
+    },
+    {
+      code: 'capacity',
+      label: `Capacity: ${capacityTonnes} t at ₹${rateCard.perTonne || 0}/t`,
+      amount: roundCurrency(capacityTonnes * (rateCard.perTonne || 0))
+    }
+  ];
+
+  let subtotal = roundCurrency(items.reduce((sum, item) => sum + item.amount, 0));
+
+  // The minimum charge tops up the fare components, before surcharges
+  if (subtotal < rateCard.minimumCharge) {
+    const topUp = roundCurrency(rateCard.minimumCharge - subtotal);
+    items.push({
+      code: 'minimum',
+      label: `Minimum charge top-up to ₹${rateCard.minimumCharge}`,
+      amount: topUp
+    });
+    subtotal = roundCurrency(subtotal + topUp);
+  }
+
+  const surcharges = (rateCard.surcharges || [])
+    .filter(surcharge => surcharge.appliesTo !== 'hazardous-cargo' || isHazardous)
+    .map(surcharge => ({
+      code: 'surcharge',
+      label: surcharge.type === 'percent'
+        ? `${surcharge.name} (${surcharge.amount}%)`
+        : surcharge.name,
+      amount: roundCurrency(
+        surcharge.type === 'percent'
+          ? subtotal * surcharge.amount / 100
+          : surcharge.amount
+      )
+    }));
+
+  const surchargesTotal = roundCurrency(surcharges.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    items: [...items, ...surcharges],
+    subtotal,
+    surchargesTotal,
+    total: roundCurrency(subtotal + surchargesTotal)
+  };
+};
+
+module.exports = {
+  roundCurrency,
+  calculateFare
+};
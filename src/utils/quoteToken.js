@@ -0,0 +1,63 @@
+/**
+ * Quote Token Utilities
+ * Signs and verifies quote IDs, which carry the quoted price and the trip it applies to
+ */
+
+const crypto = require('crypto');
+const pricingConfig = require('../config/pricing');
+
+const PREFIX = 'q_';
+
+const sign = (encodedPayload) => {
+  return crypto
+    .createHmac('sha256', pricingConfig.quoteSigningSecret)
+    .update(encodedPayload)
+    .digest('base64url');
+};
+
+/**
+ * Create a signed quote ID for a payload
+ *
+ * @param {Object} payload - Quote details to lock
+ * @returns {string} Quote ID
+ */
+const signQuote = (payload) => {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${PREFIX}${encodedPayload}.${sign(encodedPayload)}`;
+};
+
+/**
+ * Verify a quote ID's signature and decode its payload
+ *
+ * @param {string} quoteId - Quote ID from signQuote
+ * @returns {Object|null} Payload, or null if the ID is malformed or was tampered with
+ */
+const verifyQuote = (quoteId) => {
+  if (typeof quoteId !== 'string' || !quoteId.startsWith(PREFIX)) {
+    return null;
+  }
+
+  const [encodedPayload, signature] = quoteId.slice(PREFIX.length).split('.');
+
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signQuote,
+  verifyQuote
+};
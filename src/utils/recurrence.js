@@ -0,0 +1,56 @@
+/**
+ * Recurrence Utilities
+ * Expands recurrence rules into individual occurrence start times
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expand a recurrence rule into occurrence start times, beginning with startTime.
+ * Days of week are evaluated in UTC (0 = Sunday ... 6 = Saturday).
+ *
+ * @param {Date} startTime - First occurrence start time
+ * @param {Object} rule - { frequency: 'daily'|'weekly', interval, daysOfWeek, until, count }
+ * @param {number} maxOccurrences - Hard cap on the number of occurrences
+ * @returns {Date[]} Occurrence start times in ascending order
+ */
+const expandRecurrence = (startTime, rule, maxOccurrences) => {
+  const start = new Date(startTime);
+  const interval = rule.interval || 1;
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || maxOccurrences, maxOccurrences);
+  const occurrences = [];
+
+  const isWithinRange = (date) => !until || date <= until;
+
+  if (rule.frequency === 'daily') {
+    for (let i = 0; occurrences.length < limit; i++) {
+      const occurrence = new Date(start.getTime() + i * interval * DAY_MS);
+      if (!isWithinRange(occurrence)) break;
+      occurrences.push(occurrence);
+    }
+    return occurrences;
+  }
+
+  // Weekly - walk day by day from the start, keeping matching weekdays in active weeks
+  const daysOfWeek = rule.daysOfWeek && rule.daysOfWeek.length > 0
+    ? rule.daysOfWeek
+    : [start.getUTCDay()];
+  const weekStart = start.getTime() - start.getUTCDay() * DAY_MS;
+
+  for (let day = 0; occurrences.length < limit; day++) {
+    const occurrence = new Date(start.getTime() + day * DAY_MS);
+    if (!isWithinRange(occurrence)) break;
+
+    const weekIndex = Math.floor((occurrence.getTime() - weekStart) / (7 * DAY_MS));
+    if (weekIndex % interval === 0 && daysOfWeek.includes(occurrence.getUTCDay())) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  expandRecurrence
+};
@@ -8,6 +8,7 @@ const mongoose = require("mongoose");
 const app = require("../server");
 const Vehicle = require("../src/models/Vehicle");
 const Booking = require("../src/models/Booking");
+const Customer = require("../src/models/Customer");
 const { calculateRideDuration } = require("../src/utils/helpers");
 
 // Test database connection
@@ -33,6 +34,13 @@ describe("FleetLink Core Backend Tests", () => {
   beforeEach(async () => {
     await Vehicle.deleteMany({});
     await Booking.deleteMany({});
+    await Customer.deleteMany({});
+
+    // Bookings can only be made for known customers
+    await Customer.create([
+      { customerCode: "CUST001", name: "Test Customer One" },
+      { customerCode: "CUST002", name: "Test Customer Two" },
+    ]);
   });
 
   // Cleanup after tests
@@ -429,6 +437,73 @@ describe("FleetLink Core Backend Tests", () => {
       expect(response.body.success).toBe(true);
     });
 
+    test('should reject cargo heavier than the vehicle capacity', async () => {
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .send({
+          vehicleId: testVehicleId.toString(),
+          customerId: 'CUST001',
+          fromPincode: '110001',
+          toPincode: '400001',
+          startTime: startTime.toISOString(),
+          cargoWeightKg: 10000
+        })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('cannot carry cargo');
+    });
+
+    test('should store cargo details when the vehicle can carry the load', async () => {
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .send({
+          vehicleId: testVehicleId.toString(),
+          customerId: 'CUST001',
+          fromPincode: '110001',
+          toPincode: '400001',
+          startTime: startTime.toISOString(),
+          cargoWeightKg: 4500,
+          cargo: { description: 'Machine parts', volumeCubicM: 12, isHazardous: false }
+        })
+        .expect(201);
+
+      expect(response.body.data.cargoWeightKg).toBe(4500);
+      expect(response.body.data.cargo.description).toBe('Machine parts');
+    });
+
+    test('should allow exactly one of many concurrent requests for the same slot', async () => {
+      const startTime = new Date();
+      startTime.setHours(startTime.getHours() + 2);
+      await Customer.create(
+        Array.from({ length: 10 }, (_, index) => ({ customerCode: `CUST${index}`, name: `Racer ${index}` }))
+      );
+
+      const requests = Array.from({ length: 10 }, (_, index) =>
+        request(app)
+          .post('/api/bookings')
+          .send({
+            vehicleId: testVehicleId.toString(),
+            customerId: `CUST${index}`,
+            fromPincode: '110001',
+            toPincode: '400001',
+            startTime: startTime.toISOString()
+          })
+      );
+
+      const responses = await Promise.all(requests);
+      const statuses = responses.map(response => response.status);
+
+      expect(statuses.filter(status => status === 201)).toHaveLength(1);
+      expect(statuses.filter(status => status === 409)).toHaveLength(9);
+
+      const bookingCount = await Booking.countDocuments({ vehicleId: testVehicleId });
+      expect(bookingCount).toBe(1);
+    });
+
     test('should return 400 for invalid booking data', async () => {
       const invalidBookingCases = [
         {
@@ -473,4 +548,2341 @@ describe("FleetLink Core Backend Tests", () => {
       }
     });
   });
+
+  // ==================== PATCH /api/bookings/:id TESTS ====================
+
+  describe("PATCH /api/bookings/:id", () => {
+    let booking;
+
+    beforeEach(async () => {
+      const vehicle = await Vehicle.create({
+        name: "Test Vehicle",
+        capacityKg: 5000,
+        tyres: 6,
+      });
+      testVehicleId = vehicle._id;
+
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      booking = await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "confirmed",
+      });
+    });
+
+    test("should reschedule and recompute duration and end time", async () => {
+      const newStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}`)
+        .send({ startTime: newStart.toISOString(), toPincode: "110003" })
+        .expect(200);
+
+      expect(response.body.data.estimatedRideDurationHours).toBe(2);
+      expect(new Date(response.body.data.endTime).getTime()).toBe(
+        newStart.getTime() + 2 * 60 * 60 * 1000
+      );
+      expect(response.body.data.totalCost).toBeGreaterThan(0);
+    });
+
+    test("should return 409 when moving a booking that has already started", async () => {
+      const other = await Vehicle.create({ name: "Other Vehicle", capacityKg: 5000, tyres: 6 });
+      const startTime = new Date(Date.now() - 60 * 60 * 1000);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { startTime, endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000) }
+      );
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}`)
+        .send({ vehicleId: other._id.toString() })
+        .expect(409);
+
+      expect(response.body.error.message).toContain("already started");
+      expect((await Booking.findById(booking._id)).vehicleId.toString()).toBe(testVehicleId.toString());
+    });
+
+    test("should allow moving within the booking's own current slot", async () => {
+      const newStart = new Date(booking.startTime.getTime() + 60 * 60 * 1000);
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}`)
+        .send({ startTime: newStart.toISOString() })
+        .expect(200);
+    });
+
+    test("should return 409 when the new slot conflicts with another booking", async () => {
+      const otherStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: otherStart,
+        endTime: new Date(otherStart.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "confirmed",
+      });
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}`)
+        .send({ startTime: otherStart.toISOString() })
+        .expect(409);
+
+      const unchanged = await Booking.findById(booking._id);
+      expect(unchanged.startTime.getTime()).toBe(booking.startTime.getTime());
+    });
+  });
+
+  // ==================== PATCH /api/bookings/:id/status TESTS ====================
+
+  describe("PATCH /api/bookings/:id/status", () => {
+    const createBooking = async (overrides = {}) => {
+      const vehicle = await Vehicle.create({
+        name: "Test Vehicle",
+        capacityKg: 5000,
+        tyres: 6,
+      });
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+      return Booking.create({
+        vehicleId: vehicle._id,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "confirmed",
+        ...overrides,
+      });
+    };
+
+    test("should reject starting a booking before its start time", async () => {
+      const booking = await createBooking();
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "in-progress" })
+        .expect(409);
+
+      expect(response.body.error.message).toContain("before its scheduled start time");
+    });
+
+    test("should reject completing a booking that never started", async () => {
+      const booking = await createBooking();
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "completed" })
+        .expect(409);
+    });
+
+    test("should reject reviving a cancelled booking", async () => {
+      const booking = await createBooking();
+      await Booking.updateOne({ _id: booking._id }, { status: "cancelled" });
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "confirmed" })
+        .expect(409);
+    });
+
+    test("should start and complete a booking once its start time has passed", async () => {
+      const booking = await createBooking();
+      const startTime = new Date(Date.now() - 60 * 60 * 1000);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { startTime, endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000) }
+      );
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "in-progress" })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "completed" })
+        .expect(200);
+
+      expect(response.body.data.status).toBe("completed");
+      expect(response.body.data.statusHistory.map((change) => change.to)).toEqual([
+        "in-progress",
+        "completed",
+      ]);
+    });
+
+    test("should record allowed transitions in status history", async () => {
+      const booking = await createBooking();
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "cancelled", changedBy: "dispatcher-7", reason: "Customer request" })
+        .expect(200);
+
+      expect(response.body.data.status).toBe("cancelled");
+      expect(response.body.data.statusHistory).toHaveLength(1);
+      expect(response.body.data.statusHistory[0]).toMatchObject({
+        from: "confirmed",
+        to: "cancelled",
+        changedBy: "dispatcher-7",
+        reason: "Customer request",
+      });
+    });
+  });
+
+  // ==================== POST /api/bookings/auto-assign TESTS ====================
+
+  describe("POST /api/bookings/auto-assign", () => {
+    let smallVehicle;
+    let largeVehicle;
+
+    const autoAssignRequest = (overrides = {}) => ({
+      customerId: "CUST001",
+      capacityRequired: 800,
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      smallVehicle = await Vehicle.create({ name: "Small Van", capacityKg: 1000, tyres: 4 });
+      largeVehicle = await Vehicle.create({ name: "Large Truck", capacityKg: 10000, tyres: 10 });
+    });
+
+    test("should book the smallest sufficient vehicle by default", async () => {
+      const response = await request(app)
+        .post("/api/bookings/auto-assign")
+        .send(autoAssignRequest())
+        .expect(201);
+
+      expect(response.body.data.booking.vehicleId.id).toBe(smallVehicle._id.toString());
+      expect(response.body.data.selection.strategy).toBe("smallest-capacity");
+      expect(response.body.data.selection.reason).toContain("Smallest");
+      expect(response.body.data.selection.runnersUp[0].vehicleId).toBe(largeVehicle._id.toString());
+    });
+
+    test("should prefer the least utilized vehicle when asked", async () => {
+      const busyStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await Booking.create({
+        vehicleId: smallVehicle._id,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: busyStart,
+        endTime: new Date(busyStart.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "confirmed",
+      });
+
+      const response = await request(app)
+        .post("/api/bookings/auto-assign")
+        .send(autoAssignRequest({ strategy: "least-utilized" }))
+        .expect(201);
+
+      expect(response.body.data.selection.chosen.vehicleId).toBe(largeVehicle._id.toString());
+    });
+
+    test("should not count lapsed holds as booked hours", async () => {
+      const heldStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await Booking.create({
+        vehicleId: smallVehicle._id,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: heldStart,
+        endTime: new Date(heldStart.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "held",
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+
+      const response = await request(app)
+        .post("/api/bookings/auto-assign")
+        .send(autoAssignRequest({ strategy: "least-utilized" }))
+        .expect(201);
+
+      expect(response.body.data.selection.chosen.vehicleId).toBe(smallVehicle._id.toString());
+      expect(response.body.data.selection.chosen.bookedHours).toBe(0);
+    });
+
+    test("should return 409 when no vehicle is free", async () => {
+      await request(app)
+        .post("/api/bookings/auto-assign")
+        .send(autoAssignRequest({ capacityRequired: 20000 }))
+        .expect(409);
+    });
+  });
+
+  // ==================== BOOKING HOLD TESTS ====================
+
+  describe("Booking holds", () => {
+    const startTime = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+    const holdRequest = (vehicleId, start) => ({
+      vehicleId: vehicleId.toString(),
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: start.toISOString(),
+      hold: true,
+    });
+
+    beforeEach(async () => {
+      const vehicle = await Vehicle.create({ name: "Test Vehicle", capacityKg: 5000, tyres: 6 });
+      testVehicleId = vehicle._id;
+    });
+
+    test("should create a hold that blocks the slot", async () => {
+      const start = startTime();
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(holdRequest(testVehicleId, start))
+        .expect(201);
+
+      expect(response.body.data.status).toBe("held");
+      expect(response.body.data.holdExpiresAt).toBeDefined();
+
+      await request(app)
+        .post("/api/bookings")
+        .send({ ...holdRequest(testVehicleId, start), hold: false, customerId: "CUST002" })
+        .expect(409);
+    });
+
+    test("should not treat a lapsed hold as a conflict before cleanup runs", async () => {
+      const start = startTime();
+      await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: start,
+        endTime: new Date(start.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "held",
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+
+      await request(app)
+        .post("/api/bookings")
+        .send({ ...holdRequest(testVehicleId, start), hold: false, customerId: "CUST002" })
+        .expect(201);
+    });
+
+    test("should confirm an active hold and reject a lapsed one", async () => {
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(holdRequest(testVehicleId, startTime()))
+        .expect(201);
+
+      const confirmed = await request(app)
+        .post(`/api/bookings/${response.body.data.id}/confirm`)
+        .expect(200);
+      expect(confirmed.body.data.status).toBe("confirmed");
+
+      const lapsedStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const lapsed = await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: lapsedStart,
+        endTime: new Date(lapsedStart.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "held",
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+
+      await request(app)
+        .post(`/api/bookings/${lapsed._id}/confirm`)
+        .expect(409);
+    });
+
+    test("should expire lapsed holds and record the change", async () => {
+      const start = startTime();
+      const hold = await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: start,
+        endTime: new Date(start.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "held",
+        holdExpiresAt: new Date(Date.now() - 60 * 1000),
+      });
+
+      await Booking.expireLapsedHolds();
+
+      const expired = await Booking.findById(hold._id);
+      expect(expired.status).toBe("expired");
+      expect(expired.statusHistory[0]).toMatchObject({ from: "held", to: "expired" });
+    });
+  });
+
+  // ==================== CANCELLATION POLICY TESTS ====================
+
+  describe("Cancellation policy", () => {
+    const createBookingStartingIn = async (hours) => {
+      const vehicle = await Vehicle.create({ name: "Test Vehicle", capacityKg: 5000, tyres: 6 });
+      const startTime = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+      return Booking.create({
+        vehicleId: vehicle._id,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        totalCost: 1000,
+        status: "confirmed",
+      });
+    };
+
+    test("should cancel for free more than 24 hours before start", async () => {
+      const booking = await createBookingStartingIn(48);
+
+      const response = await request(app)
+        .delete(`/api/bookings/${booking._id}`)
+        .send({ reason: "Plans changed" })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        status: "cancelled",
+        cancellationFee: 0,
+        refundAmount: 1000,
+        cancellationReason: "Plans changed",
+      });
+      expect(response.body.data.cancelledAt).toBeDefined();
+    });
+
+    test("should quote a 50% fee within 24 hours without cancelling", async () => {
+      const booking = await createBookingStartingIn(5);
+
+      const response = await request(app)
+        .get(`/api/bookings/${booking._id}/cancellation-quote`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        allowed: true,
+        policy: "standard",
+        feePercent: 50,
+        cancellationFee: 500,
+        refundAmount: 500,
+      });
+
+      const unchanged = await Booking.findById(booking._id);
+      expect(unchanged.status).toBe("confirmed");
+    });
+
+    test("should reject cancellation within 1 hour of start, including via the status endpoint", async () => {
+      const booking = await createBookingStartingIn(0.5);
+
+      await request(app).delete(`/api/bookings/${booking._id}`).expect(409);
+      await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "cancelled" })
+        .expect(409);
+    });
+  });
+
+  // ==================== WAITLIST TESTS ====================
+
+  describe("Waitlist", () => {
+    const WaitlistEntry = require("../src/models/WaitlistEntry");
+    let existingBooking;
+
+    const waitlistRequest = (customerId) => ({
+      customerId,
+      capacityRequired: 4000,
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: existingBooking.startTime.toISOString(),
+    });
+
+    beforeEach(async () => {
+      await WaitlistEntry.deleteMany({});
+      await Customer.create({ customerCode: "CUST003", name: "Test Customer Three" });
+
+      const vehicle = await Vehicle.create({ name: "Only Truck", capacityKg: 5000, tyres: 6 });
+      testVehicleId = vehicle._id;
+
+      const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+      existingBooking = await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        status: "confirmed",
+      });
+    });
+
+    test("should reject joining when a vehicle is available", async () => {
+      await Booking.deleteMany({});
+
+      await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST002"))
+        .expect(409);
+    });
+
+    test("should offer the freed slot to the first waiting customer on cancellation", async () => {
+      const first = await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST002"))
+        .expect(201);
+      const second = await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST003"))
+        .expect(201);
+
+      expect(first.body.data.position).toBe(1);
+      expect(second.body.data.position).toBe(2);
+
+      await request(app).delete(`/api/bookings/${existingBooking._id}`).expect(200);
+
+      const offered = await WaitlistEntry.findById(first.body.data.entry.id);
+      const stillWaiting = await WaitlistEntry.findById(second.body.data.entry.id);
+      expect(offered.status).toBe("offered");
+      expect(stillWaiting.status).toBe("waiting");
+
+      const hold = await Booking.findById(offered.offer.bookingId);
+      expect(hold.status).toBe("held");
+      expect(hold.customerId).toBe("CUST002");
+
+      await request(app).post(`/api/bookings/${hold._id}/confirm`).expect(200);
+      const fulfilled = await WaitlistEntry.findById(offered._id);
+      expect(fulfilled.status).toBe("fulfilled");
+    });
+
+    test("should offer the slot to the next waiting customer when an offer lapses", async () => {
+      const { expireLapsedOffers } = require("../src/services/waitlistService");
+      const first = await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST002"))
+        .expect(201);
+      const second = await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST003"))
+        .expect(201);
+
+      await request(app).delete(`/api/bookings/${existingBooking._id}`).expect(200);
+
+      // Let the first offer lapse unconfirmed
+      const lapsed = new Date(Date.now() - 60 * 1000);
+      const offered = await WaitlistEntry.findById(first.body.data.entry.id);
+      await Booking.updateOne({ _id: offered.offer.bookingId }, { holdExpiresAt: lapsed });
+      await WaitlistEntry.updateOne({ _id: offered._id }, { "offer.expiresAt": lapsed });
+
+      const { expired, offers } = await expireLapsedOffers();
+
+      expect(expired).toBe(1);
+      expect(offers).toHaveLength(1);
+      expect((await WaitlistEntry.findById(first.body.data.entry.id)).status).toBe("expired");
+      const next = await WaitlistEntry.findById(second.body.data.entry.id);
+      expect(next.status).toBe("offered");
+      expect((await Booking.findById(next.offer.bookingId)).customerId).toBe("CUST003");
+    });
+
+    test("should match waiting customers when a vehicle returns to active", async () => {
+      const joined = await request(app)
+        .post("/api/waitlist")
+        .send(waitlistRequest("CUST002"))
+        .expect(201);
+
+      const spare = await Vehicle.create({
+        name: "Spare Truck",
+        capacityKg: 5000,
+        tyres: 6,
+        status: "maintenance",
+      });
+
+      await request(app)
+        .patch(`/api/vehicles/${spare._id}/status`)
+        .send({ status: "active" })
+        .expect(200);
+
+      const entry = await WaitlistEntry.findById(joined.body.data.entry.id);
+      expect(entry.status).toBe("offered");
+      expect(entry.offer.vehicleId.toString()).toBe(spare._id.toString());
+    });
+  });
+
+  // ==================== RECURRING BOOKING SERIES TESTS ====================
+
+  describe("Recurring booking series", () => {
+    const BookingSeries = require("../src/models/BookingSeries");
+    const firstStart = () => new Date(Date.now() + 48 * 60 * 60 * 1000);
+
+    const seriesRequest = (overrides = {}) => ({
+      vehicleId: testVehicleId.toString(),
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110003",
+      startTime: firstStart().toISOString(),
+      recurrence: { frequency: "daily", count: 5 },
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      await BookingSeries.deleteMany({});
+      const vehicle = await Vehicle.create({ name: "Test Vehicle", capacityKg: 5000, tyres: 6 });
+      testVehicleId = vehicle._id;
+    });
+
+    const blockThirdDay = async () => {
+      const blockedStart = new Date(firstStart().getTime() + 2 * 24 * 60 * 60 * 1000);
+      await Booking.create({
+        vehicleId: testVehicleId,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110003",
+        startTime: blockedStart,
+        endTime: new Date(blockedStart.getTime() + 2 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 2,
+        status: "confirmed",
+      });
+    };
+
+    test("should create one booking per occurrence", async () => {
+      const response = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest())
+        .expect(201);
+
+      expect(response.body.data.bookings).toHaveLength(5);
+      const occurrences = await Booking.find({ seriesId: response.body.data.series.id });
+      expect(occurrences).toHaveLength(5);
+    });
+
+    test("should reject the whole series on conflict by default", async () => {
+      await blockThirdDay();
+
+      const response = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest())
+        .expect(409);
+
+      expect(response.body.error.details.conflicts).toHaveLength(1);
+      expect(await BookingSeries.countDocuments()).toBe(0);
+    });
+
+    test("should skip conflicting occurrences when partial creation is allowed", async () => {
+      await blockThirdDay();
+
+      const response = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest({ allOrNothing: false }))
+        .expect(201);
+
+      expect(response.body.data.bookings).toHaveLength(4);
+      expect(response.body.data.skipped).toHaveLength(1);
+    });
+
+    test("should cancel all upcoming occurrences of a series", async () => {
+      const created = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest({ recurrence: { frequency: "daily", count: 3 } }))
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/bookings/series/${created.body.data.series.id}`)
+        .expect(200);
+
+      expect(response.body.data.series.status).toBe("cancelled");
+      expect(response.body.data.results.every(result => result.cancelled)).toBe(true);
+      expect(await Booking.countDocuments({ status: "cancelled" })).toBe(3);
+    });
+
+    test("should keep a series active while an occurrence could not be cancelled", async () => {
+      // The first occurrence starts within the last hour, when cancelling is no longer allowed
+      const created = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest({
+          startTime: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+          recurrence: { frequency: "daily", count: 2 },
+        }))
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/bookings/series/${created.body.data.series.id}`)
+        .expect(200);
+
+      expect(response.body.data.results.map((result) => result.cancelled)).toEqual([false, true]);
+      expect(response.body.data.series.status).toBe("active");
+    });
+
+    test("should keep the hazardous cargo surcharge when a series is repriced", async () => {
+      const RateCard = require("../src/models/RateCard");
+      await RateCard.deleteMany({});
+      await RateCard.publish({
+        vehicleType: "Medium",
+        baseFare: 1000,
+        perKm: 10,
+        perHour: 100,
+        surcharges: [{ name: "Hazmat handling", type: "flat", amount: 500, appliesTo: "hazardous-cargo" }],
+      });
+
+      const created = await request(app)
+        .post("/api/bookings/series")
+        .send(seriesRequest({ recurrence: { frequency: "daily", count: 2 }, cargo: { isHazardous: true } }))
+        .expect(201);
+
+      await request(app)
+        .patch(`/api/bookings/series/${created.body.data.series.id}`)
+        .send({ toPincode: "110005" })
+        .expect(200);
+
+      // 1000 base + 160 km x 10 + 4 h x 100 + 500 hazmat
+      const occurrences = await Booking.find({ seriesId: created.body.data.series.id });
+      expect(occurrences.map((booking) => booking.totalCost)).toEqual([3500, 3500]);
+      await RateCard.deleteMany({});
+    });
+  });
+
+  // ==================== IDEMPOTENCY TESTS ====================
+
+  describe("Idempotency-Key", () => {
+    const IdempotencyRecord = require("../src/models/IdempotencyRecord");
+    const vehicleData = { name: "Idempotent Truck", capacityKg: 5000, tyres: 6 };
+
+    beforeEach(async () => {
+      await IdempotencyRecord.deleteMany({});
+    });
+
+    test("should replay the first response for a retried request", async () => {
+      const first = await request(app)
+        .post("/api/vehicles")
+        .set("Idempotency-Key", "retry-key-1")
+        .send(vehicleData)
+        .expect(201);
+
+      const retry = await request(app)
+        .post("/api/vehicles")
+        .set("Idempotency-Key", "retry-key-1")
+        .send(vehicleData)
+        .expect(201);
+
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body.data.id).toBe(first.body.data.id);
+      expect(await Vehicle.countDocuments()).toBe(1);
+    });
+
+    test("should return 422 when a key is reused with a different body", async () => {
+      await request(app)
+        .post("/api/vehicles")
+        .set("Idempotency-Key", "retry-key-2")
+        .send(vehicleData)
+        .expect(201);
+
+      await request(app)
+        .post("/api/vehicles")
+        .set("Idempotency-Key", "retry-key-2")
+        .send({ ...vehicleData, capacityKg: 8000 })
+        .expect(422);
+    });
+
+    test("should not create duplicate bookings on retry", async () => {
+      const vehicle = await Vehicle.create(vehicleData);
+      const bookingData = {
+        vehicleId: vehicle._id.toString(),
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      };
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await request(app)
+          .post("/api/bookings")
+          .set("Idempotency-Key", "booking-key-1")
+          .send(bookingData)
+          .expect(201);
+      }
+
+      expect(await Booking.countDocuments()).toBe(1);
+    });
+
+    test("should free the key when the response is not sent as JSON", async () => {
+      const express = require("express");
+      const idempotency = require("../src/middleware/idempotency");
+      const plainApp = express()
+        .use(express.json())
+        .post("/plain", idempotency, (req, res) => res.status(204).end());
+
+      await request(plainApp).post("/plain").set("Idempotency-Key", "plain-key-1").send({}).expect(204);
+
+      // The key is released once the response has gone out
+      for (let attempt = 0; attempt < 20 && (await IdempotencyRecord.countDocuments()) > 0; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 25));
+      }
+      expect(await IdempotencyRecord.countDocuments()).toBe(0);
+
+      await request(plainApp).post("/plain").set("Idempotency-Key", "plain-key-1").send({}).expect(204);
+    });
+  });
+
+  // ==================== RATE CARD PRICING TESTS ====================
+
+  describe("Rate card pricing", () => {
+    const RateCard = require("../src/models/RateCard");
+    let vehicle;
+
+    // Medium vehicle, 4 hour (160 km) trip
+    const bookingFor = (vehicleId, hoursFromNow) => ({
+      vehicleId,
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: new Date(Date.now() + hoursFromNow * 60 * 60 * 1000).toISOString(),
+    });
+
+    beforeEach(async () => {
+      await RateCard.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Priced Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should price with the built-in default card when none is published", async () => {
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), 2))
+        .expect(201);
+
+      // 500 base + 160 km x 18 + 4 h x 250
+      expect(response.body.data.totalCost).toBe(4380);
+      expect(response.body.data.rateCardVersion).toBe(0);
+    });
+
+    test("should price with the published card and record its version", async () => {
+      const published = await request(app)
+        .post("/api/rate-cards")
+        .send({ vehicleType: "Medium", baseFare: 1000, perKm: 10, perHour: 100 })
+        .expect(201);
+
+      expect(published.body.data.version).toBe(1);
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), 2))
+        .expect(201);
+
+      expect(response.body.data.totalCost).toBe(3000);
+      expect(response.body.data.rateCardId).toBe(published.body.data.id);
+      expect(response.body.data.rateCardVersion).toBe(1);
+    });
+
+    test("should keep existing booking prices when a new version is published", async () => {
+      await RateCard.publish({ vehicleType: "Medium", baseFare: 1000, perKm: 10, perHour: 100 });
+
+      const first = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), 2))
+        .expect(201);
+
+      await request(app)
+        .post("/api/rate-cards")
+        .send({ vehicleType: "Medium", baseFare: 2000, perKm: 10, perHour: 100 })
+        .expect(201);
+
+      const second = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), 10))
+        .expect(201);
+
+      const stored = await Booking.findById(first.body.data.id);
+      expect(stored.totalCost).toBe(3000);
+      expect(stored.rateCardVersion).toBe(1);
+      expect(second.body.data.totalCost).toBe(4000);
+      expect(second.body.data.rateCardVersion).toBe(2);
+    });
+  });
+
+  // ==================== QUOTE TESTS ====================
+
+  describe("GET /api/quotes", () => {
+    const RateCard = require("../src/models/RateCard");
+    let vehicle;
+    const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+    const tripQuery = {
+      capacityRequired: 1000,
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime,
+    };
+
+    beforeEach(async () => {
+      await RateCard.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Quoted Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should return an itemized quote for each available vehicle", async () => {
+      await Vehicle.create({ name: "Workshop Truck", capacityKg: 8000, tyres: 8, status: "maintenance" });
+
+      const response = await request(app).get("/api/quotes").query(tripQuery).expect(200);
+
+      expect(response.body.data.quotes).toHaveLength(1);
+      const quote = response.body.data.quotes[0];
+      expect(quote.quoteId).toBeDefined();
+      expect(quote.items.map((item) => item.code)).toEqual(
+        expect.arrayContaining(["base", "distance", "duration", "capacity"])
+      );
+      expect(quote.totalCost).toBe(4380);
+      expect(quote.taxTotal).toBeGreaterThan(0);
+      expect(quote.grandTotal).toBe(quote.totalCost + quote.taxTotal);
+    });
+
+    test("should book at the quoted price after rates change", async () => {
+      const quoted = await request(app).get("/api/quotes").query(tripQuery).expect(200);
+      const { quoteId, totalCost } = quoted.body.data.quotes[0];
+
+      await RateCard.publish({ vehicleType: "Medium", baseFare: 9000, perKm: 50, perHour: 500 });
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send({
+          vehicleId: vehicle._id.toString(),
+          customerId: "CUST001",
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime,
+          quoteId,
+        })
+        .expect(201);
+
+      expect(response.body.data.totalCost).toBe(totalCost);
+      expect(response.body.data.rateCardVersion).toBe(0);
+    });
+
+    test("should reject a quote for a different trip or with a forged price", async () => {
+      const quoted = await request(app).get("/api/quotes").query(tripQuery).expect(200);
+      const { quoteId } = quoted.body.data.quotes[0];
+      const bookingData = {
+        vehicleId: vehicle._id.toString(),
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110009",
+        startTime,
+        quoteId,
+      };
+
+      const mismatch = await request(app).post("/api/bookings").send(bookingData).expect(400);
+      expect(mismatch.body.error.details.mismatched).toEqual(["toPincode"]);
+
+      const [payload, signature] = quoteId.slice(2).split(".");
+      const forgedPayload = Buffer.from(
+        JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), totalCost: 1 })
+      ).toString("base64url");
+
+      await request(app)
+        .post("/api/bookings")
+        .send({ ...bookingData, toPincode: "110005", quoteId: `q_${forgedPayload}.${signature}` })
+        .expect(400);
+      expect(await Booking.countDocuments()).toBe(0);
+    });
+
+    test("should only add the hazardous surcharge when isHazardous is true", async () => {
+      await RateCard.publish({
+        vehicleType: "Medium",
+        baseFare: 1000,
+        perKm: 10,
+        perHour: 100,
+        surcharges: [{ name: "Hazmat handling", type: "flat", amount: 500, appliesTo: "hazardous-cargo" }],
+      });
+
+      const safe = await request(app)
+        .get("/api/quotes")
+        .query({ ...tripQuery, isHazardous: "false" })
+        .expect(200);
+      expect(safe.body.data.quotes[0].totalCost).toBe(3000);
+
+      const hazardous = await request(app)
+        .get("/api/quotes")
+        .query({ ...tripQuery, isHazardous: "true" })
+        .expect(200);
+      expect(hazardous.body.data.quotes[0].totalCost).toBe(3500);
+    });
+
+    test("should book a quote requested for hazardous cargo", async () => {
+      const quoted = await request(app)
+        .get("/api/quotes")
+        .query({ ...tripQuery, isHazardous: "true" })
+        .expect(200);
+      const { quoteId, totalCost } = quoted.body.data.quotes[0];
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send({
+          vehicleId: vehicle._id.toString(),
+          customerId: "CUST001",
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime,
+          cargo: { isHazardous: true },
+          quoteId,
+        })
+        .expect(201);
+
+      expect(response.body.data.totalCost).toBe(totalCost);
+    });
+  });
+
+  // ==================== INVOICE TESTS ====================
+
+  describe("Invoices", () => {
+    const Invoice = require("../src/models/Invoice");
+    const Counter = require("../src/models/Counter");
+
+    const createStartedBooking = async (overrides = {}) => {
+      const vehicle = await Vehicle.create({ name: "Invoiced Truck", capacityKg: 5000, tyres: 6 });
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+      const booking = await Booking.create({
+        vehicleId: vehicle._id,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        totalCost: 4000,
+        billingDetails: { name: "Acme Traders", gstin: "07AAACA1234A1Z5" },
+        status: "in-progress",
+        ...overrides,
+      });
+
+      // New bookings must start in the future - move it into the past once created
+      const startedAt = new Date(Date.now() - 4 * 60 * 60 * 1000);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { startTime: startedAt, endTime: new Date(startedAt.getTime() + 4 * 60 * 60 * 1000) }
+      );
+
+      return Booking.findById(booking._id);
+    };
+
+    beforeEach(async () => {
+      await Invoice.deleteMany({});
+      await Counter.deleteMany({});
+    });
+
+    test("should issue a CGST/SGST invoice when an intra-state booking completes", async () => {
+      const booking = await createStartedBooking();
+
+      await request(app)
+        .patch(`/api/bookings/${booking._id}/status`)
+        .send({ status: "completed" })
+        .expect(200);
+
+      const invoice = await Invoice.findOne({ bookingId: booking._id });
+      expect(invoice.invoiceNumber).toMatch(/^FL\/\d{4}-\d{2}\/000001$/);
+      expect(invoice.taxType).toBe("intra-state");
+      expect(invoice.taxes.map((tax) => tax.code)).toEqual(["cgst", "sgst"]);
+      expect(invoice.taxTotal).toBe(200);
+      expect(invoice.grandTotal).toBe(4200);
+      expect(invoice.lines[0].sacCode).toBe("9965");
+      expect(invoice.billTo.gstin).toBe("07AAACA1234A1Z5");
+    });
+
+    test("should charge IGST across states and number invoices sequentially", async () => {
+      const first = await createStartedBooking();
+      const second = await createStartedBooking({ toPincode: "400001" });
+
+      await request(app).post("/api/invoices").send({ bookingId: first._id.toString() }).expect(400);
+      await Booking.updateMany({}, { status: "completed" });
+
+      await request(app).post("/api/invoices").send({ bookingId: first._id.toString() }).expect(201);
+      const response = await request(app)
+        .post("/api/invoices")
+        .send({ bookingId: second._id.toString() })
+        .expect(201);
+
+      expect(response.body.data.invoiceNumber).toMatch(/000002$/);
+      expect(response.body.data.taxType).toBe("inter-state");
+      expect(response.body.data.taxes).toEqual([
+        expect.objectContaining({ code: "igst", ratePercent: 5, amount: 200 }),
+      ]);
+
+      // A booking is only invoiced once
+      await request(app).post("/api/invoices").send({ bookingId: second._id.toString() }).expect(200);
+      expect(await Invoice.countDocuments()).toBe(2);
+    });
+
+    test("should render an invoice as printable HTML", async () => {
+      const booking = await createStartedBooking({ status: "completed" });
+      const created = await request(app)
+        .post("/api/invoices")
+        .send({ bookingId: booking._id.toString() })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/invoices/${created.body.data.id}/html`)
+        .expect("Content-Type", /html/)
+        .expect(200);
+
+      expect(response.text).toContain(created.body.data.invoiceNumber);
+      expect(response.text).toContain("Acme Traders");
+    });
+  });
+
+  // ==================== PROMO CODE TESTS ====================
+
+  describe("Promo codes", () => {
+    const PromoCode = require("../src/models/PromoCode");
+    const PromoRedemption = require("../src/models/PromoRedemption");
+    let vehicle;
+
+    // Medium vehicle, 4 hour trip priced at 4380 on the default card
+    const bookingFor = (vehicleId, overrides = {}) => ({
+      vehicleId,
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      await PromoCode.deleteMany({});
+      await PromoRedemption.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Promo Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should apply a percent code and record the discount on the booking", async () => {
+      await request(app)
+        .post("/api/promo-codes")
+        .send({ code: "save10", discountType: "percent", amount: 10, maxDiscount: 1000 })
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), { promoCode: "SAVE10" }))
+        .expect(201);
+
+      expect(response.body.data.totalCost).toBe(3942);
+      expect(response.body.data.discount).toMatchObject({ code: "SAVE10", amount: 438 });
+      expect((await PromoCode.findByCode("save10")).redemptionCount).toBe(1);
+    });
+
+    test("should reject codes outside their terms without creating a booking", async () => {
+      await PromoCode.create([
+        { code: "BIGONLY", discountType: "flat", amount: 500, vehicleTypes: ["Heavy Duty"] },
+        { code: "BIGORDER", discountType: "flat", amount: 500, minimumOrderValue: 10000 },
+        { code: "OLDDEAL", discountType: "flat", amount: 500, validUntil: new Date(Date.now() - 1000) },
+      ]);
+
+      for (const promoCode of ["BIGONLY", "BIGORDER", "OLDDEAL", "NOSUCHCODE"]) {
+        await request(app)
+          .post("/api/bookings")
+          .send(bookingFor(vehicle._id.toString(), { promoCode }))
+          .expect(400);
+      }
+
+      expect(await Booking.countDocuments()).toBe(0);
+    });
+
+    test("should enforce the per-customer cap", async () => {
+      await PromoCode.create({
+        code: "ONCE",
+        discountType: "flat",
+        amount: 500,
+        maxRedemptionsPerCustomer: 1,
+      });
+
+      await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), { promoCode: "ONCE" }))
+        .expect(201);
+
+      const later = new Date(Date.now() + 12 * 60 * 60 * 1000).toISOString();
+      await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), { promoCode: "ONCE", startTime: later }))
+        .expect(400);
+
+      await request(app)
+        .post("/api/bookings")
+        .send(bookingFor(vehicle._id.toString(), { promoCode: "ONCE", startTime: later, customerId: "CUST002" }))
+        .expect(201);
+    });
+
+    test("should not exceed the total cap under concurrent bookings", async () => {
+      await PromoCode.create({ code: "FIRST2", discountType: "flat", amount: 500, maxRedemptions: 2 });
+      const vehicles = await Vehicle.create(
+        [1, 2, 3, 4, 5].map((n) => ({ name: `Promo Truck ${n}`, capacityKg: 5000, tyres: 6 }))
+      );
+      await Customer.create(
+        [0, 1, 2, 3, 4].map((index) => ({ customerCode: `PROMO${index}`, name: `Shopper ${index}` }))
+      );
+
+      const responses = await Promise.all(
+        vehicles.map((v, index) =>
+          request(app)
+            .post("/api/bookings")
+            .send(bookingFor(v._id.toString(), { promoCode: "FIRST2", customerId: `PROMO${index}` }))
+        )
+      );
+      const statuses = responses.map((response) => response.status);
+
+      expect(statuses.filter((status) => status === 201)).toHaveLength(2);
+      expect(statuses.filter((status) => status === 400)).toHaveLength(3);
+      expect((await PromoCode.findByCode("FIRST2")).redemptionCount).toBe(2);
+    });
+
+    test("should give back the redemption when the booking conflicts", async () => {
+      await PromoCode.create({ code: "RETRY", discountType: "flat", amount: 500, maxRedemptions: 1 });
+      const data = bookingFor(vehicle._id.toString());
+      await request(app).post("/api/bookings").send(data).expect(201);
+
+      await request(app)
+        .post("/api/bookings")
+        .send({ ...data, promoCode: "RETRY" })
+        .expect(409);
+
+      expect((await PromoCode.findByCode("RETRY")).redemptionCount).toBe(0);
+    });
+  });
+
+  // ==================== CUSTOMER TESTS ====================
+
+  describe("Customers", () => {
+    const { migrateCustomers } = require("../scripts/migrateCustomers");
+    let vehicle;
+
+    const bookingFor = (customerId) => ({
+      vehicleId: vehicle._id.toString(),
+      customerId,
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+    });
+
+    beforeEach(async () => {
+      vehicle = await Vehicle.create({ name: "Customer Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should create a customer with a generated code", async () => {
+      const response = await request(app)
+        .post("/api/customers")
+        .send({
+          name: "Acme Traders",
+          contact: { email: "ops@acme.example" },
+          gstin: "07AAACA1234A1Z5",
+          creditLimit: 50000,
+        })
+        .expect(201);
+
+      expect(response.body.data.customerCode).toMatch(/^CUST\d{6}$/);
+      expect(response.body.data.status).toBe("active");
+
+      const fetched = await request(app)
+        .get(`/api/customers/${response.body.data.customerCode}`)
+        .expect(200);
+      expect(fetched.body.data.name).toBe("Acme Traders");
+    });
+
+    test("should reject bookings for unknown or suspended customers", async () => {
+      await request(app).post("/api/bookings").send(bookingFor("CUST0O1")).expect(404);
+
+      await request(app)
+        .patch("/api/customers/CUST002")
+        .send({ status: "suspended", notes: "Overdue invoices" })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send(bookingFor("CUST002"))
+        .expect(400);
+
+      expect(response.body.error.message).toContain("suspended");
+      expect(await Booking.countDocuments()).toBe(0);
+    });
+
+    test("should return the customer profile with booking history", async () => {
+      await request(app).post("/api/bookings").send(bookingFor("CUST001")).expect(201);
+
+      const response = await request(app)
+        .get("/api/bookings/customer/CUST001")
+        .expect(200);
+
+      expect(response.body.data.customer.name).toBe("Test Customer One");
+      expect(response.body.data.bookings).toHaveLength(1);
+      expect(response.body.data.stats.totalBookings).toBe(1);
+    });
+
+    test("should migrate customer IDs already used on bookings", async () => {
+      const startTime = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      await Booking.create({
+        vehicleId: vehicle._id,
+        customerId: "LEGACY-42",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+      });
+
+      const { missing } = await migrateCustomers({ dryRun: false });
+
+      expect(missing).toEqual(["LEGACY-42"]);
+      const customer = await Customer.findOne({ customerCode: "LEGACY-42" });
+      expect(customer.status).toBe("active");
+    });
+  });
+
+  // ==================== CORPORATE ACCOUNT TESTS ====================
+
+  describe("Corporate Accounts", () => {
+    const Account = require("../src/models/Account");
+    const Statement = require("../src/models/Statement");
+    const Invoice = require("../src/models/Invoice");
+    const { generateMonthlyStatements } = require("../src/services/accountService");
+    let vehicle;
+
+    const bookingAt = (hoursFromNow) => ({
+      vehicleId: vehicle._id.toString(),
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: new Date(Date.now() + hoursFromNow * 60 * 60 * 1000).toISOString(),
+    });
+
+    const createAccountFor = async (fields) => {
+      const response = await request(app)
+        .post("/api/accounts")
+        .send({ name: "Acme Logistics", ...fields })
+        .expect(201);
+
+      await request(app)
+        .patch("/api/customers/CUST001")
+        .send({ accountId: response.body.data.id })
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    beforeEach(async () => {
+      await Account.deleteMany({});
+      await Statement.deleteMany({});
+      await Invoice.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Account Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should price account bookings at negotiated rates", async () => {
+      const account = await createAccountFor({
+        creditLimit: 100000,
+        rateOverrides: [{ vehicleType: "Medium", perKm: 15 }],
+      });
+
+      const response = await request(app).post("/api/bookings").send(bookingAt(2)).expect(201);
+
+      // 500 base + 160 km at 15/km + 4 h at 250/h, instead of 18/km on the rate card
+      expect(response.body.data.totalCost).toBe(3900);
+      expect(response.body.data.accountId).toBe(account.id);
+    });
+
+    test("should reject bookings beyond the account credit limit", async () => {
+      const account = await createAccountFor({ creditLimit: 5000 });
+
+      await request(app).post("/api/bookings").send(bookingAt(2)).expect(201);
+      const response = await request(app).post("/api/bookings").send(bookingAt(10)).expect(400);
+
+      expect(response.body.error.message).toContain("credit limit");
+      expect(response.body.error.details.outstanding).toBe(4380);
+      expect(await Booking.countDocuments()).toBe(1);
+
+      const summary = await request(app).get(`/api/accounts/${account.accountCode}`).expect(200);
+      expect(summary.body.data.customers).toHaveLength(1);
+      expect(summary.body.data.credit.available).toBe(620);
+    });
+
+    test("should bill completed bookings on one statement at month end", async () => {
+      const account = await createAccountFor({ creditLimit: 10000 });
+      const { body } = await request(app).post("/api/bookings").send(bookingAt(2)).expect(201);
+      await Booking.updateOne(
+        { _id: body.data.id },
+        { status: "completed", completedAt: new Date() }
+      );
+
+      const now = new Date();
+      const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+      const statements = await generateMonthlyStatements(nextMonth);
+
+      expect(statements).toHaveLength(1);
+      expect(statements[0].statementNumber).toMatch(new RegExp(`^${account.accountCode}/\\d{4}-\\d{2}$`));
+      expect(statements[0].bookingCount).toBe(1);
+      expect(statements[0].subtotal).toBe(4380);
+      expect(statements[0].lines[0].invoiceNumber).toBeDefined();
+      expect((await Booking.findById(body.data.id)).statementId).toEqual(statements[0]._id);
+
+      // Re-running is harmless, and billed bookings no longer count as outstanding
+      expect(await generateMonthlyStatements(nextMonth)).toHaveLength(0);
+      const summary = await request(app).get(`/api/accounts/${account.id}`).expect(200);
+      expect(summary.body.data.credit.outstanding).toBe(0);
+    });
+
+    test("should reject a reschedule whose higher price exceeds the credit limit", async () => {
+      await createAccountFor({ creditLimit: 5000 });
+      const { body } = await request(app).post("/api/bookings").send(bookingAt(2)).expect(201);
+
+      const response = await request(app)
+        .patch(`/api/bookings/${body.data.id}`)
+        .send({ toPincode: "110009" })
+        .expect(400);
+
+      expect(response.body.error.message).toContain("credit limit");
+      // Only the increase from 4380 to 8260 (8 h, 320 km) needs credit
+      expect(response.body.error.details.requested).toBe(3880);
+      expect((await Booking.findById(body.data.id)).toPincode).toBe("110005");
+    });
+
+    test("should reject a series edit whose higher price exceeds the credit limit", async () => {
+      await createAccountFor({ creditLimit: 6000 });
+      // Two 2 hour trips at 2440 each
+      const created = await request(app)
+        .post("/api/bookings/series")
+        .send({ ...bookingAt(48), toPincode: "110003", recurrence: { frequency: "daily", count: 2 } })
+        .expect(201);
+
+      const response = await request(app)
+        .patch(`/api/bookings/series/${created.body.data.series.id}`)
+        .send({ toPincode: "110005" })
+        .expect(400);
+
+      expect(response.body.error.message).toContain("credit limit");
+      expect(await Booking.countDocuments({ toPincode: "110003" })).toBe(2);
+    });
+
+    test("should not let customers of a suspended account book", async () => {
+      const account = await createAccountFor({ creditLimit: 10000 });
+      await request(app)
+        .patch(`/api/accounts/${account.id}`)
+        .send({ status: "suspended" })
+        .expect(200);
+
+      const response = await request(app).post("/api/bookings").send(bookingAt(2)).expect(400);
+      expect(response.body.error.message).toContain("suspended");
+    });
+  });
+
+  // ==================== PAYMENT TESTS ====================
+
+  describe("Payments", () => {
+    const Payment = require("../src/models/Payment");
+    const paymentConfig = require("../src/config/payments");
+    let vehicle;
+
+    const createConfirmedBooking = (hoursFromNow) => {
+      const startTime = new Date(Date.now() + hoursFromNow * 60 * 60 * 1000);
+
+      return Booking.create({
+        vehicleId: vehicle._id,
+        customerId: "CUST001",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime,
+        endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 4,
+        totalCost: 1000,
+        status: "confirmed",
+      });
+    };
+
+    const payFor = async (bookingId, paymentMethod) => {
+      const started = await request(app)
+        .post("/api/payments")
+        .send({ bookingId: bookingId.toString() })
+        .expect(201);
+
+      return request(app)
+        .post(`/api/payments/${started.body.data.id}/capture`)
+        .send(paymentMethod ? { paymentMethod } : {});
+    };
+
+    beforeEach(async () => {
+      await Payment.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Payment Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should start one payment per booking and capture it", async () => {
+      const booking = await createConfirmedBooking(48);
+
+      const started = await request(app)
+        .post("/api/payments")
+        .send({ bookingId: booking._id.toString() })
+        .expect(201);
+      expect(started.body.data.status).toBe("pending");
+      expect(started.body.data.clientSecret).toBeDefined();
+      expect((await Booking.findById(booking._id)).paymentStatus).toBe("pending");
+
+      const again = await request(app)
+        .post("/api/payments")
+        .send({ bookingId: booking._id.toString() })
+        .expect(200);
+      expect(again.body.data.id).toBe(started.body.data.id);
+
+      const captured = await request(app)
+        .post(`/api/payments/${started.body.data.id}/capture`)
+        .send({})
+        .expect(200);
+      expect(captured.body.data.payment.amountCaptured).toBe(1000);
+      expect(captured.body.data.payment.clientSecret).toBeUndefined();
+      expect(captured.body.data.booking.paymentStatus).toBe("paid");
+    });
+
+    test("should record a declined capture with a 402", async () => {
+      const booking = await createConfirmedBooking(48);
+
+      const response = await payFor(booking._id, "pm_mock_declined");
+
+      expect(response.status).toBe(402);
+      expect(response.body.error.details.gatewayCode).toBe("card_declined");
+      expect((await Payment.findOne({ bookingId: booking._id })).status).toBe("failed");
+      expect((await Booking.findById(booking._id)).paymentStatus).toBe("unpaid");
+    });
+
+    test("should refund the policy refund amount when a paid booking is cancelled", async () => {
+      const booking = await createConfirmedBooking(5);
+      expect((await payFor(booking._id)).status).toBe(200);
+
+      // 50% fee within 24 hours of start
+      const response = await request(app).delete(`/api/bookings/${booking._id}`).expect(200);
+
+      expect(response.body.data.refundAmount).toBe(500);
+      expect(response.body.data.paymentStatus).toBe("partially-refunded");
+      const payment = await Payment.findOne({ bookingId: booking._id });
+      expect(payment.amountRefunded).toBe(500);
+      expect(payment.refunds[0].reason).toBe("Booking cancelled");
+
+      await request(app)
+        .post(`/api/payments/${payment._id}/refunds`)
+        .send({ amount: 600 })
+        .expect(400);
+    });
+
+    test("should capture and refund payment for a booking that has already run", async () => {
+      const booking = await createConfirmedBooking(48);
+      const startTime = new Date(Date.now() - 6 * 60 * 60 * 1000);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { startTime, endTime: new Date(startTime.getTime() + 4 * 60 * 60 * 1000), status: "completed" }
+      );
+
+      const captured = await payFor(booking._id);
+      expect(captured.status).toBe(200);
+      expect((await Booking.findById(booking._id)).paymentStatus).toBe("paid");
+
+      await request(app)
+        .post(`/api/payments/${captured.body.data.payment.id}/refunds`)
+        .send({ amount: 250, reason: "Late delivery" })
+        .expect(201);
+
+      const refunded = await Booking.findById(booking._id);
+      expect(refunded.paymentStatus).toBe("partially-refunded");
+      expect(refunded.status).toBe("completed");
+    });
+
+    test("should not reprice a paid booking when rescheduling", async () => {
+      const booking = await createConfirmedBooking(48);
+      expect((await payFor(booking._id)).status).toBe(200);
+
+      const response = await request(app)
+        .patch(`/api/bookings/${booking._id}`)
+        .send({ toPincode: "110009" })
+        .expect(409);
+
+      expect(response.body.error.details).toMatchObject({ paymentStatus: "paid", totalCost: 1000 });
+      const unchanged = await Booking.findById(booking._id);
+      expect(unchanged.toPincode).toBe("110005");
+      expect(unchanged.totalCost).toBe(1000);
+    });
+
+    test("should hold series occurrences until paid when payment is required", async () => {
+      paymentConfig.paymentRequired = true;
+      try {
+        const created = await request(app)
+          .post("/api/bookings/series")
+          .send({
+            vehicleId: vehicle._id.toString(),
+            customerId: "CUST001",
+            fromPincode: "110001",
+            toPincode: "110005",
+            startTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+            recurrence: { frequency: "daily", count: 2 },
+          })
+          .expect(201);
+
+        expect(created.body.data.bookings.map((booking) => booking.status)).toEqual(["held", "held"]);
+        expect(created.body.data.bookings.every((booking) => booking.paymentRequired)).toBe(true);
+      } finally {
+        paymentConfig.paymentRequired = false;
+      }
+    });
+
+    test("should hold bookings until paid when payment is required", async () => {
+      paymentConfig.paymentRequired = true;
+      try {
+        const created = await request(app)
+          .post("/api/bookings")
+          .send({
+            vehicleId: vehicle._id.toString(),
+            customerId: "CUST001",
+            fromPincode: "110001",
+            toPincode: "110005",
+            startTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+          })
+          .expect(201);
+        const bookingId = created.body.data.id;
+        expect(created.body.data.status).toBe("held");
+        expect(created.body.data.paymentRequired).toBe(true);
+
+        await request(app).post(`/api/bookings/${bookingId}/confirm`).send({}).expect(409);
+
+        const captured = await payFor(bookingId);
+        expect(captured.status).toBe(200);
+        expect(captured.body.data.booking.status).toBe("confirmed");
+        expect(captured.body.data.booking.paymentStatus).toBe("paid");
+      } finally {
+        paymentConfig.paymentRequired = false;
+      }
+    });
+  });
+
+  // ==================== VEHICLE EDIT AND DELETE TESTS ====================
+
+  describe("Vehicle editing and deletion", () => {
+    let vehicle;
+
+    const bookVehicle = (cargoWeightKg) =>
+      request(app)
+        .post("/api/bookings")
+        .send({
+          vehicleId: vehicle._id.toString(),
+          customerId: "CUST001",
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          cargoWeightKg,
+        })
+        .expect(201);
+
+    beforeEach(async () => {
+      vehicle = await Vehicle.create({ name: "Edit Truk", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should correct a vehicle's details", async () => {
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .send({ name: "Edit Truck", tyres: 8 })
+        .expect(200);
+
+      expect(response.body.data.name).toBe("Edit Truck");
+      expect(response.body.data.tyres).toBe(8);
+      expect(response.body.data.capacityKg).toBe(5000);
+
+      await request(app).patch(`/api/vehicles/${vehicle._id}`).send({}).expect(400);
+    });
+
+    test("should refuse a capacity reduction below upcoming cargo", async () => {
+      const booking = await bookVehicle(3000);
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .send({ capacityKg: 2000 })
+        .expect(409);
+
+      expect(response.body.error.details.bookings).toHaveLength(1);
+      expect(response.body.error.details.bookings[0].id).toBe(booking.body.data.id);
+      expect((await Vehicle.findById(vehicle._id)).capacityKg).toBe(5000);
+
+      await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .send({ capacityKg: 3000 })
+        .expect(200);
+    });
+
+    test("should refuse to delete a vehicle with confirmed bookings", async () => {
+      await bookVehicle(1000);
+
+      const response = await request(app).delete(`/api/vehicles/${vehicle._id}`).expect(409);
+
+      expect(response.body.error.details.bookings[0].status).toBe("confirmed");
+      expect(await Vehicle.exists({ _id: vehicle._id })).toBeTruthy();
+    });
+
+    test("should retire a vehicle with booking history and remove an unused one", async () => {
+      const booking = await bookVehicle(1000);
+      await request(app).delete(`/api/bookings/${booking.body.data.id}`).expect(200);
+
+      const response = await request(app).delete(`/api/vehicles/${vehicle._id}`).expect(200);
+      expect(response.body.data.softDeleted).toBe(true);
+      expect(response.body.data.vehicle.status).toBe("retired");
+
+      const list = await request(app).get("/api/vehicles").expect(200);
+      expect(list.body.data.vehicles).toHaveLength(0);
+      await request(app)
+        .patch(`/api/vehicles/${vehicle._id}/status`)
+        .send({ status: "active" })
+        .expect(409);
+
+      const unused = await Vehicle.create({ name: "Unused Truck", capacityKg: 1000, tyres: 4 });
+      const removed = await request(app).delete(`/api/vehicles/${unused._id}`).expect(200);
+      expect(removed.body.data.softDeleted).toBe(false);
+      expect(await Vehicle.exists({ _id: unused._id })).toBeNull();
+    });
+  });
+
+  // ==================== VEHICLE WITHDRAWAL TESTS ====================
+
+  describe("Vehicle withdrawal", () => {
+    const Notification = require("../src/models/Notification");
+    let vehicle;
+
+    const bookVehicle = (hoursAhead, cargoWeightKg) =>
+      request(app)
+        .post("/api/bookings")
+        .send({
+          vehicleId: vehicle._id.toString(),
+          customerId: "CUST001",
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime: new Date(Date.now() + hoursAhead * 60 * 60 * 1000).toISOString(),
+          cargoWeightKg,
+        })
+        .expect(201);
+
+    beforeEach(async () => {
+      await Notification.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Withdrawn Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should block a status change while upcoming bookings exist", async () => {
+      const booking = await bookVehicle(48);
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}/status`)
+        .send({ status: "maintenance" })
+        .expect(409);
+
+      expect(response.body.error.details.bookings).toHaveLength(1);
+      expect(response.body.error.details.bookings[0].bookingId).toBe(booking.body.data.id);
+      expect((await Vehicle.findById(vehicle._id)).status).toBe("active");
+    });
+
+    test("should reassign bookings to an equivalent vehicle and cancel the rest", async () => {
+      const first = await bookVehicle(48, 3000);
+      const second = await bookVehicle(72, 3000);
+      const spare = await Vehicle.create({ name: "Spare Truck", capacityKg: 4000, tyres: 6 });
+      // The spare is taken for the second booking's slot
+      await Booking.create({
+        vehicleId: spare._id,
+        customerId: "CUST002",
+        fromPincode: "110001",
+        toPincode: "110005",
+        startTime: new Date(second.body.data.startTime),
+        endTime: new Date(second.body.data.endTime),
+        estimatedRideDurationHours: 4,
+      });
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}/status`)
+        .send({ status: "maintenance", onFutureBookings: "reassign" })
+        .expect(200);
+
+      const [moved, cancelled] = response.body.data.bookings;
+      expect(moved.bookingId).toBe(first.body.data.id);
+      expect(moved.outcome).toBe("reassigned");
+      expect(moved.vehicleId).toBe(spare._id.toString());
+      expect(cancelled.bookingId).toBe(second.body.data.id);
+      expect(cancelled.outcome).toBe("cancelled");
+
+      const movedBooking = await Booking.findById(first.body.data.id);
+      expect(movedBooking.vehicleId.toString()).toBe(spare._id.toString());
+      expect(movedBooking.totalCost).toBe(first.body.data.totalCost);
+      expect(await Notification.countDocuments({ customerId: "CUST001" })).toBe(2);
+    });
+
+    test("should not reassign bookings to a vehicle with a different body type", async () => {
+      await Vehicle.updateOne({ _id: vehicle._id }, { bodyType: "refrigerated", features: ["gps"] });
+      const booking = await bookVehicle(48, 3000);
+      await Vehicle.create({ name: "Open Truck", capacityKg: 5000, tyres: 6, bodyType: "open", features: ["gps"] });
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}/status`)
+        .send({ status: "maintenance", onFutureBookings: "reassign" })
+        .expect(200);
+
+      expect(response.body.data.bookings[0].bookingId).toBe(booking.body.data.id);
+      expect(response.body.data.bookings[0].outcome).toBe("cancelled");
+    });
+
+    test("should cancel upcoming bookings without a fee and notify customers", async () => {
+      const booking = await bookVehicle(5);
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}/status`)
+        .send({ status: "retired", onFutureBookings: "cancel", reason: "Accident damage" })
+        .expect(200);
+
+      expect(response.body.data.vehicle.status).toBe("retired");
+      expect(response.body.data.bookings[0].outcome).toBe("cancelled");
+      expect(response.body.data.bookings[0].refundAmount).toBe(4380);
+
+      const cancelled = await Booking.findById(booking.body.data.id);
+      expect(cancelled.status).toBe("cancelled");
+      expect(cancelled.cancellationFee).toBe(0);
+      expect(cancelled.cancellationReason).toBe("Accident damage");
+
+      const notification = await Notification.findOne({ bookingId: booking.body.data.id });
+      expect(notification.type).toBe("booking-cancelled");
+    });
+  });
+
+  // ==================== MAINTENANCE WINDOW TESTS ====================
+
+  describe("Maintenance windows", () => {
+    const MaintenanceWindow = require("../src/models/MaintenanceWindow");
+    const { syncMaintenanceStatuses } = require("../src/services/maintenanceService");
+    let vehicle;
+
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const bookingAt = (hoursAhead) => ({
+      vehicleId: vehicle._id.toString(),
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: hoursFromNow(hoursAhead),
+    });
+
+    beforeEach(async () => {
+      await MaintenanceWindow.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Serviced Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should treat a maintenance window as a conflict", async () => {
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .send({ startTime: hoursFromNow(24), endTime: hoursFromNow(32), reason: "10,000 km service" })
+        .expect(201);
+
+      const search = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, fromPincode: "110001", toPincode: "110005", startTime: hoursFromNow(26) })
+        .expect(200);
+      expect(search.body.data).toHaveLength(0);
+
+      const rejected = await request(app).post("/api/bookings").send(bookingAt(26)).expect(409);
+      expect(rejected.body.error.details.maintenanceWindows[0].reason).toBe("10,000 km service");
+
+      await request(app).post("/api/bookings").send(bookingAt(40)).expect(201);
+      expect((await Vehicle.findById(vehicle._id)).status).toBe("active");
+    });
+
+    test("should refuse a window over existing bookings", async () => {
+      await request(app).post("/api/bookings").send(bookingAt(24)).expect(201);
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .send({ startTime: hoursFromNow(22), endTime: hoursFromNow(26) })
+        .expect(409);
+
+      expect(response.body.error.details.conflicts[0].conflictingBookings).toHaveLength(1);
+      expect(await MaintenanceWindow.countDocuments()).toBe(0);
+    });
+
+    test("should expand and delete a recurring service schedule", async () => {
+      const created = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .send({
+          startTime: hoursFromNow(24),
+          endTime: hoursFromNow(28),
+          recurrence: { frequency: "weekly", interval: 4, count: 3 },
+        })
+        .expect(201);
+
+      const windows = created.body.data.windows;
+      expect(windows).toHaveLength(3);
+      expect(new Set(windows.map((window) => window.scheduleId)).size).toBe(1);
+
+      const deleted = await request(app)
+        .delete(`/api/vehicles/${vehicle._id}/maintenance-windows/${windows[1].id}`)
+        .query({ scope: "following" })
+        .expect(200);
+      expect(deleted.body.data.deletedCount).toBe(2);
+
+      const listed = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .expect(200);
+      expect(listed.body.data.windows.map((window) => window.id)).toEqual([windows[0].id]);
+    });
+
+    test("should switch the vehicle to maintenance while a window is under way", async () => {
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .send({ startTime: hoursFromNow(-1), endTime: hoursFromNow(2) })
+        .expect(201);
+
+      let current = await Vehicle.findById(vehicle._id);
+      expect(current.status).toBe("maintenance");
+      expect(current.scheduledMaintenance).toBe(true);
+
+      const { ended } = await syncMaintenanceStatuses(new Date(Date.now() + 3 * 60 * 60 * 1000));
+
+      expect(ended).toBe(1);
+      current = await Vehicle.findById(vehicle._id);
+      expect(current.status).toBe("active");
+      expect(current.scheduledMaintenance).toBe(false);
+    });
+
+    test("should keep a vehicle under way in maintenance bookable after its window", async () => {
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/maintenance-windows`)
+        .send({ startTime: hoursFromNow(-1), endTime: hoursFromNow(2) })
+        .expect(201);
+      expect((await Vehicle.findById(vehicle._id)).status).toBe("maintenance");
+
+      await request(app).post("/api/bookings").send(bookingAt(1)).expect(409);
+
+      const search = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, fromPincode: "110001", toPincode: "110005", startTime: hoursFromNow(2) })
+        .expect(200);
+      expect(search.body.data).toHaveLength(1);
+
+      await request(app).post("/api/bookings").send(bookingAt(2)).expect(201);
+
+      const schedule = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .expect(200);
+      expect(schedule.body.data.freeSlots.length).toBeGreaterThan(0);
+    });
+  });
+
+  // ==================== VEHICLE ATTRIBUTE TESTS ====================
+
+  describe("Vehicle attributes and feature search", () => {
+    const search = (extra) =>
+      request(app)
+        .get("/api/vehicles/available")
+        .query({
+          capacityRequired: 1000,
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          ...extra,
+        });
+
+    test("should store vehicle attributes with a unique registration number", async () => {
+      const response = await request(app)
+        .post("/api/vehicles")
+        .send({
+          name: "Reefer One",
+          capacityKg: 3000,
+          tyres: 6,
+          registrationNumber: "mh-12 ab 1234",
+          bodyType: "refrigerated",
+          fuelType: "diesel",
+          cargoVolumeCubicM: 24,
+          features: ["GPS", "tail-lift"],
+        })
+        .expect(201);
+
+      expect(response.body.data.registrationNumber).toBe("MH12AB1234");
+      expect(response.body.data.features).toEqual(["gps", "tail-lift"]);
+
+      await request(app)
+        .post("/api/vehicles")
+        .send({ name: "Reefer Two", capacityKg: 3000, tyres: 6, registrationNumber: "MH12AB1234" })
+        .expect(400);
+      await request(app)
+        .post("/api/vehicles")
+        .send({ name: "Reefer Three", capacityKg: 3000, tyres: 6, registrationNumber: "NOT-A-PLATE" })
+        .expect(400);
+    });
+
+    test("should search by features, body type and volume", async () => {
+      const reefer = await Vehicle.create({
+        name: "Reefer",
+        capacityKg: 3000,
+        tyres: 6,
+        bodyType: "refrigerated",
+        cargoVolumeCubicM: 24,
+        features: ["gps", "tail-lift"],
+      });
+      await Vehicle.create({ name: "Small Reefer", capacityKg: 2000, tyres: 4, bodyType: "refrigerated", cargoVolumeCubicM: 10, features: ["gps"] });
+      await Vehicle.create({ name: "Flatbed", capacityKg: 3000, tyres: 6, bodyType: "open", features: ["gps", "tail-lift"] });
+
+      const response = await search({ bodyType: "refrigerated", features: "gps,tail-lift", minVolume: 20 }).expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].id).toBe(reefer._id.toString());
+
+      const unfiltered = await search({}).expect(200);
+      expect(unfiltered.body.data).toHaveLength(3);
+    });
+
+    test("should reject unknown body types and malformed feature lists", async () => {
+      await search({ bodyType: "boat" }).expect(400);
+      await search({ features: "gps;tail-lift" }).expect(400);
+    });
+  });
+
+  // ==================== SCHEDULE TESTS ====================
+
+  describe("Vehicle schedule", () => {
+    const MaintenanceWindow = require("../src/models/MaintenanceWindow");
+    const base = Date.now();
+    const at = (hours) => new Date(base + hours * 60 * 60 * 1000).toISOString();
+    let vehicle;
+
+    // 110001 → 110005 takes 4 hours
+    const bookAt = (hours, vehicleId = vehicle._id) =>
+      request(app)
+        .post("/api/bookings")
+        .send({
+          vehicleId: vehicleId.toString(),
+          customerId: "CUST001",
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime: at(hours),
+        })
+        .expect(201);
+
+    beforeEach(async () => {
+      await MaintenanceWindow.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Day Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should list bookings, maintenance and the free gaps between them", async () => {
+      await bookAt(24);
+      await MaintenanceWindow.create({ vehicleId: vehicle._id, startTime: at(30), endTime: at(34) });
+
+      const response = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .query({ from: at(20), to: at(40) })
+        .expect(200);
+
+      const { blocks, freeSlots } = response.body.data;
+      expect(blocks.map((block) => block.type)).toEqual(["booking", "maintenance"]);
+      expect(freeSlots.map((slot) => [slot.startTime, slot.endTime])).toEqual([
+        [at(20), at(24)],
+        [at(28), at(30)],
+        [at(34), at(40)],
+      ]);
+      expect(freeSlots[0].durationMinutes).toBe(240);
+    });
+
+    test("should leave no gap between back-to-back bookings", async () => {
+      await bookAt(24);
+      await bookAt(28);
+
+      const response = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .query({ from: at(24), to: at(32) })
+        .expect(200);
+
+      expect(response.body.data.blocks).toHaveLength(2);
+      expect(response.body.data.freeSlots).toHaveLength(0);
+    });
+
+    test("should show every vehicle in the fleet schedule", async () => {
+      await bookAt(24);
+      await Vehicle.create({ name: "Retired Truck", capacityKg: 5000, tyres: 6, status: "retired" });
+
+      const response = await request(app)
+        .get("/api/vehicles/schedule")
+        .query({ from: at(20), to: at(30) })
+        .expect(200);
+
+      const [dayTruck, retiredTruck] = response.body.data.vehicles;
+      expect(dayTruck.vehicle.name).toBe("Day Truck");
+      expect(dayTruck.blocks).toHaveLength(1);
+      expect(dayTruck.freeSlots).toHaveLength(2);
+      expect(retiredTruck.freeSlots).toHaveLength(0);
+      expect(response.body.data.pagination.totalVehicles).toBe(2);
+    });
+
+    test("should reject reversed and overlong ranges", async () => {
+      await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .query({ from: at(40), to: at(20) })
+        .expect(400);
+      await request(app)
+        .get("/api/vehicles/schedule")
+        .query({ from: at(0), to: at(24 * 40) })
+        .expect(400);
+    });
+  });
+
+  // ==================== ALTERNATIVE SLOT TESTS ====================
+
+  describe("Alternative slot suggestions", () => {
+    const base = Date.now();
+    const at = (hours) => new Date(base + hours * 60 * 60 * 1000).toISOString();
+    let vehicle;
+
+    // 110001 → 110005 takes 4 hours
+    const trip = (hours) => ({
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: at(hours),
+    });
+
+    beforeEach(async () => {
+      vehicle = await Vehicle.create({ name: "Busy Truck", capacityKg: 3000, tyres: 6 });
+      await request(app)
+        .post("/api/bookings")
+        .send({ vehicleId: vehicle._id.toString(), customerId: "CUST002", ...trip(28) })
+        .expect(201);
+    });
+
+    test("should suggest the nearest free start times and shorter trips when asked", async () => {
+      const response = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, ...trip(25), suggestAlternatives: true })
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(0);
+      const { alternativeStartTimes, shorterDuration } = response.body.suggestions;
+      expect(alternativeStartTimes[0].startTime).toBe(at(24));
+      expect(alternativeStartTimes[0].offsetMinutes).toBe(-60);
+      expect(alternativeStartTimes[1].startTime).toBe(at(32));
+      expect(shorterDuration[0].availableHours).toBe(3);
+    });
+
+    test("should not suggest unless asked", async () => {
+      const response = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, ...trip(25) })
+        .expect(200);
+
+      expect(response.body.suggestions).toBeUndefined();
+    });
+
+    test("should carry suggestions in a booking conflict", async () => {
+      const larger = await Vehicle.create({ name: "Big Truck", capacityKg: 8000, tyres: 10 });
+      await Vehicle.create({ name: "Small Van", capacityKg: 800, tyres: 4 });
+
+      const response = await request(app)
+        .post("/api/bookings")
+        .send({ vehicleId: vehicle._id.toString(), customerId: "CUST001", ...trip(30) })
+        .expect(409);
+
+      const { suggestions } = response.body.error.details;
+      expect(suggestions.alternativeVehicles.map((v) => v.vehicleId)).toEqual([larger._id.toString()]);
+      expect(suggestions.alternativeStartTimes[0].startTime).toBe(at(32));
+      expect(suggestions.alternativeStartTimes[0].vehicles[0].name).toBe("Busy Truck");
+    });
+  });
+
+  // ==================== AVAILABILITY SCALING TESTS ====================
+
+  describe("Availability search scaling", () => {
+    const { findAvailableVehiclesForWindow } = require("../src/services/availabilityService");
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const endTime = new Date(startTime.getTime() + 4 * 60 * 60 * 1000);
+
+    // Every other vehicle is booked for the searched window
+    const seedFleet = async (size) => {
+      const vehicles = await Vehicle.insertMany(
+        Array.from({ length: size }, (_, i) => ({
+          name: `Fleet Truck ${i}`,
+          capacityKg: 1000 + (i % 50) * 100,
+          tyres: 6,
+        }))
+      );
+      await Booking.insertMany(
+        vehicles
+          .filter((_, i) => i % 2 === 0)
+          .map((vehicle) => ({
+            vehicleId: vehicle._id,
+            customerId: "CUST001",
+            fromPincode: "110001",
+            toPincode: "110005",
+            startTime,
+            endTime,
+            estimatedRideDurationHours: 4,
+            status: "confirmed",
+          }))
+      );
+    };
+
+    test("should search in a single database round trip", async () => {
+      await seedFleet(20);
+      const aggregate = jest.spyOn(Vehicle, "aggregate");
+      const find = jest.spyOn(Booking, "find");
+
+      const result = await findAvailableVehiclesForWindow({ capacityRequired: 1000, startTime, endTime });
+
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      expect(find).not.toHaveBeenCalled();
+      expect(result.suitableCount).toBe(20);
+      expect(result.availableCount).toBe(10);
+      expect(result.availableVehicles[0].vehicleType).toBe("Medium");
+    });
+
+    test("should page free vehicles in capacity order", async () => {
+      await seedFleet(20);
+
+      const response = await request(app)
+        .get("/api/vehicles/available")
+        .query({
+          capacityRequired: 1000,
+          fromPincode: "110001",
+          toPincode: "110005",
+          startTime: startTime.toISOString(),
+          page: 2,
+          limit: 4,
+        })
+        .expect(200);
+
+      const capacities = response.body.data.map((vehicle) => vehicle.capacityKg);
+      expect(capacities).toHaveLength(4);
+      expect([...capacities].sort((a, b) => a - b)).toEqual(capacities);
+      expect(response.body.pagination).toMatchObject({ currentPage: 2, totalPages: 3, totalAvailable: 10, hasNext: true });
+    });
+
+    test("should find and page the same free vehicles whatever the fleet size", async () => {
+      for (const fleetSize of [10, 200]) {
+        await Vehicle.deleteMany({});
+        await Booking.deleteMany({});
+        await seedFleet(fleetSize);
+        const aggregate = jest.spyOn(Vehicle, "aggregate");
+
+        const lastPage = Math.ceil(fleetSize / 2 / 4);
+        const result = await findAvailableVehiclesForWindow({
+          capacityRequired: 1000,
+          startTime,
+          endTime,
+          page: lastPage,
+          limit: 4,
+        });
+
+        expect(aggregate).toHaveBeenCalledTimes(1);
+        expect(result.suitableCount).toBe(fleetSize);
+        expect(result.availableCount).toBe(fleetSize / 2);
+        expect(result.availableVehicles).toHaveLength(fleetSize / 2 - (lastPage - 1) * 4);
+        aggregate.mockRestore();
+      }
+    });
+  });
+
+  // ==================== COMPLIANCE DOCUMENT TESTS ====================
+
+  describe("Compliance documents", () => {
+    const ComplianceDocument = require("../src/models/ComplianceDocument");
+    const base = Date.now();
+    const at = (hours) => new Date(base + hours * 60 * 60 * 1000).toISOString();
+    const DAY = 24;
+    let vehicle;
+
+    const addDocument = (vehicleId, type, expiresInHours, expectedStatus = 201) =>
+      request(app)
+        .post(`/api/vehicles/${vehicleId}/compliance-documents`)
+        .send({
+          type,
+          documentNumber: `${type.toUpperCase()}-001`,
+          issueDate: at(-365 * DAY),
+          expiryDate: at(expiresInHours),
+          fileReference: `documents/${vehicleId}/${type}.pdf`,
+        })
+        .expect(expectedStatus);
+
+    // 110001 → 110005 takes 4 hours
+    const booking = (hours) => ({
+      vehicleId: vehicle._id.toString(),
+      customerId: "CUST001",
+      fromPincode: "110001",
+      toPincode: "110005",
+      startTime: at(hours),
+    });
+
+    beforeEach(async () => {
+      await ComplianceDocument.deleteMany({});
+      vehicle = await Vehicle.create({ name: "Insured Truck", capacityKg: 5000, tyres: 6 });
+    });
+
+    test("should refuse trips ending after a required document expires", async () => {
+      const other = await Vehicle.create({ name: "Other Truck", capacityKg: 5000, tyres: 6 });
+      await addDocument(vehicle._id, "insurance", 26);
+      await addDocument(other._id, "insurance", 400 * DAY);
+
+      const search = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, fromPincode: "110001", toPincode: "110005", startTime: at(24) })
+        .expect(200);
+      expect(search.body.data.map((v) => v.id)).toEqual([other._id.toString()]);
+
+      const rejected = await request(app).post("/api/bookings").send(booking(24)).expect(409);
+      expect(rejected.body.error.details.complianceIssues[0]).toMatchObject({ type: "insurance", issue: "expired" });
+
+      await request(app).post("/api/bookings").send(booking(20)).expect(201);
+    });
+
+    test("should accept trips once the document is renewed", async () => {
+      await addDocument(vehicle._id, "puc", 26);
+      await request(app).post("/api/bookings").send(booking(24)).expect(409);
+
+      await addDocument(vehicle._id, "puc", 180 * DAY);
+      await request(app).post("/api/bookings").send(booking(24)).expect(201);
+
+      const compliance = await request(app).get(`/api/vehicles/${vehicle._id}/compliance-documents`).expect(200);
+      expect(compliance.body.data.compliant).toBe(true);
+      expect(compliance.body.data.documents).toHaveLength(2);
+    });
+
+    test("should refuse trips in a gap between a document and its renewal", async () => {
+      await addDocument(vehicle._id, "insurance", 26);
+      // Renewed, but only from 48 hours on
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/compliance-documents`)
+        .send({ type: "insurance", documentNumber: "INSURANCE-002", issueDate: at(48), expiryDate: at(400 * DAY) })
+        .expect(201);
+
+      const search = await request(app)
+        .get("/api/vehicles/available")
+        .query({ capacityRequired: 1000, fromPincode: "110001", toPincode: "110005", startTime: at(30) })
+        .expect(200);
+      expect(search.body.data).toHaveLength(0);
+
+      const rejected = await request(app).post("/api/bookings").send(booking(30)).expect(409);
+      expect(rejected.body.error.details.complianceIssues[0]).toMatchObject({ type: "insurance", issue: "not-yet-valid" });
+
+      await request(app).post("/api/bookings").send(booking(50)).expect(201);
+    });
+
+    test("should report documents expiring soon that have not been renewed", async () => {
+      await addDocument(vehicle._id, "insurance", 10 * DAY);
+      await addDocument(vehicle._id, "fitness-certificate", 60 * DAY);
+      await addDocument(vehicle._id, "puc", 5 * DAY);
+      await addDocument(vehicle._id, "puc", 200 * DAY);
+
+      const soon = await request(app).get("/api/vehicles/compliance-documents/expiring").expect(200);
+      expect(soon.body.data.documents.map((document) => document.type)).toEqual(["insurance"]);
+      expect(soon.body.data.documents[0].daysRemaining).toBe(10);
+
+      const later = await request(app)
+        .get("/api/vehicles/compliance-documents/expiring")
+        .query({ withinDays: 90 })
+        .expect(200);
+      expect(later.body.data.documents.map((document) => document.type)).toEqual(["insurance", "fitness-certificate"]);
+    });
+
+    test("should reject an expiry date before the issue date", async () => {
+      await addDocument(vehicle._id, "insurance", -400 * DAY, 400);
+      expect(await ComplianceDocument.countDocuments()).toBe(0);
+    });
+  });
 });